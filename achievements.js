@@ -0,0 +1,103 @@
+const { LEVELS } = require('./progression');
+
+// Achievement catalog. Each rule is checked after a score is recorded and
+// receives { walletAddress, score, user, database, rankings }; rules the
+// wallet has already earned are skipped.
+
+const PERFECT_SCORE_TARGET = 10;
+const HARD_STREAK_LENGTH = 5;
+const HARD_DIFFICULTIES = ['hard', 'advanced'];
+
+// Levels can be configured, so the expert badge goes by XP: the expert
+// threshold, or the level below the top when there is no 'expert' level
+const EXPERT_LEVEL = LEVELS.find(level => level.name === 'expert') || LEVELS[Math.max(LEVELS.length - 2, 0)];
+
+const ACHIEVEMENTS = [
+  {
+    id: 'first-quiz',
+    name: 'First Steps',
+    description: 'Complete your first quiz',
+    check: async () => true
+  },
+  {
+    id: 'first-perfect-score',
+    name: 'Flawless',
+    description: 'Get every question right in a quiz',
+    check: async ({ score }) => score.percentage >= 100
+  },
+  {
+    id: 'ten-perfect-scores',
+    name: 'Perfectionist',
+    description: `Get ${PERFECT_SCORE_TARGET} perfect scores`,
+    check: async ({ walletAddress, score, database }) => {
+      if (score.percentage < 100) return false;
+      const perfectScores = await database.countPerfectScores(walletAddress);
+      return perfectScores >= PERFECT_SCORE_TARGET;
+    }
+  },
+  {
+    id: 'hard-mode-streak',
+    name: 'Hard Mode Hero',
+    description: `Pass ${HARD_STREAK_LENGTH} hard quizzes in a row with at least 70%`,
+    check: async ({ walletAddress, score, database }) => {
+      if (!HARD_DIFFICULTIES.includes(score.difficulty)) return false;
+      const recent = await database.getRecentScores(walletAddress, HARD_STREAK_LENGTH);
+      return recent.length === HARD_STREAK_LENGTH &&
+        recent.every(entry => HARD_DIFFICULTIES.includes(entry.difficulty) && entry.percentage >= 70);
+    }
+  },
+  {
+    id: 'weekly-top-10',
+    name: 'Weekly Contender',
+    description: 'Reach the top 10 of the weekly leaderboard',
+    // A score of 0 adds nothing to the weekly board. Otherwise look for the
+    // wallet in the cached top 10 rather than ranking it against everyone.
+    check: async ({ walletAddress, score, rankings }) => {
+      if (!(score.score > 0)) return false;
+      const { leaderboard } = await rankings.getLeaderboard(10, { period: 'weekly' });
+      return leaderboard.some(entry => entry.walletAddress === walletAddress);
+    }
+  },
+  {
+    id: 'level-expert',
+    name: 'Expert',
+    description: `Reach the ${EXPERT_LEVEL.name} level`,
+    check: async ({ user }) => (user.xp || 0) >= EXPERT_LEVEL.minXp
+  }
+];
+
+// Public catalog entry, without the rule
+const toCatalogEntry = (achievement) => ({
+  id: achievement.id,
+  name: achievement.name,
+  description: achievement.description
+});
+
+// Check every rule the wallet hasn't earned yet and award the ones that pass.
+// Returns the newly unlocked achievements.
+const evaluateAchievements = async (database, { walletAddress, score, user, rankings }) => {
+  const earned = await database.getUserAchievements(walletAddress);
+  const earnedIds = new Set(earned.map(entry => entry.achievementId));
+  const unlocked = [];
+
+  for (const achievement of ACHIEVEMENTS) {
+    if (earnedIds.has(achievement.id)) continue;
+
+    const passed = await achievement.check({ walletAddress, score, user, database, rankings });
+    if (!passed) continue;
+
+    // Returns null if a concurrent submission awarded it first
+    const award = await database.awardAchievement(walletAddress, achievement.id, score._id);
+    if (award) {
+      unlocked.push({ ...toCatalogEntry(achievement), unlockedAt: award.unlockedAt });
+    }
+  }
+
+  return unlocked;
+};
+
+module.exports = {
+  ACHIEVEMENTS,
+  toCatalogEntry,
+  evaluateAchievements
+};
@@ -0,0 +1,77 @@
+require('dotenv').config();
+
+// Anomaly rules run after a score is recorded. Each rule receives
+// { walletAddress, score, session, database } (session only for server-graded
+// quizzes) and returns details when the score looks implausible, or null.
+// Flagged scores are queued in score_reviews for a moderator; they are never
+// rejected, so a false positive costs nothing but a look.
+
+const MIN_SECONDS_PER_QUESTION = parseFloat(process.env.ANOMALY_MIN_SECONDS_PER_QUESTION) || 2;
+const BURST_SIZE = parseInt(process.env.ANOMALY_BURST_SIZE) || 5;
+const BURST_WINDOW_MS = parseInt(process.env.ANOMALY_BURST_WINDOW_MS) || 60 * 1000;
+const PERFECT_RUN_LENGTH = parseInt(process.env.ANOMALY_PERFECT_RUN_LENGTH) || 10;
+
+const RULES = [
+  {
+    id: 'fast-completion',
+    description: `Answered a quiz session in under ${MIN_SECONDS_PER_QUESTION}s per question`,
+    check: async ({ session }) => {
+      if (!session || !session.submittedAt) return null;
+      const seconds = (session.submittedAt - session.startedAt) / 1000;
+      const questions = session.questionIds.length;
+      return seconds / questions < MIN_SECONDS_PER_QUESTION
+        ? { seconds: Math.round(seconds * 10) / 10, questions }
+        : null;
+    }
+  },
+  {
+    id: 'submission-burst',
+    description: `Submitted ${BURST_SIZE} scores within ${BURST_WINDOW_MS / 1000}s`,
+    check: async ({ walletAddress, database }) => {
+      const recent = await database.getRecentScores(walletAddress, BURST_SIZE);
+      if (recent.length < BURST_SIZE) return null;
+      const windowMs = recent[0].createdAt - recent[BURST_SIZE - 1].createdAt;
+      return windowMs < BURST_WINDOW_MS ? { scores: BURST_SIZE, windowMs } : null;
+    }
+  },
+  {
+    id: 'perfect-run',
+    description: `Scored 100% on ${PERFECT_RUN_LENGTH} submissions in a row`,
+    check: async ({ walletAddress, score, database }) => {
+      if (score.percentage < 100) return null;
+      const recent = await database.getRecentScores(walletAddress, PERFECT_RUN_LENGTH);
+      return recent.length === PERFECT_RUN_LENGTH && recent.every(entry => entry.percentage >= 100)
+        ? { scores: PERFECT_RUN_LENGTH }
+        : null;
+    }
+  }
+];
+
+// Run every rule against a recorded score and queue it for review if any
+// flagged it. Returns the review, or null when the score looks fine.
+const reviewScore = async (database, { walletAddress, score, session = null }) => {
+  const reasons = [];
+
+  for (const rule of RULES) {
+    const details = await rule.check({ walletAddress, score, session, database });
+    if (details) {
+      reasons.push({ rule: rule.id, description: rule.description, details });
+    }
+  }
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return database.createScoreReview({
+    walletAddress,
+    scoreId: score._id,
+    quizId: score.quizId,
+    reasons
+  });
+};
+
+module.exports = {
+  RULES,
+  reviewScore
+};
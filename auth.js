@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyMessage } = require('ethers');
+const identity = require('./identity');
+require('dotenv').config();
+
+// Sign-In-With-Ethereum (EIP-4361) settings. SIWE_CHAIN_ID is the default
+// chain, messages for any of identity.SUPPORTED_CHAIN_IDS are accepted.
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+const SIWE_URI = process.env.SIWE_URI || 'http://localhost:3000';
+const SIWE_CHAIN_ID = parseInt(process.env.SIWE_CHAIN_ID) || 1;
+const SIWE_STATEMENT = 'Sign in to CryptoQuest';
+const NONCE_TTL_MS = 10 * 60 * 1000; // 10 minutes to sign the message
+
+const walletList = (value) => (value || '')
+  .split(',')
+  .map(address => address.toLowerCase().trim())
+  .filter(Boolean);
+
+// Staff roles, comma separated wallets. Admins manage quiz content and can do
+// everything moderators can; moderators ban players and remove scores.
+const ADMIN_WALLETS = walletList(process.env.ADMIN_WALLETS);
+const MODERATOR_WALLETS = walletList(process.env.MODERATOR_WALLETS);
+
+const ROLES = ['moderator', 'admin'];
+
+// JWT settings
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set - using a random secret, sessions will not survive a restart');
+}
+
+// Nonces are alphanumeric and at least 8 characters long per EIP-4361
+const generateNonce = () => {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+// Build the EIP-4361 message the wallet is asked to sign
+const buildSiweMessage = ({ address, chainId = SIWE_CHAIN_ID, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    identity.toChecksumAddress(address),
+    '',
+    SIWE_STATEMENT,
+    '',
+    `URI: ${SIWE_URI}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Parse an EIP-4361 message into its fields, returns null if malformed
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0] && lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  const address = lines[1] && lines[1].trim();
+
+  if (!header || !/^0x[a-fA-F0-9]{40}$/.test(address) || !identity.hasValidChecksum(address)) {
+    return null;
+  }
+
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before): (.+)$/);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    }
+  }
+
+  if (!fields['Nonce'] || !fields['Issued At']) {
+    return null;
+  }
+
+  return {
+    domain: header[1],
+    address,
+    uri: fields['URI'],
+    version: fields['Version'],
+    chainId: parseInt(fields['Chain ID']),
+    nonce: fields['Nonce'],
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+    notBefore: fields['Not Before'] || null
+  };
+};
+
+// Check a signed SIWE message and return the parsed fields.
+// Throws INVALID_SIWE_MESSAGE, SIWE_* or INVALID_SIGNATURE errors.
+const verifySiweMessage = (message, signature) => {
+  const fields = parseSiweMessage(message);
+
+  if (!fields) {
+    throw new Error('INVALID_SIWE_MESSAGE');
+  }
+
+  if (fields.domain !== SIWE_DOMAIN || fields.uri !== SIWE_URI) {
+    throw new Error('SIWE_DOMAIN_MISMATCH');
+  }
+
+  if (fields.version !== '1' || !identity.SUPPORTED_CHAIN_IDS.includes(fields.chainId)) {
+    throw new Error('SIWE_CHAIN_MISMATCH');
+  }
+
+  const now = Date.now();
+  if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+    throw new Error('SIWE_MESSAGE_EXPIRED');
+  }
+  if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+    throw new Error('SIWE_MESSAGE_NOT_YET_VALID');
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = verifyMessage(message, signature);
+  } catch (error) {
+    throw new Error('INVALID_SIGNATURE');
+  }
+
+  if (recoveredAddress.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new Error('INVALID_SIGNATURE');
+  }
+
+  return fields;
+};
+
+const issueToken = (walletAddress) => {
+  return jwt.sign(
+    { walletAddress: walletAddress.toLowerCase() },
+    JWT_SECRET,
+    { subject: walletAddress.toLowerCase(), expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+// Wallet of a valid session token on the request, or null. For code that
+// treats signed-in and anonymous requests differently without requiring auth.
+const getTokenWallet = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  try {
+    return jwt.verify(token, JWT_SECRET).walletAddress || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Middleware to require a valid session token, sets req.auth.walletAddress
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.auth = { walletAddress: payload.walletAddress };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired session token'
+    });
+  }
+};
+
+// Middleware to ensure the walletAddress being written to belongs to the token holder
+const requireWalletOwner = (req, res, next) => {
+  const walletAddress = req.body.walletAddress || req.params.walletAddress;
+
+  if (walletAddress && typeof walletAddress === 'string' &&
+      walletAddress.toLowerCase().trim() !== req.auth.walletAddress) {
+    return res.status(403).json({
+      success: false,
+      message: 'Session token does not belong to this wallet'
+    });
+  }
+
+  next();
+};
+
+// 'admin', 'moderator' or null
+const getRole = (walletAddress) => {
+  const cleanWalletAddress = (walletAddress || '').toLowerCase().trim();
+  if (ADMIN_WALLETS.includes(cleanWalletAddress)) return 'admin';
+  if (MODERATOR_WALLETS.includes(cleanWalletAddress)) return 'moderator';
+  return null;
+};
+
+// Middleware to restrict a route to a role or a higher one, use after
+// requireAuth. Sets req.auth.role.
+const requireRole = (role) => (req, res, next) => {
+  const actual = getRole(req.auth.walletAddress);
+
+  if (ROLES.indexOf(actual) < ROLES.indexOf(role)) {
+    return res.status(403).json({
+      success: false,
+      message: `${role[0].toUpperCase()}${role.slice(1)} access required`
+    });
+  }
+
+  req.auth.role = actual;
+  next();
+};
+
+const requireAdmin = requireRole('admin');
+const requireModerator = requireRole('moderator');
+
+module.exports = {
+  SIWE_DOMAIN,
+  SIWE_URI,
+  SIWE_CHAIN_ID,
+  NONCE_TTL_MS,
+  JWT_EXPIRES_IN,
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage,
+  issueToken,
+  getTokenWallet,
+  requireAuth,
+  requireWalletOwner,
+  getRole,
+  requireRole,
+  requireAdmin,
+  requireModerator
+};
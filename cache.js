@@ -0,0 +1,110 @@
+require('dotenv').config();
+
+// Key/value cache with TTLs. Values are strings so every backend behaves the
+// same. In-process by default; set CACHE_URL=redis://... to share the cache
+// between instances (needs the optional ioredis package). Any client with
+// ioredis-style get/set(key, value, 'PX', ms)/incr/pexpire/del can be wrapped in
+// RedisCache directly.
+
+// Values with a TTL are bounded by maxEntries, oldest write first. Values
+// without one (version counters and the like) are few, and evicting them
+// would silently reset state, so they are kept apart and never evicted.
+class MemoryCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.persistent = new Map();
+  }
+
+  async get(key) {
+    if (this.persistent.has(key)) {
+      return this.persistent.get(key);
+    }
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // ttlMs of 0 or undefined keeps the value until it is deleted
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.persistent.delete(key);
+
+    if (!ttlMs) {
+      this.persistent.set(key, String(value));
+      return;
+    }
+    this.entries.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+
+    // Maps iterate in insertion order, so the first key is the oldest write
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // ttlMs applies when the increment creates the key, later ones keep its expiry
+  async incr(key, ttlMs) {
+    const value = (parseInt(await this.get(key)) || 0) + 1;
+    const entry = this.entries.get(key);
+    const persistent = this.persistent.has(key);
+    await this.set(key, value, persistent ? 0 : entry ? entry.expiresAt - Date.now() : ttlMs);
+    return value;
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+    this.persistent.delete(key);
+  }
+}
+
+class RedisCache {
+  constructor(client) {
+    this.client = client;
+  }
+
+  get(key) {
+    return this.client.get(key);
+  }
+
+  set(key, value, ttlMs) {
+    return ttlMs
+      ? this.client.set(key, String(value), 'PX', ttlMs)
+      : this.client.set(key, String(value));
+  }
+
+  async incr(key, ttlMs) {
+    const value = await this.client.incr(key);
+    if (ttlMs && value === 1) {
+      await this.client.pexpire(key, ttlMs);
+    }
+    return value;
+  }
+
+  del(key) {
+    return this.client.del(key);
+  }
+}
+
+const createCache = () => {
+  if (!process.env.CACHE_URL) {
+    return new MemoryCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000 });
+  }
+
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (error) {
+    throw new Error('CACHE_URL is set but the ioredis package is not installed (npm install ioredis)');
+  }
+  return new RedisCache(new Redis(process.env.CACHE_URL));
+};
+
+module.exports = {
+  MemoryCache,
+  RedisCache,
+  createCache
+};
@@ -0,0 +1,70 @@
+require('dotenv').config();
+
+// Head-to-head challenges. A challenge moves from pending (waiting for the
+// opponent) to accepted, and from there to completed once both players have
+// a score for its quiz. Pending challenges can be declined; anything still
+// open at the deadline expires.
+//
+// The challenger's first score after creating the challenge counts, and the
+// opponent's first score after accepting it. Scores are linked as they are
+// recorded, see Database.recordChallengeScore.
+//
+//   CHALLENGE_DEFAULT_HOURS - deadline when none is given (48 hours)
+//   CHALLENGE_MAX_DAYS      - furthest allowed deadline (14 days)
+//   MAX_OPEN_CHALLENGES     - open challenges one player can create (20)
+
+const DEFAULT_HOURS = parseInt(process.env.CHALLENGE_DEFAULT_HOURS) || 48;
+const MAX_DAYS = parseInt(process.env.CHALLENGE_MAX_DAYS) || 14;
+const MAX_OPEN_CHALLENGES = parseInt(process.env.MAX_OPEN_CHALLENGES) || 20;
+
+const CHALLENGE_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'completed'];
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+// Per-wallet lists: pending is everything still waiting for a result,
+// completed everything that is over
+const LIST_STATUSES = {
+  pending: OPEN_STATUSES,
+  completed: ['completed', 'expired', 'declined']
+};
+
+const defaultDeadline = (now = new Date()) => new Date(now.getTime() + DEFAULT_HOURS * 60 * 60 * 1000);
+
+const latestDeadline = (now = new Date()) => new Date(now.getTime() + MAX_DAYS * 24 * 60 * 60 * 1000);
+
+// Wallet of the winner, or null for a draw. Higher percentage wins, so
+// self-reported scores out of different maxima compare fairly. Ties go to
+// the faster player when both played a timed quiz session, otherwise to
+// whoever submitted first.
+const decideWinner = ({ challenger, opponent, challengerResult, opponentResult }) => {
+  if (challengerResult.percentage !== opponentResult.percentage) {
+    return challengerResult.percentage > opponentResult.percentage ? challenger : opponent;
+  }
+
+  const timed = challengerResult.durationMs != null && opponentResult.durationMs != null;
+  const [challengerTime, opponentTime] = timed
+    ? [challengerResult.durationMs, opponentResult.durationMs]
+    : [challengerResult.submittedAt.getTime(), opponentResult.submittedAt.getTime()];
+
+  if (challengerTime === opponentTime) return null;
+  return challengerTime < opponentTime ? challenger : opponent;
+};
+
+// Winner of a challenge that ran out of time: the only player who scored, if any
+const forfeitWinner = ({ challenger, opponent, challengerResult, opponentResult }) => {
+  if (challengerResult && !opponentResult) return challenger;
+  if (opponentResult && !challengerResult) return opponent;
+  return null;
+};
+
+module.exports = {
+  DEFAULT_HOURS,
+  MAX_DAYS,
+  MAX_OPEN_CHALLENGES,
+  CHALLENGE_STATUSES,
+  OPEN_STATUSES,
+  LIST_STATUSES,
+  defaultDeadline,
+  latestDeadline,
+  decideWinner,
+  forfeitWinner
+};
@@ -1,13 +1,55 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
+const challenges = require('./challenges');
+const { getPeriodStart } = require('./leaderboard');
+const progression = require('./progression');
+const scoring = require('./scoring');
+const { encodeCursor, takePage } = require('./pagination');
+const streaks = require('./streak');
+const usernames = require('./usernames');
+const validation = require('./validation');
+const Migrator = require('./migrations/migrator');
 require('dotenv').config();
 
+// Standalone servers reject sessions with transactions
+// (IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos")
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+// Duplicate key errors name the unique index that rejected the write
+const isDuplicateKey = (error, indexName) => error.code === 11000 && error.message.includes(indexName);
+
+// Wallets one profile can link besides its own
+const MAX_LINKED_WALLETS = parseInt(process.env.MAX_LINKED_WALLETS) || 5;
+
+// Wallets one player can follow, which bounds the friends leaderboard
+const MAX_FOLLOWING = parseInt(process.env.MAX_FOLLOWING) || 1000;
+
+// Voided scores stay on record for moderators but count for nothing. null
+// also matches scores from before voiding existed.
+const COUNTED_SCORES = { voided: null };
+
 class Database {
   constructor() {
     this.client = null;
     this.db = null;
+    this.ready = false;
+    // Unknown until the first score submission tries a transaction
+    this.transactionsSupported = null;
+    this.scorePolicy = scoring.SCORE_POLICY;
+  }
+
+  // True once connected and migrated, until close()
+  isReady() {
+    return this.ready;
   }
 
-  async connect() {
+  // Set options.runMigrations to false to connect without migrating
+  // (MIGRATE_ON_BOOT=false does the same for the server).
+  async connect(options = {}) {
+    const runMigrations = options.runMigrations !== undefined
+      ? options.runMigrations
+      : process.env.MIGRATE_ON_BOOT !== 'false';
+
     try {
       // MongoDB connection string from environment variables
       const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017';
@@ -20,10 +62,14 @@ class Database {
 
       await this.client.connect();
       this.db = this.client.db(dbName);
+      this.transactionsSupported = null;
       
       console.log('Connected to MongoDB database');
-      await this.initializeCollections();
-      
+      if (runMigrations) {
+        await this.runMigrations();
+      }
+
+      this.ready = true;
       return this.db;
     } catch (error) {
       console.error('Error connecting to MongoDB:', error);
@@ -31,107 +77,60 @@ class Database {
     }
   }
 
-  async initializeCollections() {
+  // Apply pending migrations from migrations/. Several instances booting at
+  // once wait on the migration lock instead of migrating twice.
+  async runMigrations() {
     try {
-      // Create collections if they don't exist
-      const collections = await this.db.listCollections().toArray();
-      const collectionNames = collections.map(col => col.name);
-
-      // Create users collection with indexes
-      if (!collectionNames.includes('users')) {
-        await this.db.createCollection('users');
-        console.log('Users collection created');
-      }
+      const migrator = new Migrator(this.db);
+      const applied = await migrator.up();
 
-      // Create scores collection with indexes
-      if (!collectionNames.includes('scores')) {
-        await this.db.createCollection('scores');
-        console.log('Scores collection created');
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} database migration(s)`);
       }
-
-      // Create indexes for better performance
-      await this.createIndexes();
-
     } catch (error) {
-      console.error('Error initializing collections:', error);
+      console.error('Error running migrations:', error);
       throw error;
     }
   }
 
-  async createIndexes() {
-    try {
-      // Users collection indexes
-      await this.db.collection('users').createIndex(
-        { walletAddress: 1 }, 
-        { unique: true, name: 'wallet_address_unique' }
-      );
-      await this.db.collection('users').createIndex(
-        { username: 1 }, 
-        { name: 'username_index' }
-      );
-      await this.db.collection('users').createIndex(
-        { totalScore: -1 }, 
-        { name: 'total_score_desc' }
-      );
-      await this.db.collection('users').createIndex(
-        { createdAt: -1 }, 
-        { name: 'created_at_desc' }
-      );
-
-      // Scores collection indexes
-      await this.db.collection('scores').createIndex(
-        { walletAddress: 1, quizId: 1 }, 
-        { unique: true, name: 'wallet_quiz_unique' }
-      );
-      await this.db.collection('scores').createIndex(
-        { walletAddress: 1 }, 
-        { name: 'wallet_address_scores' }
-      );
-      await this.db.collection('scores').createIndex(
-        { createdAt: -1 }, 
-        { name: 'created_at_scores_desc' }
-      );
-      await this.db.collection('scores').createIndex(
-        { difficulty: 1 }, 
-        { name: 'difficulty_index' }
-      );
-
-      console.log('Database indexes created successfully');
-    } catch (error) {
-      console.error('Error creating indexes:', error);
-    }
-  }
-
   // User operations
   async createUser(userData) {
     try {
-      // Sanitize and validate input data
+      const { value, errors } = validation.check(validation.userProfileSchema, userData);
+      if (errors) {
+        throw validation.validationError(errors);
+      }
+
+      // A linked wallet plays as the profile it is linked to
+      if (await this.db.collection('wallet_links').findOne({ walletAddress: value.walletAddress.toLowerCase() })) {
+        throw new Error('WALLET_LINKED');
+      }
+
       const user = {
-        walletAddress: userData.walletAddress.toLowerCase().trim(),
-        username: userData.username.trim(),
-        profilePictureUrl: userData.profilePictureUrl ? userData.profilePictureUrl.trim() : null,
+        walletAddress: value.walletAddress.toLowerCase(),
+        username: value.username,
+        profilePictureUrl: value.profilePictureUrl || null,
         totalScore: 0,
-        level: 'beginner',
+        quizCount: 0,
+        xp: 0,
+        level: progression.levelForXp(0),
+        timezone: value.timezone || streaks.DEFAULT_TIMEZONE,
+        chainId: value.chainId || null,
+        streak: { current: 0, longest: 0, lastPlayedDate: null, freezeUsedOn: null },
         createdAt: new Date(),
         updatedAt: new Date()
       };
 
-      // Additional validation
-      if (!user.walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-        throw new Error('INVALID_WALLET_FORMAT');
-      }
-
-      if (user.username.length < 3 || user.username.length > 30) {
-        throw new Error('INVALID_USERNAME_LENGTH');
-      }
-
       const result = await this.db.collection('users').insertOne(user);
       return { ...user, _id: result.insertedId };
     } catch (error) {
+      if (isDuplicateKey(error, 'username_unique')) {
+        throw new Error('USERNAME_TAKEN');
+      }
       if (error.code === 11000) {
         throw new Error('USER_ALREADY_EXISTS');
       }
-      if (error.message.startsWith('INVALID_')) {
+      if (['VALIDATION_ERROR', 'WALLET_LINKED'].includes(error.message)) {
         throw error;
       }
       console.error('Database error in createUser:', error);
@@ -152,184 +151,2009 @@ class Database {
     }
   }
 
-  async updateUser(walletAddress, updateData) {
+  // Auth operations
+  async saveAuthNonce(walletAddress, nonce, expiresAt) {
     try {
-      // Sanitize update data
-      const sanitizedData = {};
-      
-      if (updateData.username) {
-        sanitizedData.username = updateData.username.trim();
-        if (sanitizedData.username.length < 3 || sanitizedData.username.length > 30) {
-          throw new Error('INVALID_USERNAME_LENGTH');
-        }
-      }
-      
-      if (updateData.profilePictureUrl !== undefined) {
-        sanitizedData.profilePictureUrl = updateData.profilePictureUrl ? updateData.profilePictureUrl.trim() : null;
+      // One outstanding nonce per wallet, requesting a new one replaces the old
+      await this.db.collection('auth_nonces').updateOne(
+        { walletAddress: walletAddress.toLowerCase().trim() },
+        { $set: { nonce, expiresAt, createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Database error in saveAuthNonce:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  async consumeAuthNonce(walletAddress, nonce) {
+    try {
+      // Deleting on read makes every nonce single-use
+      const record = await this.db.collection('auth_nonces').findOneAndDelete({
+        walletAddress: walletAddress.toLowerCase().trim(),
+        nonce,
+        expiresAt: { $gt: new Date() }
+      });
+      return record;
+    } catch (error) {
+      console.error('Database error in consumeAuthNonce:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // A changed username is a rename: it is recorded in username_history and,
+  // unless options.skipCooldown is set (moderators), only allowed once per
+  // cooldown. options.changedBy is the wallet making the change, the player
+  // by default. Throws USERNAME_TAKEN, or USERNAME_COOLDOWN with retryAt.
+  async updateUser(walletAddress, updateData, options = {}) {
+    const cleanWalletAddress = walletAddress.toLowerCase().trim();
+    const users = this.db.collection('users');
+
+    try {
+      const { value, errors } = validation.check(validation.userProfileUpdateSchema, updateData);
+      if (errors) {
+        throw validation.validationError(errors);
       }
-      
+
+      const now = new Date();
+      const filter = { walletAddress: cleanWalletAddress };
       const updateFields = {
-        ...sanitizedData,
-        updatedAt: new Date()
+        ...value,
+        updatedAt: now
       };
 
-      const result = await this.db.collection('users').findOneAndUpdate(
-        { walletAddress: walletAddress.toLowerCase().trim() },
+      if (value.profilePictureUrl !== undefined) {
+        updateFields.profilePictureUrl = value.profilePictureUrl || null;
+      }
+
+      let previous = null;
+      if (value.username !== undefined) {
+        previous = await users.findOne(filter, { projection: { username: 1, usernameChangedAt: 1 } });
+
+        if (!previous || previous.username === value.username) {
+          previous = null;
+        } else {
+          const retryAt = usernames.nextRenameAt(previous.usernameChangedAt);
+          if (!options.skipCooldown && retryAt && retryAt > now) {
+            throw Object.assign(new Error('USERNAME_COOLDOWN'), { retryAt });
+          }
+          // A concurrent rename moves usernameChangedAt and makes this one miss
+          filter.usernameChangedAt = previous.usernameChangedAt || null;
+          updateFields.usernameChangedAt = now;
+        }
+      }
+
+      const result = await users.findOneAndUpdate(
+        filter,
         { $set: updateFields },
         { returnDocument: 'after' }
       );
 
-      return result.value;
+      if (previous && !result) {
+        throw Object.assign(new Error('USERNAME_COOLDOWN'), { retryAt: usernames.nextRenameAt(now) });
+      }
+
+      if (previous) {
+        await this.db.collection('username_history').insertOne({
+          walletAddress: cleanWalletAddress,
+          username: previous.username,
+          newUsername: result.username,
+          changedBy: (options.changedBy || cleanWalletAddress).toLowerCase(),
+          changedAt: now
+        });
+      }
+
+      return result;
     } catch (error) {
-      if (error.message.startsWith('INVALID_')) {
+      if (['VALIDATION_ERROR', 'USERNAME_COOLDOWN'].includes(error.message)) {
         throw error;
       }
+      if (isDuplicateKey(error, 'username_unique')) {
+        throw new Error('USERNAME_TAKEN');
+      }
       console.error('Database error in updateUser:', error);
       throw new Error('DATABASE_UPDATE_ERROR');
     }
   }
 
-  async getUserStats(walletAddress) {
+  // Wallet holding the username, ignoring case, or null if it is free
+  async getUsernameHolder(username) {
     try {
-      const stats = await this.db.collection('scores').aggregate([
-        { $match: { walletAddress: walletAddress.toLowerCase() } },
-        {
-          $group: {
-            _id: null,
-            quizCount: { $sum: 1 },
-            averageScore: { $avg: '$score' },
-            bestScore: { $max: '$score' },
-            totalScore: { $sum: '$score' }
-          }
-        }
-      ]).toArray();
+      const user = await this.db.collection('users').findOne(
+        { username: username.trim() },
+        { collation: usernames.USERNAME_COLLATION, projection: { walletAddress: 1 } }
+      );
+      return user ? user.walletAddress : null;
+    } catch (error) {
+      console.error('Database error in getUsernameHolder:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
 
-      return stats[0] || {
-        quizCount: 0,
-        averageScore: 0,
-        bestScore: 0,
-        totalScore: 0
-      };
+  // Previous usernames of a wallet, newest rename first
+  async getUsernameHistory(walletAddress) {
+    try {
+      return await this.db.collection('username_history')
+        .find({ walletAddress: walletAddress.toLowerCase().trim() })
+        .sort({ changedAt: -1, _id: -1 })
+        .toArray();
     } catch (error) {
-      throw error;
+      console.error('Database error in getUsernameHistory:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
     }
   }
 
-  // Score operations
-  async createScore(scoreData) {
-    try {
-      const score = {
-        walletAddress: scoreData.walletAddress.toLowerCase(),
-        quizId: scoreData.quizId,
-        score: scoreData.score,
-        difficulty: scoreData.difficulty,
-        maxScore: scoreData.maxScore || 20,
-        percentage: (scoreData.score / (scoreData.maxScore || 20)) * 100,
-        createdAt: new Date()
-      };
+  // Wallet link operations
+  // The profile wallet a wallet signs in as: its own, or the one it is linked to
+  async getProfileWallet(walletAddress) {
+    const cleanWalletAddress = walletAddress.toLowerCase().trim();
+    try {
+      const link = await this.db.collection('wallet_links').findOne({ walletAddress: cleanWalletAddress });
+      return link ? link.profileWallet : cleanWalletAddress;
+    } catch (error) {
+      console.error('Database error in getProfileWallet:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Throws WALLET_HAS_PROFILE if the wallet already plays on its own,
+  // WALLET_ALREADY_LINKED or LINKED_WALLET_LIMIT
+  async linkWallet(profileWallet, walletAddress, chainId = null) {
+    const link = {
+      walletAddress: walletAddress.toLowerCase().trim(),
+      profileWallet: profileWallet.toLowerCase().trim(),
+      chainId,
+      linkedAt: new Date()
+    };
+    const links = this.db.collection('wallet_links');
 
-      const result = await this.db.collection('scores').insertOne(score);
-      return { ...score, _id: result.insertedId };
+    try {
+      if (await this.db.collection('users').findOne({ walletAddress: link.walletAddress }, { projection: { _id: 1 } })) {
+        throw new Error('WALLET_HAS_PROFILE');
+      }
+      if (await links.countDocuments({ profileWallet: link.profileWallet }) >= MAX_LINKED_WALLETS) {
+        throw new Error('LINKED_WALLET_LIMIT');
+      }
+
+      const result = await links.insertOne(link);
+      return { ...link, _id: result.insertedId };
     } catch (error) {
+      if (['WALLET_HAS_PROFILE', 'LINKED_WALLET_LIMIT'].includes(error.message)) {
+        throw error;
+      }
       if (error.code === 11000) {
-        throw new Error('Quiz already completed by this user');
+        throw new Error('WALLET_ALREADY_LINKED');
       }
-      throw error;
+      console.error('Database error in linkWallet:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
     }
   }
 
-  async getUserScoreHistory(walletAddress, limit = 20, offset = 0) {
+  async unlinkWallet(profileWallet, walletAddress) {
     try {
-      const scores = await this.db.collection('scores')
-        .find({ walletAddress: walletAddress.toLowerCase() })
-        .sort({ createdAt: -1 })
-        .skip(offset)
-        .limit(limit)
+      const result = await this.db.collection('wallet_links').deleteOne({
+        walletAddress: walletAddress.toLowerCase().trim(),
+        profileWallet: profileWallet.toLowerCase().trim()
+      });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Database error in unlinkWallet:', error);
+      throw new Error('DATABASE_DELETE_ERROR');
+    }
+  }
+
+  async getLinkedWallets(profileWallet) {
+    try {
+      return await this.db.collection('wallet_links')
+        .find({ profileWallet: profileWallet.toLowerCase().trim() })
+        .sort({ linkedAt: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Database error in getLinkedWallets:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Follow operations
+  // Returns the follow, or null if follower already follows the wallet.
+  // Throws FOLLOW_LIMIT past MAX_FOLLOWING.
+  async followUser(follower, following) {
+    const follow = {
+      follower: follower.toLowerCase().trim(),
+      following: following.toLowerCase().trim(),
+      createdAt: new Date()
+    };
+    const follows = this.db.collection('follows');
+
+    try {
+      if (await follows.findOne({ follower: follow.follower, following: follow.following }, { projection: { _id: 1 } })) {
+        return null;
+      }
+      if (await follows.countDocuments({ follower: follow.follower }) >= MAX_FOLLOWING) {
+        throw new Error('FOLLOW_LIMIT');
+      }
+
+      const result = await follows.insertOne(follow);
+      return { ...follow, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      if (error.message === 'FOLLOW_LIMIT') {
+        throw error;
+      }
+      console.error('Database error in followUser:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async unfollowUser(follower, following) {
+    try {
+      const result = await this.db.collection('follows').deleteOne({
+        follower: follower.toLowerCase().trim(),
+        following: following.toLowerCase().trim()
+      });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Database error in unfollowUser:', error);
+      throw new Error('DATABASE_DELETE_ERROR');
+    }
+  }
+
+  async isFollowing(follower, following) {
+    try {
+      const follow = await this.db.collection('follows').findOne(
+        { follower: follower.toLowerCase().trim(), following: following.toLowerCase().trim() },
+        { projection: { _id: 1 } }
+      );
+      return !!follow;
+    } catch (error) {
+      console.error('Database error in isFollowing:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // { followers, following } counts of a wallet
+  async getFollowCounts(walletAddress) {
+    const cleanWalletAddress = walletAddress.toLowerCase().trim();
+    try {
+      const follows = this.db.collection('follows');
+      const [followers, following] = await Promise.all([
+        follows.countDocuments({ following: cleanWalletAddress }),
+        follows.countDocuments({ follower: cleanWalletAddress })
+      ]);
+      return { followers, following };
+    } catch (error) {
+      console.error('Database error in getFollowCounts:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Wallets a player follows, for the friends leaderboard
+  async getFollowedWallets(walletAddress) {
+    try {
+      const follows = await this.db.collection('follows')
+        .find({ follower: walletAddress.toLowerCase().trim() })
+        .project({ following: 1 })
+        .limit(MAX_FOLLOWING)
         .toArray();
+      return follows.map(follow => follow.following);
+    } catch (error) {
+      console.error('Database error in getFollowedWallets:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // A page of a wallet's followers (direction 'followers') or of the wallets
+  // it follows ('following'), newest first, with each player's profile.
+  // cursor is a decoded nextCursor. Returns { users, hasMore, nextCursor }.
+  async getFollowPage(walletAddress, direction, limit = 20, cursor = null) {
+    const [key, other] = direction === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+    const query = { [key]: walletAddress.toLowerCase().trim() };
+
+    try {
+      if (cursor) {
+        const cursorId = new ObjectId(cursor.id);
+        query.$or = [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursorId } }
+        ];
+      }
 
-      const total = await this.db.collection('scores')
-        .countDocuments({ walletAddress: walletAddress.toLowerCase() });
+      const page = takePage(await this.db.collection('follows')
+        .find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .toArray(), limit);
+
+      const users = await this.db.collection('users')
+        .find({ walletAddress: { $in: page.rows.map(follow => follow[other]) } })
+        .project({ walletAddress: 1, username: 1, profilePictureUrl: 1, level: 1 })
+        .toArray();
+      const usersByWallet = new Map(users.map(user => [user.walletAddress, user]));
+      const last = page.rows[page.rows.length - 1];
 
       return {
-        scores,
-        total,
-        hasMore: total > offset + scores.length
+        users: page.rows.map(follow => {
+          const user = usersByWallet.get(follow[other]) || {};
+          return {
+            walletAddress: follow[other],
+            username: user.username || null,
+            profilePictureUrl: user.profilePictureUrl || null,
+            level: user.level || null,
+            followedAt: follow.createdAt
+          };
+        }),
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore ? encodeCursor({ createdAt: last.createdAt, id: last._id.toString() }) : null
       };
     } catch (error) {
-      throw error;
+      console.error('Database error in getFollowPage:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
     }
   }
 
-  // Leaderboard operations
-  async getLeaderboard(limit = 100) {
+  async getUsersByWallets(wallets) {
     try {
-      const pipeline = [
-        { $match: { totalScore: { $gt: 0 } } },
-        {
-          $lookup: {
-            from: 'scores',
-            localField: 'walletAddress',
-            foreignField: 'walletAddress',
-            as: 'userScores'
-          }
-        },
+      return await this.db.collection('users')
+        .find({ walletAddress: { $in: wallets.map(wallet => wallet.toLowerCase().trim()) } })
+        .project({ walletAddress: 1, username: 1, profilePictureUrl: 1, level: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Database error in getUsersByWallets:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Open challenges between two players on a quiz, in either direction, are
+  // rejected with CHALLENGE_EXISTS
+  async createChallenge({ challenger, opponent, quizId, deadline }) {
+    const now = new Date();
+    const challenge = {
+      challenger: challenger.toLowerCase().trim(),
+      opponent: opponent.toLowerCase().trim(),
+      quizId,
+      status: 'pending',
+      deadline,
+      createdAt: now,
+      respondedAt: null,
+      closedAt: null,
+      challengerResult: null,
+      opponentResult: null,
+      winner: null
+    };
+    const collection = this.db.collection('challenges');
+    const open = { status: { $in: challenges.OPEN_STATUSES }, deadline: { $gt: now } };
+
+    try {
+      const existing = await collection.findOne({
+        ...open,
+        quizId,
+        $or: [
+          { challenger: challenge.challenger, opponent: challenge.opponent },
+          { challenger: challenge.opponent, opponent: challenge.challenger }
+        ]
+      }, { projection: { _id: 1 } });
+      if (existing) {
+        throw new Error('CHALLENGE_EXISTS');
+      }
+      if (await collection.countDocuments({ ...open, challenger: challenge.challenger }) >= challenges.MAX_OPEN_CHALLENGES) {
+        throw new Error('CHALLENGE_LIMIT');
+      }
+
+      const result = await collection.insertOne(challenge);
+      return { ...challenge, _id: result.insertedId };
+    } catch (error) {
+      if (error.message === 'CHALLENGE_EXISTS' || error.message === 'CHALLENGE_LIMIT') {
+        throw error;
+      }
+      console.error('Database error in createChallenge:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async getChallenge(challengeId) {
+    try {
+      if (!ObjectId.isValid(challengeId)) {
+        return null;
+      }
+      return await this.db.collection('challenges').findOne({ _id: new ObjectId(challengeId) });
+    } catch (error) {
+      console.error('Database error in getChallenge:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Atomically accept or decline a pending challenge as its opponent.
+  // Returns null if the challenge is not pending, overdue or addressed to
+  // another wallet.
+  async respondToChallenge(challengeId, opponent, accept) {
+    try {
+      if (!ObjectId.isValid(challengeId)) {
+        return null;
+      }
+      const now = new Date();
+      return await this.db.collection('challenges').findOneAndUpdate(
         {
-          $addFields: {
-            quizCount: { $size: '$userScores' }
-          }
+          _id: new ObjectId(challengeId),
+          opponent: opponent.toLowerCase().trim(),
+          status: 'pending',
+          deadline: { $gt: now }
         },
         {
-          $project: {
-            walletAddress: 1,
-            username: 1,
-            profilePictureUrl: 1,
-            totalScore: 1,
-            level: 1,
-            createdAt: 1,
-            quizCount: 1
-          }
+          $set: accept
+            ? { status: 'accepted', respondedAt: now }
+            : { status: 'declined', respondedAt: now, closedAt: now }
         },
-        { $sort: { totalScore: -1 } },
-        { $limit: limit }
-      ];
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in respondToChallenge:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
 
-      const users = await this.db.collection('users').aggregate(pipeline).toArray();
-      
-      const leaderboard = users.map((user, index) => ({
-        rank: index + 1,
-        walletAddress: user.walletAddress,
-        username: user.username,
-        profilePictureUrl: user.profilePictureUrl,
-        score: user.totalScore,
-        level: user.level,
-        quizCount: user.quizCount,
-        joinedDate: user.createdAt
-      }));
+  // Close every open challenge past its deadline. An accepted challenge
+  // only one player scored in goes to that player. Returns how many expired.
+  async expireChallenges(now = new Date()) {
+    const collection = this.db.collection('challenges');
+
+    try {
+      const pending = await collection.updateMany(
+        { status: 'pending', deadline: { $lte: now } },
+        { $set: { status: 'expired', closedAt: now } }
+      );
 
-      return leaderboard;
+      const overdue = await collection
+        .find({ status: 'accepted', deadline: { $lte: now } })
+        .project({ challenger: 1, opponent: 1, challengerResult: 1, opponentResult: 1 })
+        .toArray();
+      let expired = pending.modifiedCount;
+      for (const challenge of overdue) {
+        const result = await collection.updateOne(
+          { _id: challenge._id, status: 'accepted' },
+          { $set: { status: 'expired', closedAt: now, winner: challenges.forfeitWinner(challenge) } }
+        );
+        expired += result.modifiedCount;
+      }
+      return expired;
     } catch (error) {
-      throw error;
+      console.error('Database error in expireChallenges:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
     }
   }
 
-  async updateUserTotalScore(walletAddress, scoreToAdd) {
+  // Count a freshly recorded score in the player's open challenges on its
+  // quiz, completing those where both players have now scored. durationMs is
+  // the quiz session's playing time, null for self-reported scores. Returns
+  // the challenges the score counted for.
+  async recordChallengeScore(score, durationMs = null) {
+    const walletAddress = score.walletAddress.toLowerCase().trim();
+    const result = {
+      scoreId: score._id,
+      score: score.score,
+      maxScore: score.maxScore,
+      percentage: score.percentage,
+      durationMs,
+      submittedAt: score.createdAt
+    };
+    const open = { quizId: score.quizId, deadline: { $gt: score.createdAt } };
+    const collection = this.db.collection('challenges');
+
     try {
-      const result = await this.db.collection('users').findOneAndUpdate(
-        { walletAddress: walletAddress.toLowerCase() },
-        { 
-          $inc: { totalScore: scoreToAdd },
-          $set: { updatedAt: new Date() }
-        },
-        { returnDocument: 'after' }
+      // The challenger can play as soon as the challenge exists, the opponent once they accept
+      await collection.updateMany(
+        { ...open, challenger: walletAddress, status: { $in: challenges.OPEN_STATUSES }, challengerResult: null },
+        { $set: { challengerResult: result } }
+      );
+      await collection.updateMany(
+        { ...open, opponent: walletAddress, status: 'accepted', opponentResult: null },
+        { $set: { opponentResult: result } }
       );
 
-      return result.value;
-    } catch (error) {
+      const counted = await collection.find({
+        $or: [
+          { challenger: walletAddress, 'challengerResult.scoreId': score._id },
+          { opponent: walletAddress, 'opponentResult.scoreId': score._id }
+        ]
+      }).toArray();
+
+      return await Promise.all(counted.map(async (challenge) => {
+        if (challenge.status !== 'accepted' || !challenge.challengerResult || !challenge.opponentResult) {
+          return challenge;
+        }
+        // Both players may finish at once, only one of them closes the challenge
+        const completed = await collection.findOneAndUpdate(
+          { _id: challenge._id, status: 'accepted' },
+          { $set: { status: 'completed', closedAt: new Date(), winner: challenges.decideWinner(challenge) } },
+          { returnDocument: 'after' }
+        );
+        return completed || await collection.findOne({ _id: challenge._id });
+      }));
+    } catch (error) {
+      console.error('Database error in recordChallengeScore:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  // A player's challenges newest first. statuses limits the list, role to
+  // the challenges they sent ('challenger') or received ('opponent').
+  async getChallengePage(walletAddress, { statuses = null, role = null, limit = 20, cursor = null } = {}) {
+    const wallet = walletAddress.toLowerCase().trim();
+    const conditions = [];
+
+    if (role) {
+      conditions.push({ [role]: wallet });
+    } else {
+      conditions.push({ $or: [{ challenger: wallet }, { opponent: wallet }] });
+    }
+    if (statuses) {
+      conditions.push({ status: { $in: statuses } });
+    }
+
+    try {
+      if (cursor) {
+        const cursorId = new ObjectId(cursor.id);
+        conditions.push({
+          $or: [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: cursorId } }
+          ]
+        });
+      }
+
+      const page = takePage(await this.db.collection('challenges')
+        .find({ $and: conditions })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .toArray(), limit);
+      const last = page.rows[page.rows.length - 1];
+
+      return {
+        challenges: page.rows,
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore ? encodeCursor({ createdAt: last.createdAt, id: last._id.toString() }) : null
+      };
+    } catch (error) {
+      console.error('Database error in getChallengePage:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Write a new streak only if nobody else has moved it since it was read.
+  // Returns false when a concurrent submission got there first.
+  async updateUserStreak(walletAddress, expectedLastPlayedDate, streak) {
+    try {
+      const result = await this.db.collection('users').updateOne(
+        {
+          walletAddress: walletAddress.toLowerCase(),
+          'streak.lastPlayedDate': expectedLastPlayedDate
+        },
+        { $set: { streak, updatedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Database error in updateUserStreak:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  // quizCount counts distinct quizzes and attemptCount every submission.
+  // Averages and totals use each quiz's counted score, so totalScore
+  // matches users.totalScore; bestScore is the best single attempt.
+  async getUserStats(walletAddress) {
+    try {
+      const stats = await this.db.collection('scores').aggregate([
+        { $match: { walletAddress: walletAddress.toLowerCase(), ...COUNTED_SCORES } },
+        ...scoring.countedScoreStages(this.scorePolicy),
+        {
+          $group: {
+            _id: null,
+            quizCount: { $sum: 1 },
+            attemptCount: { $sum: '$attempts' },
+            averageScore: { $avg: '$score' },
+            bestScore: { $max: '$bestScore' },
+            totalScore: { $sum: '$score' }
+          }
+        }
+      ]).toArray();
+
+      return stats[0] || {
+        quizCount: 0,
+        attemptCount: 0,
+        averageScore: 0,
+        bestScore: 0,
+        totalScore: 0
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Score operations
+  // Stores the next attempt for the wallet and quiz. Two submissions racing
+  // for the same attempt number hit the unique index; outside a transaction
+  // the loser retries with the next number, inside one the conflict aborts it.
+  async createScore(scoreData, options = {}) {
+    const scores = this.db.collection('scores');
+    const walletAddress = scoreData.walletAddress.toLowerCase();
+    const tries = options.session ? 1 : 3;
+
+    for (let tryNumber = 1; ; tryNumber++) {
+      try {
+        const latest = await scores.findOne(
+          { walletAddress, quizId: scoreData.quizId },
+          { sort: { attempt: -1 }, projection: { attempt: 1 }, session: options.session }
+        );
+
+        const score = {
+          walletAddress,
+          quizId: scoreData.quizId,
+          attempt: latest ? latest.attempt + 1 : 1,
+          score: scoreData.score,
+          difficulty: scoreData.difficulty,
+          chainId: scoreData.chainId || null,
+          maxScore: scoreData.maxScore || 20,
+          percentage: (scoreData.score / (scoreData.maxScore || 20)) * 100,
+          // Scored by the server from a quiz session, false for self-reported scores
+          graded: !!scoreData.graded,
+          // Only the seed tool backdates scores; routes never pass createdAt
+          createdAt: scoreData.createdAt || new Date()
+        };
+
+        const result = await scores.insertOne(score, { session: options.session });
+        return { ...score, _id: result.insertedId };
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        if (tryNumber >= tries) {
+          throw new Error('ATTEMPT_CONFLICT');
+        }
+      }
+    }
+  }
+
+  // Run work({ session }) in a transaction where the server supports them
+  // (replica sets, mongos). On a standalone server run fallback() instead,
+  // by default the same work without one.
+  async runInTransaction(work, fallback = () => work({})) {
+    if (this.transactionsSupported !== false) {
+      const session = this.client.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await work({ session });
+        });
+        this.transactionsSupported = true;
+        return result;
+      } catch (error) {
+        if (!isTransactionUnsupported(error)) {
+          throw error;
+        }
+        this.transactionsSupported = false;
+        console.warn('MongoDB transactions are not available, score writes will use compensating writes');
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    return fallback();
+  }
+
+  // Insert a score and add it to the user's totals as one unit, with
+  // compensating writes on a standalone server.
+  async createScoreWithTotals(scoreData) {
+    return this.runInTransaction(
+      options => this.writeScoreWithTotals(scoreData, options),
+      async () => {
+        const score = await this.createScore(scoreData);
+        try {
+          return await this.addScoreToTotals(score);
+        } catch (error) {
+          // Take the score back out so the totals never miss it and the player can
+          // retry. If this fails too, scores:reconcile repairs the total.
+          try {
+            await this.db.collection('scores').deleteOne({ _id: score._id });
+          } catch (deleteError) {
+            console.error('Failed to remove score after total update failed:', deleteError);
+          }
+          throw error;
+        }
+      }
+    );
+  }
+
+  async writeScoreWithTotals(scoreData, options) {
+    const score = await this.createScore(scoreData, options);
+    return this.addScoreToTotals(score, options);
+  }
+
+  // Moves the user's totals by however much the new attempt changed the
+  // quiz's counted score, which is nothing for a retake that doesn't count
+  async addScoreToTotals(score, options = {}) {
+    const change = await this.countedScoreChange(score, options);
+    const user = await this.updateUserTotalScore(score.walletAddress, change.score, score.difficulty, {
+      ...options,
+      xpGained: change.xp,
+      newQuiz: change.onlyAttempt
+    });
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+    return { score, user };
+  }
+
+  // Counted score and XP of the quiz with and without `score`, and whether it
+  // is the quiz's only counted attempt. XP uses the first attempt's difficulty
+  // so retakes can't change a quiz's weight.
+  async countedScoreChange(score, options = {}) {
+    const previous = (await this.db.collection('scores')
+      .find({ walletAddress: score.walletAddress, quizId: score.quizId, ...COUNTED_SCORES }, { session: options.session })
+      .project({ attempt: 1, score: 1, difficulty: 1 })
+      .toArray())
+      .filter(entry => entry.attempt !== score.attempt);
+
+    const firstAttempt = previous.reduce((first, entry) => (entry.attempt < first.attempt ? entry : first), score);
+    const before = scoring.countedScore(previous, this.scorePolicy);
+    const after = scoring.countedScore([...previous, score], this.scorePolicy);
+
+    return {
+      score: after - before,
+      xp: progression.xpForScore(after, firstAttempt.difficulty) - progression.xpForScore(before, firstAttempt.difficulty),
+      onlyAttempt: previous.length === 0
+    };
+  }
+
+  // Void a score (it stays on record but counts for nothing) or, without
+  // voided, delete it, and take it out of the user's totals. voided is
+  // { at, by, reason }. Deleting a voided score leaves the totals alone.
+  // Returns { score, user }, null for an unknown score; throws
+  // SCORE_ALREADY_VOIDED when voiding twice and SCORE_CHANGED when another
+  // moderator got there first. On a standalone server the score is put back
+  // when the totals can't be updated, like createScoreWithTotals.
+  async removeScore(scoreId, { voided = null } = {}) {
+    if (!ObjectId.isValid(scoreId)) {
+      return null;
+    }
+    const id = new ObjectId(scoreId);
+    return this.runInTransaction(
+      options => this.writeScoreRemoval(id, voided, options),
+      async () => {
+        const score = await this.takeOutScore(id, voided);
+        if (!score) {
+          return null;
+        }
+        try {
+          return await this.removeScoreFromTotals(score, voided);
+        } catch (error) {
+          // Put the score back so it still matches the totals and the moderator
+          // can retry. If this fails too, scores:reconcile repairs the total.
+          try {
+            await this.restoreScore(score, voided);
+          } catch (restoreError) {
+            console.error('Failed to restore score after total update failed:', restoreError);
+          }
+          throw error;
+        }
+      }
+    );
+  }
+
+  async writeScoreRemoval(scoreId, voided, options) {
+    const score = await this.takeOutScore(scoreId, voided, options);
+    return score ? this.removeScoreFromTotals(score, voided, options) : null;
+  }
+
+  // Voids or deletes the score, returning it as it was before, or null when
+  // there is no such score
+  async takeOutScore(scoreId, voided, options = {}) {
+    const scores = this.db.collection('scores');
+    const score = await scores.findOne({ _id: scoreId }, { session: options.session });
+
+    if (!score) {
+      return null;
+    }
+    if (voided && score.voided) {
+      throw new Error('SCORE_ALREADY_VOIDED');
+    }
+
+    // Lose the race against a concurrent void or delete rather than taking
+    // the score out of the totals twice
+    const unchanged = { _id: scoreId, voided: score.voided || null };
+    const result = voided
+      ? await scores.updateOne(unchanged, { $set: { voided } }, { session: options.session })
+      : await scores.deleteOne(unchanged, { session: options.session });
+    if ((voided ? result.modifiedCount : result.deletedCount) === 0) {
+      throw new Error('SCORE_CHANGED');
+    }
+    return score;
+  }
+
+  async removeScoreFromTotals(score, voided, options = {}) {
+    const removed = voided ? { ...score, voided } : score;
+    if (score.voided) {
+      return { score: removed, user: await this.getUserByWallet(score.walletAddress) };
+    }
+
+    const change = await this.countedScoreChange(score, options);
+    const user = await this.updateUserTotalScore(score.walletAddress, -change.score, score.difficulty, {
+      ...options,
+      xpGained: -change.xp,
+      removedQuiz: change.onlyAttempt
+    });
+    return { score: removed, user };
+  }
+
+  // Undoes takeOutScore: un-voids the score, or inserts the deleted one again
+  async restoreScore(score, voided) {
+    const scores = this.db.collection('scores');
+    if (voided) {
+      await scores.updateOne({ _id: score._id, voided }, { $set: { voided: score.voided || null } });
+    } else {
+      await scores.insertOne(score);
+    }
+  }
+
+  // Best attempt at the quiz, earliest first on ties. graded: true only
+  // considers attempts scored from a quiz session.
+  async getScoreByWalletAndQuiz(walletAddress, quizId, { graded = null } = {}) {
+    try {
+      const query = { walletAddress: walletAddress.toLowerCase(), quizId, ...COUNTED_SCORES };
+      if (graded !== null) query.graded = graded;
+
+      return await this.db.collection('scores').findOne(
+        query,
+        { sort: { percentage: -1, attempt: 1 } }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Quizzes with at least one perfect attempt
+  async countPerfectScores(walletAddress) {
+    try {
+      const [result] = await this.db.collection('scores').aggregate([
+        { $match: { walletAddress: walletAddress.toLowerCase(), percentage: { $gte: 100 }, ...COUNTED_SCORES } },
+        { $group: { _id: '$quizId' } },
+        { $count: 'total' }
+      ]).toArray();
+      return result ? result.total : 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getRecentScores(walletAddress, limit) {
+    try {
+      return await this.db.collection('scores')
+        .find({ walletAddress: walletAddress.toLowerCase(), ...COUNTED_SCORES })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Every attempt, newest first, optionally for one quiz. Each entry is
+  // flagged with whether it counts towards the total under the policy;
+  // voided attempts are listed but never count.
+  // options.cursor (a decoded nextCursor) continues after that entry and
+  // skips the count; without it the page starts at offset and total is set.
+  async getUserScoreHistory(walletAddress, limit = 20, offset = 0, options = {}) {
+    try {
+      const query = { walletAddress: walletAddress.toLowerCase() };
+      if (options.quizId) query.quizId = options.quizId;
+
+      const { cursor } = options;
+      const pageQuery = cursor
+        ? {
+          ...query,
+          $or: [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: new ObjectId(cursor.id) } }
+          ]
+        }
+        : query;
+
+      const page = takePage(await this.db.collection('scores')
+        .find(pageQuery)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(cursor ? 0 : offset)
+        .limit(limit + 1)
+        .toArray(), limit);
+      const scores = page.rows;
+      const last = scores[scores.length - 1];
+
+      const total = cursor ? null : await this.db.collection('scores').countDocuments(query);
+
+      const attempts = await this.db.collection('scores')
+        .find({ walletAddress: query.walletAddress, quizId: { $in: [...new Set(scores.map(score => score.quizId))] }, ...COUNTED_SCORES })
+        .project({ quizId: 1, attempt: 1, score: 1 })
+        .toArray();
+      const countedByQuiz = new Map();
+      for (const quizId of new Set(attempts.map(entry => entry.quizId))) {
+        const quizAttempts = attempts.filter(entry => entry.quizId === quizId);
+        countedByQuiz.set(quizId, new Set(scoring.countedAttempts(quizAttempts, this.scorePolicy)));
+      }
+
+      return {
+        scores: scores.map(score => ({
+          ...score,
+          counted: !score.voided && countedByQuiz.get(score.quizId).has(score.attempt)
+        })),
+        total,
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore ? encodeCursor({ createdAt: last.createdAt, id: last._id.toString() }) : null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Achievement operations
+  async getUserAchievements(walletAddress) {
+    try {
+      return await this.db.collection('user_achievements')
+        .find({ walletAddress: walletAddress.toLowerCase() })
+        .sort({ unlockedAt: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Database error in getUserAchievements:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Returns the award, or null if the wallet already has this achievement
+  async awardAchievement(walletAddress, achievementId, scoreId) {
+    try {
+      const award = {
+        walletAddress: walletAddress.toLowerCase(),
+        achievementId,
+        scoreId: scoreId || null,
+        unlockedAt: new Date()
+      };
+
+      const result = await this.db.collection('user_achievements').insertOne(award);
+      return { ...award, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      console.error('Database error in awardAchievement:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  // Reward claim operations
+  async getRewardClaim(walletAddress, quizId) {
+    try {
+      return await this.db.collection('reward_claims').findOne({
+        walletAddress: walletAddress.toLowerCase(),
+        quizId
+      });
+    } catch (error) {
+      console.error('Database error in getRewardClaim:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async createRewardClaim(claimData) {
+    try {
+      const claim = {
+        walletAddress: claimData.walletAddress.toLowerCase(),
+        quizId: claimData.quizId,
+        scoreId: claimData.scoreId,
+        amount: claimData.amount,
+        nonce: claimData.nonce,
+        expiry: claimData.expiry,
+        signature: claimData.signature,
+        status: 'issued',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.db.collection('reward_claims').insertOne(claim);
+      return { ...claim, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('CLAIM_ALREADY_EXISTS');
+      }
+      console.error('Database error in createRewardClaim:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  // Extend an expired voucher, the nonce stays the same
+  async reissueRewardClaim(claimId, expiry, signature) {
+    try {
+      return await this.db.collection('reward_claims').findOneAndUpdate(
+        { _id: claimId, status: 'issued' },
+        { $set: { expiry, signature, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in reissueRewardClaim:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  async getRewardClaims(walletAddress, limit = 20, offset = 0) {
+    try {
+      const query = { walletAddress: walletAddress.toLowerCase() };
+
+      const claims = await this.db.collection('reward_claims')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      const total = await this.db.collection('reward_claims').countDocuments(query);
+
+      return {
+        claims,
+        total,
+        hasMore: total > offset + claims.length
+      };
+    } catch (error) {
+      console.error('Database error in getRewardClaims:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Score review operations, see anomalies.js
+  // Returns the review, or null if the score is already queued
+  async createScoreReview(reviewData) {
+    try {
+      const review = {
+        walletAddress: reviewData.walletAddress.toLowerCase(),
+        scoreId: reviewData.scoreId,
+        quizId: reviewData.quizId,
+        reasons: reviewData.reasons,
+        status: 'open',
+        createdAt: new Date()
+      };
+
+      const result = await this.db.collection('score_reviews').insertOne(review);
+      return { ...review, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      console.error('Database error in createScoreReview:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async getScoreReviews(filters = {}, limit = 20, offset = 0) {
+    try {
+      const query = { status: filters.status || 'open' };
+      if (filters.walletAddress) {
+        query.walletAddress = filters.walletAddress.toLowerCase();
+      }
+
+      const reviews = await this.db.collection('score_reviews')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      const total = await this.db.collection('score_reviews').countDocuments(query);
+
+      return {
+        reviews,
+        total,
+        hasMore: total > offset + reviews.length
+      };
+    } catch (error) {
+      console.error('Database error in getScoreReviews:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Moderation operations
+  // filters.search matches usernames anywhere (case-insensitive) or wallet
+  // address prefixes; filters.banned narrows to banned or unbanned players
+  async searchUsers(filters = {}, limit = 20, offset = 0) {
+    try {
+      const query = {};
+      if (filters.search) {
+        const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$or = [
+          { username: { $regex: escaped, $options: 'i' } },
+          { walletAddress: { $regex: `^${escaped.toLowerCase()}` } }
+        ];
+      }
+      if (filters.banned !== undefined) {
+        query.banned = filters.banned ? { $ne: null } : null;
+      }
+
+      const users = await this.db.collection('users')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      const total = await this.db.collection('users').countDocuments(query);
+
+      return {
+        users,
+        total,
+        hasMore: total > offset + users.length
+      };
+    } catch (error) {
+      console.error('Database error in searchUsers:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Ban ({ at, by, reason }) or, with null, unban a wallet. Banned players
+  // drop off every leaderboard and can't submit scores; their scores and
+  // totals are kept so an unban restores them. Returns the updated user, or
+  // null if there is no such user or the wallet already was in that state.
+  async setUserBan(walletAddress, banned) {
+    try {
+      return await this.db.collection('users').findOneAndUpdate(
+        { walletAddress: walletAddress.toLowerCase().trim(), banned: banned ? null : { $ne: null } },
+        { $set: { banned, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in setUserBan:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  async getBannedWallets() {
+    try {
+      return await this.db.collection('users').distinct('walletAddress', { banned: { $ne: null } });
+    } catch (error) {
+      console.error('Database error in getBannedWallets:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // entry is { actor, action, targetType, targetId, reason, details }
+  async recordAudit(entry) {
+    try {
+      const record = {
+        actor: entry.actor.toLowerCase(),
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: String(entry.targetId),
+        reason: entry.reason || null,
+        details: entry.details || {},
+        createdAt: new Date()
+      };
+
+      const result = await this.db.collection('audit_log').insertOne(record);
+      return { ...record, _id: result.insertedId };
+    } catch (error) {
+      console.error('Database error in recordAudit:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    try {
+      const query = {};
+      if (filters.actor) query.actor = filters.actor.toLowerCase();
+      if (filters.action) query.action = filters.action;
+      if (filters.targetId) query.targetId = filters.targetId.toLowerCase();
+
+      const entries = await this.db.collection('audit_log')
+        .find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      const total = await this.db.collection('audit_log').countDocuments(query);
+
+      return {
+        entries,
+        total,
+        hasMore: total > offset + entries.length
+      };
+    } catch (error) {
+      console.error('Database error in getAuditLog:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Leaderboard operations
+  // options.period is one of LEADERBOARD_PERIODS, options.difficulty narrows to one difficulty.
+  // Lifetime boards without a difficulty rank users.totalScore, everything else
+  // is aggregated from the scores collection.
+  // options.cursor (a decoded nextCursor) continues after that row.
+  // options.wallets ranks only those wallets, e.g. a player's friends.
+  // Returns { leaderboard, hasMore, nextCursor }.
+  async getLeaderboardPage(limit = 100, options = {}) {
+    const period = options.period || 'all-time';
+    const { cursor, wallets = null } = options;
+
+    if (period !== 'all-time' || options.difficulty) {
+      return this.getScoresLeaderboardPage(limit, period, options.difficulty, cursor, wallets);
+    }
+
+    try {
+      if (cursor && !cursor.id) {
+        throw new Error('INVALID_CURSOR');
+      }
+
+      const match = { totalScore: { $gt: 0 }, banned: null };
+      if (wallets) {
+        match.walletAddress = { $in: wallets };
+      }
+      if (cursor) {
+        match.$or = [
+          { totalScore: { $lt: cursor.score } },
+          { totalScore: cursor.score, createdAt: { $gt: cursor.createdAt } },
+          { totalScore: cursor.score, createdAt: cursor.createdAt, _id: { $gt: new ObjectId(cursor.id) } }
+        ];
+      }
+
+      const pipeline = [
+        { $match: match },
+        {
+          $project: {
+            walletAddress: 1,
+            username: 1,
+            profilePictureUrl: 1,
+            totalScore: 1,
+            level: 1,
+            createdAt: 1,
+            quizCount: { $ifNull: ['$quizCount', 0] }
+          }
+        },
+        // Earlier joiners win ties so ranks stay stable between requests
+        { $sort: { totalScore: -1, createdAt: 1, _id: 1 } },
+        { $limit: limit + 1 }
+      ];
+
+      const page = takePage(await this.db.collection('users').aggregate(pipeline).toArray(), limit);
+      const firstRank = cursor ? cursor.rank + 1 : 1;
+      const last = page.rows[page.rows.length - 1];
+
+      const leaderboard = page.rows.map((user, index) => ({
+        rank: firstRank + index,
+        walletAddress: user.walletAddress,
+        username: user.username,
+        profilePictureUrl: user.profilePictureUrl,
+        score: user.totalScore,
+        level: user.level,
+        quizCount: user.quizCount,
+        joinedDate: user.createdAt
+      }));
+
+      return {
+        leaderboard,
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore
+          ? encodeCursor({ rank: firstRank + page.rows.length - 1, score: last.totalScore, createdAt: last.createdAt, id: last._id.toString() })
+          : null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getLeaderboard(limit = 100, options = {}) {
+    return (await this.getLeaderboardPage(limit, options)).leaderboard;
+  }
+
+  // Stages that total each wallet's counted scores for a period/difficulty
+  // board. Only attempts inside the period are considered, and none from
+  // bannedWallets (see getBannedWallets). walletAddress or wallets narrow
+  // the board to one wallet or a list of them.
+  scoresBoardStages(period, difficulty, bannedWallets, { walletAddress = null, wallets = null } = {}) {
+    const match = { ...COUNTED_SCORES, walletAddress: { $nin: bannedWallets } };
+    const periodStart = getPeriodStart(period);
+    if (periodStart) match.createdAt = { $gte: periodStart };
+    if (difficulty) match.difficulty = difficulty;
+    if (walletAddress) match.walletAddress.$eq = walletAddress;
+    if (wallets) match.walletAddress.$in = wallets;
+
+    return [
+      { $match: match },
+      ...scoring.countedScoreStages(this.scorePolicy),
+      {
+        $group: {
+          _id: '$_id.walletAddress',
+          score: { $sum: '$score' },
+          quizCount: { $sum: 1 },
+          lastScoredAt: { $max: '$lastScoredAt' }
+        }
+      },
+      { $match: { score: { $gt: 0 } } }
+    ];
+  }
+
+  async getScoresLeaderboardPage(limit, period, difficulty, cursor = null, wallets = null) {
+    try {
+      if (cursor && !cursor.walletAddress) {
+        throw new Error('INVALID_CURSOR');
+      }
+
+      const after = cursor
+        ? [{
+          $match: {
+            $or: [
+              { score: { $lt: cursor.score } },
+              { score: cursor.score, lastScoredAt: { $gt: cursor.lastScoredAt } },
+              { score: cursor.score, lastScoredAt: cursor.lastScoredAt, _id: { $gt: cursor.walletAddress } }
+            ]
+          }
+        }]
+        : [];
+
+      const pipeline = [
+        ...this.scoresBoardStages(period, difficulty, await this.getBannedWallets(), { wallets }),
+        ...after,
+        // Whoever reached the score first wins ties, wallet address keeps it deterministic
+        { $sort: { score: -1, lastScoredAt: 1, _id: 1 } },
+        { $limit: limit + 1 },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: 'walletAddress',
+            as: 'user'
+          }
+        },
+        { $unwind: '$user' }
+      ];
+
+      const page = takePage(await this.db.collection('scores').aggregate(pipeline).toArray(), limit);
+      const firstRank = cursor ? cursor.rank + 1 : 1;
+      const last = page.rows[page.rows.length - 1];
+
+      return {
+        leaderboard: page.rows.map((row, index) => ({
+          rank: firstRank + index,
+          walletAddress: row._id,
+          username: row.user.username,
+          profilePictureUrl: row.user.profilePictureUrl,
+          score: row.score,
+          level: row.user.level,
+          quizCount: row.quizCount,
+          joinedDate: row.user.createdAt
+        })),
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore
+          ? encodeCursor({ rank: firstRank + page.rows.length - 1, score: last.score, lastScoredAt: last.lastScoredAt, walletAddress: last._id })
+          : null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rank of one wallet on a board plus `around` players either side of it.
+  // Counts and slices run as indexed queries so the board is never loaded whole.
+  async getPlayerRank(walletAddress, options = {}) {
+    const period = options.period || 'all-time';
+    const around = options.around || 0;
+    const cleanWalletAddress = walletAddress.toLowerCase().trim();
+
+    try {
+      const board = period !== 'all-time' || options.difficulty
+        ? await this.getScoresBoardPosition(cleanWalletAddress, period, options.difficulty, around)
+        : await this.getTotalScoreBoardPosition(cleanWalletAddress, around);
+
+      if (!board || board.rank === null) {
+        return {
+          rank: null,
+          score: board ? board.score : 0,
+          totalPlayers: board ? board.totalPlayers : 0,
+          percentile: null,
+          above: [],
+          below: []
+        };
+      }
+
+      const { rank, totalPlayers } = board;
+      const wallets = [...board.above, ...board.below].map(row => row.walletAddress);
+      const users = await this.db.collection('users')
+        .find({ walletAddress: { $in: wallets } })
+        .toArray();
+      const usersByWallet = new Map(users.map(user => [user.walletAddress, user]));
+
+      const toRow = (row, rowRank) => {
+        const user = usersByWallet.get(row.walletAddress) || {};
+        return {
+          rank: rowRank,
+          walletAddress: row.walletAddress,
+          username: user.username,
+          profilePictureUrl: user.profilePictureUrl,
+          score: row.score,
+          level: user.level,
+          quizCount: row.quizCount,
+          joinedDate: user.createdAt
+        };
+      };
+
+      return {
+        rank,
+        score: board.score,
+        totalPlayers,
+        // Share of ranked players at or below this rank, the leader is at 100
+        percentile: Math.round(((totalPlayers - rank + 1) / totalPlayers) * 1000) / 10,
+        above: board.above.map((row, index) => toRow(row, rank - board.above.length + index)),
+        below: board.below.map((row, index) => toRow(row, rank + index + 1))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getTotalScoreBoardPosition(walletAddress, around) {
+    const users = this.db.collection('users');
+    const me = await users.findOne({ walletAddress });
+
+    if (!me) return null;
+
+    const ranked = { totalScore: { $gt: 0 }, banned: null };
+    const totalPlayers = await users.countDocuments(ranked);
+
+    if (!(me.totalScore > 0) || me.banned) {
+      return { rank: null, score: me.totalScore || 0, totalPlayers };
+    }
+
+    // Same ordering as getLeaderboard: totalScore desc, createdAt asc, _id asc
+    const ahead = {
+      banned: null,
+      $or: [
+        { totalScore: { $gt: me.totalScore } },
+        { totalScore: me.totalScore, createdAt: { $lt: me.createdAt } },
+        { totalScore: me.totalScore, createdAt: me.createdAt, _id: { $lt: me._id } }
+      ]
+    };
+    const behind = {
+      ...ranked,
+      $or: [
+        { totalScore: { $lt: me.totalScore } },
+        { totalScore: me.totalScore, createdAt: { $gt: me.createdAt } },
+        { totalScore: me.totalScore, createdAt: me.createdAt, _id: { $gt: me._id } }
+      ]
+    };
+
+    const aheadCount = await users.countDocuments(ahead);
+    let above = [];
+    let below = [];
+
+    if (around > 0) {
+      above = (await users.find(ahead)
+        .sort({ totalScore: 1, createdAt: -1, _id: -1 })
+        .limit(around)
+        .toArray()).reverse();
+      below = await users.find(behind)
+        .sort({ totalScore: -1, createdAt: 1, _id: 1 })
+        .limit(around)
+        .toArray();
+    }
+
+    const toEntry = user => ({
+      walletAddress: user.walletAddress,
+      score: user.totalScore,
+      quizCount: user.quizCount || 0
+    });
+
+    return {
+      rank: aheadCount + 1,
+      score: me.totalScore,
+      totalPlayers,
+      above: above.map(toEntry),
+      below: below.map(toEntry)
+    };
+  }
+
+  async getScoresBoardPosition(walletAddress, period, difficulty, around) {
+    const scores = this.db.collection('scores');
+    const bannedWallets = await this.getBannedWallets();
+    const [me] = await scores.aggregate(this.scoresBoardStages(period, difficulty, bannedWallets, { walletAddress })).toArray();
+
+    if (!me) {
+      const counted = await scores.aggregate([
+        ...this.scoresBoardStages(period, difficulty, bannedWallets),
+        { $count: 'total' }
+      ]).toArray();
+      return { rank: null, score: 0, totalPlayers: counted.length ? counted[0].total : 0 };
+    }
+
+    // Same ordering as getScoresLeaderboardPage: score desc, lastScoredAt asc, wallet asc
+    const ahead = {
+      $or: [
+        { score: { $gt: me.score } },
+        { score: me.score, lastScoredAt: { $lt: me.lastScoredAt } },
+        { score: me.score, lastScoredAt: me.lastScoredAt, _id: { $lt: me._id } }
+      ]
+    };
+    const behind = {
+      $or: [
+        { score: { $lt: me.score } },
+        { score: me.score, lastScoredAt: { $gt: me.lastScoredAt } },
+        { score: me.score, lastScoredAt: me.lastScoredAt, _id: { $gt: me._id } }
+      ]
+    };
+
+    const [position] = await scores.aggregate([
+      ...this.scoresBoardStages(period, difficulty, bannedWallets),
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          ahead: [{ $match: ahead }, { $count: 'count' }],
+          above: [{ $match: ahead }, { $sort: { score: 1, lastScoredAt: -1, _id: -1 } }, { $limit: Math.max(around, 1) }],
+          below: [{ $match: behind }, { $sort: { score: -1, lastScoredAt: 1, _id: 1 } }, { $limit: Math.max(around, 1) }]
+        }
+      }
+    ]).toArray();
+
+    const toEntry = row => ({ walletAddress: row._id, score: row.score, quizCount: row.quizCount });
+
+    return {
+      rank: (position.ahead[0] ? position.ahead[0].count : 0) + 1,
+      score: me.score,
+      totalPlayers: position.total[0].count,
+      above: around > 0 ? position.above.reverse().map(toEntry) : [],
+      below: around > 0 ? position.below.map(toEntry) : []
+    };
+  }
+
+  // Adds the score and its difficulty-weighted XP, then recomputes the level
+  // in the same update so concurrent submissions can't skip a level change.
+  // The returned user carries xpGained and leveledUp for the response.
+  // options.xpGained overrides the XP derived from scoreToAdd; it is negative
+  // when a retake lowers the quiz's counted score. options.newQuiz counts the
+  // score's quiz in the denormalized quizCount, options.removedQuiz takes it out.
+  async updateUserTotalScore(walletAddress, scoreToAdd, difficulty, options = {}) {
+    try {
+      const xpGained = options.xpGained !== undefined
+        ? options.xpGained
+        : progression.xpForScore(scoreToAdd, difficulty);
+
+      const result = await this.db.collection('users').findOneAndUpdate(
+        { walletAddress: walletAddress.toLowerCase() },
+        [
+          {
+            $set: {
+              totalScore: { $add: [{ $ifNull: ['$totalScore', 0] }, scoreToAdd] },
+              quizCount: { $add: [{ $ifNull: ['$quizCount', 0] }, options.newQuiz ? 1 : options.removedQuiz ? -1 : 0] },
+              xp: { $add: [{ $ifNull: ['$xp', 0] }, xpGained] },
+              updatedAt: new Date()
+            }
+          },
+          { $set: { level: progression.levelExpression('$xp') } }
+        ],
+        { returnDocument: 'after', session: options.session }
+      );
+
+      if (!result) {
+        return result;
+      }
+
+      const previousLevel = progression.levelForXp(result.xp - xpGained);
+
+      return {
+        ...result,
+        xpGained,
+        leveledUp: xpGained > 0 && previousLevel !== result.level
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Recompute XP and level for every user from their scores, e.g. after the
+  // progression config changes. Works through users in _id order in batches.
+  async recomputeUserLevels(batchSize = 500) {
+    const users = this.db.collection('users');
+    let lastId = null;
+    let processed = 0;
+    let changed = 0;
+
+    try {
+      while (true) {
+        const batch = await users
+          .find(lastId ? { _id: { $gt: lastId } } : {})
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .project({ walletAddress: 1, xp: 1, level: 1 })
+          .toArray();
+
+        if (batch.length === 0) break;
+        lastId = batch[batch.length - 1]._id;
+
+        const totals = await this.db.collection('scores').aggregate([
+          { $match: { walletAddress: { $in: batch.map(user => user.walletAddress) }, ...COUNTED_SCORES } },
+          ...scoring.countedScoreStages(this.scorePolicy),
+          {
+            $group: {
+              _id: '$_id.walletAddress',
+              xp: { $sum: progression.xpExpression('$score', '$difficulty') }
+            }
+          }
+        ]).toArray();
+        const xpByWallet = new Map(totals.map(row => [row._id, row.xp]));
+
+        const operations = [];
+        for (const user of batch) {
+          const xp = xpByWallet.get(user.walletAddress) || 0;
+          const level = progression.levelForXp(xp);
+
+          if (user.xp !== xp || user.level !== level) {
+            operations.push({
+              updateOne: {
+                filter: { _id: user._id },
+                update: { $set: { xp, level, updatedAt: new Date() } }
+              }
+            });
+          }
+        }
+
+        if (operations.length > 0) {
+          await users.bulkWrite(operations, { ordered: false });
+        }
+
+        processed += batch.length;
+        changed += operations.length;
+      }
+
+      return { processed, changed };
+    } catch (error) {
+      console.error('Database error in recomputeUserLevels:', error);
       throw error;
     }
   }
 
+  // Compare every user's totalScore and quizCount with their scores (counted
+  // scores summed, distinct quizzes) and report the ones that drifted. With fix
+  // set they are rewritten, but only where both still hold the values read so
+  // a concurrent submission is not lost.
+  async reconcileTotalScores({ fix = false, batchSize = 500 } = {}) {
+    const users = this.db.collection('users');
+    const discrepancies = [];
+    let lastId = null;
+    let processed = 0;
+    let fixed = 0;
+
+    try {
+      while (true) {
+        const batch = await users
+          .find(lastId ? { _id: { $gt: lastId } } : {})
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .project({ walletAddress: 1, username: 1, totalScore: 1, quizCount: 1 })
+          .toArray();
+
+        if (batch.length === 0) break;
+        lastId = batch[batch.length - 1]._id;
+
+        const totals = await this.db.collection('scores').aggregate([
+          { $match: { walletAddress: { $in: batch.map(user => user.walletAddress) }, ...COUNTED_SCORES } },
+          ...scoring.countedScoreStages(this.scorePolicy),
+          { $group: { _id: '$_id.walletAddress', totalScore: { $sum: '$score' }, quizCount: { $sum: 1 } } }
+        ]).toArray();
+        const totalsByWallet = new Map(totals.map(row => [row._id, row]));
+        // null also matches a missing field
+        const observed = value => (value === undefined ? null : value);
+
+        const operations = [];
+        for (const user of batch) {
+          const expected = totalsByWallet.get(user.walletAddress) || { totalScore: 0, quizCount: 0 };
+          const recorded = { totalScore: user.totalScore || 0, quizCount: user.quizCount || 0 };
+
+          if (recorded.totalScore !== expected.totalScore || recorded.quizCount !== expected.quizCount) {
+            discrepancies.push({
+              walletAddress: user.walletAddress,
+              username: user.username,
+              totalScore: { recorded: recorded.totalScore, expected: expected.totalScore },
+              quizCount: { recorded: recorded.quizCount, expected: expected.quizCount }
+            });
+            operations.push({
+              updateOne: {
+                filter: { _id: user._id, totalScore: observed(user.totalScore), quizCount: observed(user.quizCount) },
+                update: { $set: { totalScore: expected.totalScore, quizCount: expected.quizCount, updatedAt: new Date() } }
+              }
+            });
+          }
+        }
+
+        if (fix && operations.length > 0) {
+          const result = await users.bulkWrite(operations, { ordered: false });
+          fixed += result.modifiedCount;
+        }
+
+        processed += batch.length;
+      }
+
+      return { processed, discrepancies, fixed };
+    } catch (error) {
+      console.error('Database error in reconcileTotalScores:', error);
+      throw error;
+    }
+  }
+
+  // Quiz operations
+  async getQuizById(quizId) {
+    try {
+      return await this.db.collection('quizzes').findOne({ quizId });
+    } catch (error) {
+      console.error('Database error in getQuizById:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async listQuizzes(filters = {}, limit = 50, offset = 0) {
+    try {
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.difficulty) query.difficulty = filters.difficulty;
+      if (filters.tag) query.tags = filters.tag;
+
+      const quizzes = await this.db.collection('quizzes')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      const total = await this.db.collection('quizzes').countDocuments(query);
+
+      return {
+        quizzes,
+        total,
+        hasMore: total > offset + quizzes.length
+      };
+    } catch (error) {
+      console.error('Database error in listQuizzes:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async createQuiz(quizData) {
+    try {
+      const quizDoc = {
+        quizId: quizData.quizId,
+        title: quizData.title,
+        description: quizData.description || null,
+        difficulty: quizData.difficulty,
+        tags: quizData.tags || [],
+        timeLimitMinutes: quizData.timeLimitMinutes || null,
+        status: 'draft',
+        createdBy: quizData.createdBy,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        publishedAt: null,
+        retiredAt: null
+      };
+
+      const result = await this.db.collection('quizzes').insertOne(quizDoc);
+      return { ...quizDoc, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('QUIZ_ALREADY_EXISTS');
+      }
+      console.error('Database error in createQuiz:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async updateQuiz(quizId, updateData) {
+    try {
+      const updateFields = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+
+      // Record when content goes live or is taken down
+      if (updateData.status === 'published') updateFields.publishedAt = new Date();
+      if (updateData.status === 'retired') updateFields.retiredAt = new Date();
+
+      return await this.db.collection('quizzes').findOneAndUpdate(
+        { quizId },
+        { $set: updateFields },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in updateQuiz:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  // Only drafts are deleted outright, published content is retired instead
+  async deleteDraftQuiz(quizId) {
+    try {
+      const result = await this.db.collection('quizzes').deleteOne({ quizId, status: 'draft' });
+
+      if (result.deletedCount > 0) {
+        await this.db.collection('questions').deleteMany({ quizId });
+      }
+
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Database error in deleteDraftQuiz:', error);
+      throw new Error('DATABASE_DELETE_ERROR');
+    }
+  }
+
+  async getQuestionById(questionId) {
+    try {
+      if (!ObjectId.isValid(questionId)) {
+        return null;
+      }
+      return await this.db.collection('questions').findOne({ _id: new ObjectId(questionId) });
+    } catch (error) {
+      console.error('Database error in getQuestionById:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async createQuestion(quizId, questionData) {
+    try {
+      // New questions go to the end unless an order is given
+      let order = questionData.order;
+      if (order === undefined) {
+        order = await this.db.collection('questions').countDocuments({ quizId });
+      }
+
+      const question = {
+        ...questionData,
+        quizId,
+        order,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.db.collection('questions').insertOne(question);
+      return { ...question, _id: result.insertedId };
+    } catch (error) {
+      console.error('Database error in createQuestion:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async updateQuestion(questionId, questionData) {
+    try {
+      return await this.db.collection('questions').findOneAndUpdate(
+        { _id: new ObjectId(questionId) },
+        { $set: { ...questionData, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in updateQuestion:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  async deleteQuestion(questionId) {
+    try {
+      const result = await this.db.collection('questions').deleteOne({ _id: new ObjectId(questionId) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Database error in deleteQuestion:', error);
+      throw new Error('DATABASE_DELETE_ERROR');
+    }
+  }
+
+  async getQuizQuestions(quizId) {
+    try {
+      return await this.db.collection('questions')
+        .find({ quizId })
+        .sort({ order: 1, _id: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('Database error in getQuizQuestions:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async getQuestionsByIds(questionIds) {
+    try {
+      const questions = await this.db.collection('questions')
+        .find({ _id: { $in: questionIds } })
+        .toArray();
+
+      // Preserve the order the questions were served in
+      const byId = new Map(questions.map(question => [String(question._id), question]));
+      return questionIds.map(id => byId.get(String(id))).filter(Boolean);
+    } catch (error) {
+      console.error('Database error in getQuestionsByIds:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  async createQuizSession(sessionData) {
+    try {
+      const session = {
+        walletAddress: sessionData.walletAddress.toLowerCase(),
+        quizId: sessionData.quizId,
+        questionIds: sessionData.questionIds,
+        status: 'active',
+        startedAt: new Date(),
+        expiresAt: sessionData.expiresAt,
+        submittedAt: null,
+        scoreId: null
+      };
+
+      const result = await this.db.collection('quiz_sessions').insertOne(session);
+      return { ...session, _id: result.insertedId };
+    } catch (error) {
+      console.error('Database error in createQuizSession:', error);
+      throw new Error('DATABASE_CREATE_ERROR');
+    }
+  }
+
+  async getQuizSession(sessionId) {
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        return null;
+      }
+      return await this.db.collection('quiz_sessions').findOne({ _id: new ObjectId(sessionId) });
+    } catch (error) {
+      console.error('Database error in getQuizSession:', error);
+      throw new Error('DATABASE_FETCH_ERROR');
+    }
+  }
+
+  // Atomically move an active session to submitted so it can only be graded once.
+  // Returns null if the session is not active, expired or owned by another wallet.
+  async markQuizSessionSubmitted(sessionId, walletAddress) {
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        return null;
+      }
+      const now = new Date();
+      return await this.db.collection('quiz_sessions').findOneAndUpdate(
+        {
+          _id: new ObjectId(sessionId),
+          walletAddress: walletAddress.toLowerCase(),
+          status: 'active',
+          expiresAt: { $gt: now }
+        },
+        { $set: { status: 'submitted', submittedAt: now } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('Database error in markQuizSessionSubmitted:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  // Undo markQuizSessionSubmitted when no score could be recorded, so the
+  // player can submit again before the session expires
+  async reopenQuizSession(sessionId) {
+    try {
+      const result = await this.db.collection('quiz_sessions').updateOne(
+        { _id: new ObjectId(sessionId), status: 'submitted', scoreId: null },
+        { $set: { status: 'active', submittedAt: null } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('Database error in reopenQuizSession:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
+  async completeQuizSession(sessionId, scoreId) {
+    try {
+      await this.db.collection('quiz_sessions').updateOne(
+        { _id: new ObjectId(sessionId) },
+        { $set: { status: 'graded', scoreId } }
+      );
+    } catch (error) {
+      console.error('Database error in completeQuizSession:', error);
+      throw new Error('DATABASE_UPDATE_ERROR');
+    }
+  }
+
   async close() {
+    this.ready = false;
     if (this.client) {
       await this.client.close();
       console.log('Database connection closed');
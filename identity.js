@@ -0,0 +1,132 @@
+const { getAddress, JsonRpcProvider } = require('ethers');
+require('dotenv').config();
+
+// Wallet identity: EIP-55 checksums, the chains players may sign in and play
+// on, and ENS names shown next to wallets. Wallets are still stored and
+// compared lowercase; checksummed addresses are for display.
+//
+//   SUPPORTED_CHAIN_IDS  - comma separated EVM chain ids (SIWE_CHAIN_ID is always included)
+//   ENS_RPC_URL          - mainnet RPC used to reverse-resolve ENS names
+//   ENS_NAMES            - fixed address=name.eth pairs, comma separated, for
+//                          local development and tests instead of an RPC
+//   ENS_CACHE_TTL_MS     - how long resolved names (and misses) are kept
+
+const DEFAULT_CHAIN_IDS = [1, 10, 137, 8453, 42161];
+
+const chainList = (value) => (value || '')
+  .split(',')
+  .map(id => parseInt(id))
+  .filter(id => Number.isInteger(id) && id > 0);
+
+const configuredChains = chainList(process.env.SUPPORTED_CHAIN_IDS);
+const SUPPORTED_CHAIN_IDS = [...new Set([
+  parseInt(process.env.SIWE_CHAIN_ID) || 1,
+  ...(configuredChains.length > 0 ? configuredChains : DEFAULT_CHAIN_IDS)
+])];
+
+const ENS_CACHE_TTL_MS = parseInt(process.env.ENS_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+// All-lowercase and all-uppercase addresses carry no checksum and are
+// accepted as is; mixed case must be a correct EIP-55 checksum
+const hasValidChecksum = (address) => {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+
+  try {
+    return getAddress(address) === address;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toChecksumAddress = (address) => getAddress(address.toLowerCase());
+
+// ENS resolvers answer lookup(address) with the wallet's primary name or null
+
+class NoEnsResolver {
+  async lookup() {
+    return null;
+  }
+}
+
+class StaticEnsResolver {
+  constructor(names = {}) {
+    this.names = new Map(Object.entries(names).map(([address, name]) => [address.toLowerCase(), name]));
+  }
+
+  async lookup(address) {
+    return this.names.get(address.toLowerCase()) || null;
+  }
+}
+
+// Reverse record over JSON-RPC. ethers only returns a name whose forward
+// record points back at the address, so nobody can claim someone else's name.
+class RpcEnsResolver {
+  constructor(url) {
+    this.provider = new JsonRpcProvider(url);
+  }
+
+  lookup(address) {
+    return this.provider.lookupAddress(address);
+  }
+}
+
+// Keeps names, and misses as '', in a cache.js cache
+class CachedEnsResolver {
+  constructor(resolver, cache, ttlMs = ENS_CACHE_TTL_MS) {
+    this.resolver = resolver;
+    this.cache = cache;
+    this.ttlMs = ttlMs;
+  }
+
+  async lookup(address) {
+    const key = `ens:${address.toLowerCase()}`;
+    const cached = await this.cache.get(key);
+    if (cached !== null) return cached || null;
+
+    const name = await this.resolver.lookup(address);
+    await this.cache.set(key, name || '', this.ttlMs);
+    return name || null;
+  }
+}
+
+const parseEnsNames = (value) => Object.fromEntries((value || '')
+  .split(',')
+  .map(pair => pair.split('=').map(part => part.trim()))
+  .filter(([address, name]) => address && name));
+
+const createEnsResolver = (cache) => {
+  let resolver = new NoEnsResolver();
+  if (process.env.ENS_RPC_URL) {
+    resolver = new RpcEnsResolver(process.env.ENS_RPC_URL);
+  } else if (process.env.ENS_NAMES) {
+    resolver = new StaticEnsResolver(parseEnsNames(process.env.ENS_NAMES));
+  }
+  return cache ? new CachedEnsResolver(resolver, cache) : resolver;
+};
+
+// Adds ensName to each row with a walletAddress. Names are decoration, so a
+// failing resolver leaves them null instead of failing the response.
+const attachEnsNames = async (resolver, rows) => {
+  return Promise.all(rows.map(async (row) => {
+    let ensName = null;
+    try {
+      ensName = await resolver.lookup(row.walletAddress);
+    } catch (error) {
+      console.error('Error resolving ENS name:', error.message);
+    }
+    return { ...row, ensName };
+  }));
+};
+
+module.exports = {
+  SUPPORTED_CHAIN_IDS,
+  hasValidChecksum,
+  toChecksumAddress,
+  NoEnsResolver,
+  StaticEnsResolver,
+  RpcEnsResolver,
+  CachedEnsResolver,
+  createEnsResolver,
+  attachEnsNames
+};
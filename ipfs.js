@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// IPFS content identifiers. Profile pictures are stored as
+// ipfs://<CIDv1 base32>[/path] whatever form the player sent (ipfs://,
+// /ipfs/, a path or subdomain gateway URL, CIDv0 or v1), and API responses
+// serve them through IPFS_GATEWAY.
+//
+//   IPFS_GATEWAY - preferred gateway origin (https://ipfs.io)
+
+const IPFS_GATEWAY = (process.env.IPFS_GATEWAY || 'https://ipfs.io').replace(/\/+$/, '');
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Content types a CID may point at: dag-pb (UnixFS files) and raw blocks
+const CODECS = { 0x70: 'dag-pb', 0x55: 'raw' };
+
+// Multihash function code -> digest length
+const HASHES = { 0x12: 32, 0x13: 64, 0x1e: 32, 0xb220: 32 };
+
+const SHA2_256 = 0x12;
+
+const decodeBase58 = (text) => {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58.indexOf(char);
+    if (digit < 0) return null;
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes]);
+};
+
+const encodeBase58 = (bytes) => {
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let text = '';
+  while (value > 0n) {
+    text = BASE58[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  const zeros = bytes.findIndex(byte => byte !== 0);
+  return '1'.repeat(zeros < 0 ? bytes.length : zeros) + text;
+};
+
+// RFC 4648 base32, lowercase and unpadded as multibase 'b' uses it
+const decodeBase32 = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const digit = BASE32.indexOf(char);
+    if (digit < 0) return null;
+    buffer = (buffer << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const encodeBase32 = (bytes) => {
+  let text = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) {
+    text += BASE32[(buffer << (5 - bits)) & 31];
+  }
+  return text;
+};
+
+// Unsigned LEB128 varint at offset, returns [value, next offset] or null
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  for (let shift = 0; offset < bytes.length && shift < 28; shift += 7) {
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (!(byte & 0x80)) return [value, offset];
+  }
+  return null;
+};
+
+const writeVarint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+};
+
+// True if bytes are exactly one multihash of a known function
+const isMultihash = (bytes) => {
+  const code = readVarint(bytes, 0);
+  const length = code && readVarint(bytes, code[1]);
+  return !!length && HASHES[code[0]] === length[0] && bytes.length - length[1] === length[0];
+};
+
+// Longest CID text and IPFS URL looked at. Real CIDs are well under 128
+// characters, and base58 decoding is quadratic in the length.
+const MAX_CID_LENGTH = 128;
+const MAX_URL_LENGTH = 512;
+
+// { version, codec, multihash } of a CIDv0 (Qm...) or a CIDv1 in base32
+// (b...), base58btc (z...) or hex (f...), or null if it is not a valid CID
+const parseCid = (text) => {
+  if (typeof text !== 'string' || text.length > MAX_CID_LENGTH) return null;
+
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(text)) {
+    const multihash = decodeBase58(text);
+    return multihash.length === 34 && multihash[0] === SHA2_256 && isMultihash(multihash)
+      ? { version: 0, codec: 0x70, multihash }
+      : null;
+  }
+
+  let bytes = null;
+  const body = text.slice(1);
+  if (text[0] === 'b' || text[0] === 'B') {
+    bytes = decodeBase32(body.toLowerCase());
+  } else if (text[0] === 'z') {
+    bytes = decodeBase58(body);
+  } else if (text[0] === 'f' && /^([0-9a-f]{2})+$/i.test(body)) {
+    bytes = Buffer.from(body, 'hex');
+  }
+  if (!bytes || bytes.length === 0) return null;
+
+  const version = readVarint(bytes, 0);
+  const codec = version && version[0] === 1 && readVarint(bytes, version[1]);
+  if (!codec || !CODECS[codec[0]]) return null;
+
+  const multihash = bytes.subarray(codec[1]);
+  return isMultihash(multihash) ? { version: 1, codec: codec[0], multihash } : null;
+};
+
+const formatCidV1 = ({ codec, multihash }) => 'b' + encodeBase32(Buffer.from([...writeVarint(1), ...writeVarint(codec), ...multihash]));
+
+// Canonical CIDv1 base32 form of any CID, or null if it is not one
+const canonicalCid = (text) => {
+  const cid = parseCid(text);
+  return cid ? formatCidV1(cid) : null;
+};
+
+// CIDv0 for a sha2-256 digest, as older tools print them
+const cidV0 = (digest) => encodeBase58(Buffer.from([SHA2_256, 32, ...digest]));
+
+// CIDv1 of data stored as a single raw block, what `ipfs add --cid-version 1`
+// gives for files below the chunk size
+const cidForBytes = (data) => formatCidV1({
+  codec: 0x55,
+  multihash: Buffer.from([SHA2_256, 32, ...crypto.createHash('sha256').update(data).digest()])
+});
+
+// Path inside the CID, '' or '/...' without query or fragment
+const cleanPath = (path) => (path || '').replace(/[?#].*$/, '').replace(/\/+$/, '');
+
+// { cid, path } for ipfs://, /ipfs/, gateway URLs and bare CIDs, with the
+// CID in canonical form, or null
+const parseIpfsUrl = (value) => {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+  const text = value.trim();
+
+  const withPath = (cidText, path) => {
+    const cid = canonicalCid(cidText);
+    const clean = cleanPath(path);
+    if (!cid || clean.split('/').some(segment => segment === '..')) return null;
+    return { cid, path: clean };
+  };
+
+  const native = text.match(/^(?:ipfs:\/\/(?:ipfs\/)?|\/ipfs\/)([^/?#]+)(.*)$/i);
+  if (native) return withPath(native[1], native[2]);
+
+  if (/^https?:\/\//i.test(text)) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      return null;
+    }
+
+    const pathGateway = url.pathname.match(/^\/ipfs\/([^/]+)(.*)$/);
+    if (pathGateway) return withPath(pathGateway[1], pathGateway[2]);
+
+    const subdomain = url.hostname.match(/^([^.]+)\.ipfs\./);
+    if (subdomain) return withPath(subdomain[1], url.pathname);
+    return null;
+  }
+
+  return withPath(text, '');
+};
+
+// ipfs://<canonical CID>[/path], the stored form, or null
+const canonicalUrl = (value) => {
+  const parsed = parseIpfsUrl(value);
+  return parsed ? `ipfs://${parsed.cid}${parsed.path}` : null;
+};
+
+// URL on the preferred gateway for a stored IPFS URL. Anything that is not
+// one is dropped rather than served.
+const gatewayUrl = (value) => {
+  const parsed = value ? parseIpfsUrl(value) : null;
+  return parsed ? `${IPFS_GATEWAY}/ipfs/${parsed.cid}${parsed.path}` : null;
+};
+
+// Row with its profilePictureUrl served through the gateway
+const withGatewayUrl = (row) => ({ ...row, profilePictureUrl: gatewayUrl(row.profilePictureUrl) });
+
+module.exports = {
+  IPFS_GATEWAY,
+  MAX_CID_LENGTH,
+  MAX_URL_LENGTH,
+  parseCid,
+  canonicalCid,
+  cidV0,
+  cidForBytes,
+  parseIpfsUrl,
+  canonicalUrl,
+  gatewayUrl,
+  withGatewayUrl
+};
@@ -0,0 +1,43 @@
+// Leaderboard period helpers. Windows are calendar based in UTC so every
+// player sees the same board regardless of where they are.
+
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'monthly', 'all-time'];
+
+// Start of the window containing `now`, or null for all-time.
+// Weeks start on Monday (ISO 8601).
+const getPeriodStart = (period, now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  switch (period) {
+    case 'daily':
+      return start;
+    case 'weekly': {
+      const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+      return start;
+    }
+    case 'monthly':
+      start.setUTCDate(1);
+      return start;
+    default:
+      return null;
+  }
+};
+
+// End of the window (exclusive), or null for all-time
+const getPeriodEnd = (period, now = new Date()) => {
+  const start = getPeriodStart(period, now);
+  if (!start) return null;
+
+  const end = new Date(start);
+  if (period === 'daily') end.setUTCDate(end.getUTCDate() + 1);
+  if (period === 'weekly') end.setUTCDate(end.getUTCDate() + 7);
+  if (period === 'monthly') end.setUTCMonth(end.getUTCMonth() + 1);
+  return end;
+};
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  getPeriodStart,
+  getPeriodEnd
+};
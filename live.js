@@ -0,0 +1,242 @@
+const { NoEnsResolver, attachEnsNames } = require('./identity');
+const { gatewayUrl, withGatewayUrl } = require('./ipfs');
+require('dotenv').config();
+
+// Live leaderboard and score feed over Server-Sent Events.
+//
+// GET /api/live?period=&difficulty=&limit=&events= streams:
+//   leaderboard - the board's top `limit` on connect, then again with the rank
+//                 changes whenever a submission moves it
+//   score       - every new submission matching the difficulty filter
+//   heartbeat   - every LIVE_HEARTBEAT_MS so clients can spot a dead connection
+// A board is recomputed once per burst of submissions (LIVE_DEBOUNCE_MS) and
+// shared by all of its subscribers. Subscribers are held in this process, so
+// each instance only pushes the submissions it handled itself.
+
+const LIVE_EVENTS = ['score', 'leaderboard'];
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  // Stop nginx from buffering the stream
+  'X-Accel-Buffering': 'no'
+};
+
+const RECONNECT_MS = 5000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Rows that moved, changed score, joined or dropped off between two snapshots
+// of the same board. Dropped rows have rank null, new ones previousRank null.
+const rankChanges = (previous, current) => {
+  const before = new Map(previous.map(row => [row.walletAddress, row]));
+  const changes = [];
+
+  for (const row of current) {
+    const old = before.get(row.walletAddress);
+    before.delete(row.walletAddress);
+    if (!old || old.rank !== row.rank || old.score !== row.score) {
+      changes.push({
+        walletAddress: row.walletAddress,
+        username: row.username,
+        ensName: row.ensName,
+        previousRank: old ? old.rank : null,
+        rank: row.rank,
+        score: row.score
+      });
+    }
+  }
+
+  for (const old of before.values()) {
+    changes.push({
+      walletAddress: old.walletAddress,
+      username: old.username,
+      ensName: old.ensName,
+      previousRank: old.rank,
+      rank: null,
+      score: old.score
+    });
+  }
+
+  return changes;
+};
+
+class LiveFeed {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.ens = options.ens || new NoEnsResolver();
+    this.heartbeatMs = options.heartbeatMs || envInt('LIVE_HEARTBEAT_MS', 15000);
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : envInt('LIVE_DEBOUNCE_MS', 250);
+    this.maxClients = options.maxClients || envInt('LIVE_MAX_CLIENTS', 1000);
+    this.clients = new Set();
+    // Board key -> { period, difficulty, limit, rows, timer, queue }
+    this.boards = new Map();
+    this.heartbeat = null;
+    this.nextEventId = 1;
+  }
+
+  isFull() {
+    return this.clients.size >= this.maxClients;
+  }
+
+  // Turn the response into an event stream for a validated subscription
+  async subscribe(req, res, { period, difficulty, limit, events }) {
+    res.writeHead(200, SSE_HEADERS);
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const client = { res, period, difficulty, limit, events: new Set(events), board: null };
+    this.clients.add(client);
+    req.on('close', () => this.unsubscribe(client));
+    this.startHeartbeat();
+
+    if (!client.events.has('leaderboard')) return;
+
+    client.board = this.boardFor(period, difficulty, limit);
+    await this.refreshBoard(client.board, false);
+    if (this.clients.has(client)) {
+      this.send(client, 'leaderboard', this.boardEvent(client.board, []));
+    }
+  }
+
+  unsubscribe(client) {
+    this.clients.delete(client);
+
+    // Forget boards nobody watches so they are not recomputed
+    if (client.board && ![...this.clients].some(other => other.board === client.board)) {
+      clearTimeout(client.board.timer);
+      this.boards.delete(client.board.key);
+    }
+
+    if (this.clients.size === 0) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  // Push a recorded score and schedule a refresh of the boards it can move.
+  // Never throws, a submission must not fail because of the feed.
+  publishScore(score, user) {
+    const payload = {
+      walletAddress: score.walletAddress,
+      username: user.username,
+      profilePictureUrl: gatewayUrl(user.profilePictureUrl),
+      quizId: score.quizId,
+      attempt: score.attempt,
+      score: score.score,
+      maxScore: score.maxScore,
+      percentage: Math.round(score.percentage),
+      difficulty: score.difficulty,
+      totalScore: user.totalScore,
+      level: user.level,
+      submittedAt: score.createdAt
+    };
+
+    for (const client of this.clients) {
+      if (client.events.has('score') && (!client.difficulty || client.difficulty === score.difficulty)) {
+        this.send(client, 'score', payload);
+      }
+    }
+
+    for (const board of this.boards.values()) {
+      if (!board.difficulty || board.difficulty === score.difficulty) {
+        this.scheduleRefresh(board);
+      }
+    }
+  }
+
+  // Recompute every watched board, for changes that aren't a new score such
+  // as a moderator removing one
+  refreshBoards() {
+    for (const board of this.boards.values()) {
+      this.scheduleRefresh(board);
+    }
+  }
+
+  boardFor(period, difficulty, limit) {
+    const key = `${period}:${difficulty || '*'}:${limit}`;
+    if (!this.boards.has(key)) {
+      this.boards.set(key, { key, period, difficulty, limit, rows: null, timer: null, queue: Promise.resolve() });
+    }
+    return this.boards.get(key);
+  }
+
+  boardEvent(board, changes) {
+    return {
+      period: board.period,
+      difficulty: board.difficulty,
+      leaderboard: board.rows || [],
+      changes,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  scheduleRefresh(board) {
+    if (board.timer) return;
+    board.timer = setTimeout(() => {
+      board.timer = null;
+      this.refreshBoard(board, true);
+    }, this.debounceMs);
+  }
+
+  // Recompute the board, one refresh at a time. A subscriber joining a board
+  // that already has rows reuses them. With broadcast set, subscribers get the
+  // new board if anything changed.
+  refreshBoard(board, broadcast) {
+    board.queue = board.queue.then(async () => {
+      if (!broadcast && board.rows) return;
+
+      try {
+        const rows = (await attachEnsNames(this.ens, await this.database.getLeaderboard(board.limit, {
+          period: board.period,
+          difficulty: board.difficulty
+        }))).map(withGatewayUrl);
+        const changes = rankChanges(board.rows || [], rows);
+        board.rows = rows;
+
+        if (broadcast && changes.length > 0) {
+          const event = this.boardEvent(board, changes);
+          for (const client of this.clients) {
+            if (client.board === board) this.send(client, 'leaderboard', event);
+          }
+        }
+      } catch (error) {
+        console.error('Error refreshing live leaderboard:', error);
+      }
+    });
+    return board.queue;
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      const time = new Date().toISOString();
+      for (const client of this.clients) {
+        this.send(client, 'heartbeat', { time });
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  send(client, event, data) {
+    if (client.res.writableEnded) return;
+    client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // End every stream, used on shutdown
+  close() {
+    for (const client of [...this.clients]) {
+      client.res.end();
+      this.unsubscribe(client);
+    }
+  }
+}
+
+module.exports = {
+  LIVE_EVENTS,
+  LiveFeed,
+  rankChanges
+};
@@ -0,0 +1,73 @@
+// Collections and indexes that were created by Database.initializeCollections
+// before migrations existed. createCollection/createIndex are skipped or
+// no-ops when they already exist, so this is safe on existing databases.
+
+const SCHEMA = {
+  users: [
+    [{ walletAddress: 1 }, { unique: true, name: 'wallet_address_unique' }],
+    [{ username: 1 }, { name: 'username_index' }],
+    [{ totalScore: -1 }, { name: 'total_score_desc' }],
+    [{ totalScore: -1, createdAt: 1, _id: 1 }, { name: 'total_score_rank' }],
+    [{ createdAt: -1 }, { name: 'created_at_desc' }]
+  ],
+  scores: [
+    [{ walletAddress: 1, quizId: 1 }, { unique: true, name: 'wallet_quiz_unique' }],
+    [{ walletAddress: 1 }, { name: 'wallet_address_scores' }],
+    [{ createdAt: -1 }, { name: 'created_at_scores_desc' }],
+    [{ difficulty: 1 }, { name: 'difficulty_index' }],
+    [{ difficulty: 1, createdAt: -1 }, { name: 'difficulty_created_at' }],
+    [{ walletAddress: 1, createdAt: -1 }, { name: 'wallet_created_at' }]
+  ],
+  auth_nonces: [
+    [{ walletAddress: 1 }, { unique: true, name: 'auth_nonce_wallet_unique' }],
+    [{ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'auth_nonce_ttl' }]
+  ],
+  user_achievements: [
+    [{ walletAddress: 1, achievementId: 1 }, { unique: true, name: 'wallet_achievement_unique' }]
+  ],
+  // One claim per wallet+quiz
+  reward_claims: [
+    [{ walletAddress: 1, quizId: 1 }, { unique: true, name: 'wallet_quiz_claim_unique' }],
+    [{ walletAddress: 1, createdAt: -1 }, { name: 'wallet_claims_created_at' }]
+  ],
+  quizzes: [
+    [{ quizId: 1 }, { unique: true, name: 'quiz_id_unique' }],
+    [{ status: 1, difficulty: 1, createdAt: -1 }, { name: 'quiz_status_difficulty' }],
+    [{ tags: 1 }, { name: 'quiz_tags' }]
+  ],
+  questions: [
+    [{ quizId: 1, order: 1 }, { name: 'quiz_questions_order' }],
+    [{ tags: 1 }, { name: 'question_tags' }]
+  ],
+  quiz_sessions: [
+    [{ walletAddress: 1, quizId: 1 }, { name: 'wallet_quiz_sessions' }]
+  ]
+};
+
+module.exports = {
+  description: 'Create core collections and indexes',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+
+    for (const [name, indexes] of Object.entries(SCHEMA)) {
+      if (!existing.includes(name)) {
+        await db.createCollection(name);
+      }
+      for (const [keys, options] of indexes) {
+        await db.collection(name).createIndex(keys, options);
+      }
+    }
+  },
+
+  // Drops the indexes only, data is never removed by a down migration
+  async down(db) {
+    for (const [name, indexes] of Object.entries(SCHEMA)) {
+      for (const [, options] of indexes) {
+        if (await db.collection(name).indexExists(options.name)) {
+          await db.collection(name).dropIndex(options.name);
+        }
+      }
+    }
+  }
+};
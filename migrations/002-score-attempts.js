@@ -0,0 +1,35 @@
+// Allow quiz retakes: scores become numbered attempts and the one-score-per-quiz
+// index is replaced by one per wallet, quiz and attempt. Existing scores are
+// the first attempt.
+
+module.exports = {
+  description: 'Number score attempts and allow retakes',
+
+  async up(db) {
+    const scores = db.collection('scores');
+
+    await scores.updateMany({ attempt: { $exists: false } }, { $set: { attempt: 1 } });
+    // Create the new index before dropping the old one so scores are never unguarded
+    await scores.createIndex(
+      { walletAddress: 1, quizId: 1, attempt: 1 },
+      { unique: true, name: 'wallet_quiz_attempt_unique' }
+    );
+    if (await scores.indexExists('wallet_quiz_unique')) {
+      await scores.dropIndex('wallet_quiz_unique');
+    }
+  },
+
+  // Only possible while nobody has retaken a quiz; the attempt field is kept
+  async down(db) {
+    const scores = db.collection('scores');
+
+    if (await scores.countDocuments({ attempt: { $gt: 1 } }) > 0) {
+      throw new Error('Cannot restore wallet_quiz_unique while scores contain retakes');
+    }
+
+    await scores.createIndex({ walletAddress: 1, quizId: 1 }, { unique: true, name: 'wallet_quiz_unique' });
+    if (await scores.indexExists('wallet_quiz_attempt_unique')) {
+      await scores.dropIndex('wallet_quiz_attempt_unique');
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// Denormalize the number of distinct quizzes each user has played onto
+// users.quizCount, so the lifetime leaderboard no longer joins every score.
+// Score submissions keep it up to date from here on.
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Store quizCount on users',
+
+  async up(db) {
+    const counts = db.collection('scores').aggregate([
+      { $group: { _id: { walletAddress: '$walletAddress', quizId: '$quizId' } } },
+      { $group: { _id: '$_id.walletAddress', quizCount: { $sum: 1 } } }
+    ]);
+
+    await db.collection('users').updateMany({}, { $set: { quizCount: 0 } });
+
+    let operations = [];
+    for await (const row of counts) {
+      operations.push({
+        updateOne: { filter: { walletAddress: row._id }, update: { $set: { quizCount: row.quizCount } } }
+      });
+      if (operations.length === BATCH_SIZE) {
+        await db.collection('users').bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      await db.collection('users').bulkWrite(operations, { ordered: false });
+    }
+  },
+
+  async down(db) {
+    await db.collection('users').updateMany({}, { $unset: { quizCount: '' } });
+  }
+};
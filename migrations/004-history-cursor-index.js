@@ -0,0 +1,25 @@
+// Score history pages by (createdAt, _id) keyset cursors. Extend the wallet
+// history index with _id so a page is one index range scan.
+
+module.exports = {
+  description: 'Index score history by wallet, createdAt and _id',
+
+  async up(db) {
+    const scores = db.collection('scores');
+
+    await scores.createIndex({ walletAddress: 1, createdAt: -1, _id: -1 }, { name: 'wallet_created_at_id' });
+    // The new index covers every query the old one served
+    if (await scores.indexExists('wallet_created_at')) {
+      await scores.dropIndex('wallet_created_at');
+    }
+  },
+
+  async down(db) {
+    const scores = db.collection('scores');
+
+    await scores.createIndex({ walletAddress: 1, createdAt: -1 }, { name: 'wallet_created_at' });
+    if (await scores.indexExists('wallet_created_at_id')) {
+      await scores.dropIndex('wallet_created_at_id');
+    }
+  }
+};
@@ -0,0 +1,22 @@
+// Queue of scores flagged by the anomaly rules in anomalies.js. One review per
+// score; moderators list them by status, newest first.
+
+module.exports = {
+  description: 'Create the score review queue',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('score_reviews')) {
+      await db.createCollection('score_reviews');
+    }
+
+    const reviews = db.collection('score_reviews');
+    await reviews.createIndex({ scoreId: 1 }, { unique: true, name: 'score_review_unique' });
+    await reviews.createIndex({ status: 1, createdAt: -1 }, { name: 'review_status_created_at' });
+    await reviews.createIndex({ walletAddress: 1, createdAt: -1 }, { name: 'wallet_reviews_created_at' });
+  },
+
+  async down(db) {
+    await db.collection('score_reviews').drop();
+  }
+};
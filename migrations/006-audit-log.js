@@ -0,0 +1,24 @@
+// Audit log of moderator and admin actions (bans, voided or deleted scores,
+// renames). Entries are only ever inserted; they are listed newest first,
+// optionally for one actor, action or target.
+
+module.exports = {
+  description: 'Create the moderation audit log',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('audit_log')) {
+      await db.createCollection('audit_log');
+    }
+
+    const auditLog = db.collection('audit_log');
+    await auditLog.createIndex({ createdAt: -1 }, { name: 'audit_created_at' });
+    await auditLog.createIndex({ actor: 1, createdAt: -1 }, { name: 'audit_actor_created_at' });
+    await auditLog.createIndex({ action: 1, createdAt: -1 }, { name: 'audit_action_created_at' });
+    await auditLog.createIndex({ targetId: 1, createdAt: -1 }, { name: 'audit_target_created_at' });
+  },
+
+  async down(db) {
+    await db.collection('audit_log').drop();
+  }
+};
@@ -0,0 +1,77 @@
+// Usernames become unique ignoring case, so nobody can pose as another
+// player on the leaderboard. Where wallets already share a name the earliest
+// account keeps it and the others get their wallet prefix appended; those
+// renames are recorded in username_history like any other.
+
+const COLLATION = { locale: 'en', strength: 2 };
+const MAX_USERNAME_LENGTH = 30;
+
+// username_<first hex digits of the wallet>, trimmed to fit
+const disambiguate = (user, digits) => {
+  const suffix = `_${user.walletAddress.slice(2, 2 + digits)}`;
+  return user.username.slice(0, MAX_USERNAME_LENGTH - suffix.length) + suffix;
+};
+
+module.exports = {
+  description: 'Make usernames unique ignoring case and keep rename history',
+
+  async up(db) {
+    const users = db.collection('users');
+    const history = db.collection('username_history');
+
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('username_history')) {
+      await db.createCollection('username_history');
+    }
+    await history.createIndex({ walletAddress: 1, changedAt: -1 }, { name: 'wallet_username_history' });
+
+    const clashes = await users.aggregate([
+      { $match: { username: { $type: 'string' } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: { $toLower: '$username' }, users: { $push: { _id: '$_id', walletAddress: '$walletAddress', username: '$username' } } } },
+      { $match: { 'users.1': { $exists: true } } }
+    ]).toArray();
+
+    const taken = async (username) => (await users.countDocuments({ username }, { collation: COLLATION })) > 0;
+    for (const clash of clashes) {
+      for (const user of clash.users.slice(1)) {
+        let digits = 4;
+        let username = disambiguate(user, digits);
+        while (await taken(username) && digits < 40) {
+          username = disambiguate(user, ++digits);
+        }
+
+        const changedAt = new Date();
+        await users.updateOne({ _id: user._id }, { $set: { username, updatedAt: changedAt } });
+        await history.insertOne({
+          walletAddress: user.walletAddress,
+          username: user.username,
+          newUsername: username,
+          changedBy: 'migration',
+          changedAt
+        });
+      }
+    }
+
+    // Partial so legacy rows without a username don't clash with each other
+    await users.createIndex({ username: 1 }, {
+      unique: true,
+      collation: COLLATION,
+      partialFilterExpression: { username: { $type: 'string' } },
+      name: 'username_unique'
+    });
+    if (await users.indexExists('username_index')) {
+      await users.dropIndex('username_index');
+    }
+  },
+
+  async down(db) {
+    const users = db.collection('users');
+
+    await users.createIndex({ username: 1 }, { name: 'username_index' });
+    if (await users.indexExists('username_unique')) {
+      await users.dropIndex('username_unique');
+    }
+    await db.collection('username_history').drop();
+  }
+};
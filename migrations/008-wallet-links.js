@@ -0,0 +1,22 @@
+// Extra wallets linked to a player's profile. A wallet can be linked to one
+// profile only and signs in as that profile; profiles list their links in
+// the order they were added.
+
+module.exports = {
+  description: 'Create wallet links for multi-wallet profiles',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('wallet_links')) {
+      await db.createCollection('wallet_links');
+    }
+
+    const links = db.collection('wallet_links');
+    await links.createIndex({ walletAddress: 1 }, { unique: true, name: 'wallet_link_unique' });
+    await links.createIndex({ profileWallet: 1, linkedAt: 1 }, { name: 'profile_wallet_links' });
+  },
+
+  async down(db) {
+    await db.collection('wallet_links').drop();
+  }
+};
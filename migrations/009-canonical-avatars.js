@@ -0,0 +1,37 @@
+// Profile pictures used to be any URL containing "ipfs". Rewrite the ones
+// that hold a valid CID to ipfs://<CIDv1 base32>[/path], as new profiles are
+// stored, and clear the rest so they are never served.
+
+const ipfs = require('../ipfs');
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Store profile pictures as canonical ipfs:// URLs',
+
+  async up(db) {
+    const users = db.collection('users')
+      .find({ profilePictureUrl: { $type: 'string' } })
+      .project({ profilePictureUrl: 1 });
+
+    let operations = [];
+    for await (const user of users) {
+      const canonical = ipfs.canonicalUrl(user.profilePictureUrl);
+      if (canonical === user.profilePictureUrl) continue;
+
+      operations.push({
+        updateOne: { filter: { _id: user._id }, update: { $set: { profilePictureUrl: canonical } } }
+      });
+      if (operations.length === BATCH_SIZE) {
+        await db.collection('users').bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      await db.collection('users').bulkWrite(operations, { ordered: false });
+    }
+  },
+
+  // Canonical URLs were valid before too; cleared ones can't be restored
+  async down() {}
+};
@@ -0,0 +1,23 @@
+// Who follows whom. follow_unique answers "does A follow B" and lists the
+// wallets A follows for the friends leaderboard straight from the index;
+// the createdAt indexes page follower and following lists newest first.
+
+module.exports = {
+  description: 'Create follows for the social graph',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('follows')) {
+      await db.createCollection('follows');
+    }
+
+    const follows = db.collection('follows');
+    await follows.createIndex({ follower: 1, following: 1 }, { unique: true, name: 'follow_unique' });
+    await follows.createIndex({ follower: 1, createdAt: -1, _id: -1 }, { name: 'following_created_at' });
+    await follows.createIndex({ following: 1, createdAt: -1, _id: -1 }, { name: 'followers_created_at' });
+  },
+
+  async down(db) {
+    await db.collection('follows').drop();
+  }
+};
@@ -0,0 +1,25 @@
+// Head-to-head challenges. The wallet/createdAt indexes page each player's
+// challenges newest first, the wallet/quizId indexes find the open
+// challenges a new score counts for, and status_deadline finds overdue ones.
+
+module.exports = {
+  description: 'Create challenges for head-to-head quizzes',
+
+  async up(db) {
+    const existing = (await db.listCollections().toArray()).map(col => col.name);
+    if (!existing.includes('challenges')) {
+      await db.createCollection('challenges');
+    }
+
+    const challenges = db.collection('challenges');
+    await challenges.createIndex({ challenger: 1, createdAt: -1, _id: -1 }, { name: 'challenger_created_at' });
+    await challenges.createIndex({ opponent: 1, createdAt: -1, _id: -1 }, { name: 'opponent_created_at' });
+    await challenges.createIndex({ challenger: 1, quizId: 1, status: 1 }, { name: 'challenger_quiz_status' });
+    await challenges.createIndex({ opponent: 1, quizId: 1, status: 1 }, { name: 'opponent_quiz_status' });
+    await challenges.createIndex({ status: 1, deadline: 1 }, { name: 'status_deadline' });
+  },
+
+  async down(db) {
+    await db.collection('challenges').drop();
+  }
+};
@@ -0,0 +1,33 @@
+// Mark every score as graded (recorded from a server-graded quiz session) or
+// self-reported, so self-reported scores can be told apart and kept out of
+// rewards. Graded scores are the ones a submitted session points to.
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Mark scores as graded or self-reported',
+
+  async up(db) {
+    await db.collection('scores').updateMany({ graded: { $exists: false } }, { $set: { graded: false } });
+
+    const sessions = db.collection('quiz_sessions')
+      .find({ scoreId: { $ne: null } })
+      .project({ scoreId: 1 });
+
+    let scoreIds = [];
+    for await (const session of sessions) {
+      scoreIds.push(session.scoreId);
+      if (scoreIds.length === BATCH_SIZE) {
+        await db.collection('scores').updateMany({ _id: { $in: scoreIds } }, { $set: { graded: true } });
+        scoreIds = [];
+      }
+    }
+    if (scoreIds.length > 0) {
+      await db.collection('scores').updateMany({ _id: { $in: scoreIds } }, { $set: { graded: true } });
+    }
+  },
+
+  async down(db) {
+    await db.collection('scores').updateMany({}, { $unset: { graded: '' } });
+  }
+};
@@ -0,0 +1,59 @@
+// Migration command line
+//   node migrations/migrate.js [up|down|status] [--dry-run] [--to <version>] [--steps <n>]
+// up applies pending migrations (optionally up to --to), down reverts the last
+// --steps applied migrations (default 1), status lists every migration.
+const database = require('../database');
+const Migrator = require('./migrator');
+
+const parseArgs = (argv) => {
+  const args = { command: 'up', dryRun: false, to: null, steps: 1 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--steps') args.steps = parseInt(argv[++i]);
+    else if (!arg.startsWith('--')) args.command = arg;
+  }
+
+  return args;
+};
+
+const describe = (entry) => `${entry.version}-${entry.name}`;
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  let exitCode = 0;
+
+  try {
+    await database.connect({ runMigrations: false });
+    const migrator = new Migrator(database.db);
+
+    if (args.command === 'status') {
+      for (const entry of await migrator.status()) {
+        console.log(`${entry.appliedAt ? 'applied ' + entry.appliedAt.toISOString() : 'pending'}\t${describe(entry)}`);
+      }
+    } else if (args.command === 'up') {
+      const applied = await migrator.up({ dryRun: args.dryRun, to: args.to });
+      const verb = args.dryRun ? 'Would apply' : 'Applied';
+      console.log(applied.length ? `${verb}: ${applied.map(describe).join(', ')}` : 'No pending migrations');
+    } else if (args.command === 'down') {
+      if (!Number.isInteger(args.steps) || args.steps < 1) {
+        throw new Error('--steps must be a positive whole number');
+      }
+      const reverted = await migrator.down({ dryRun: args.dryRun, steps: args.steps });
+      const verb = args.dryRun ? 'Would revert' : 'Reverted';
+      console.log(reverted.length ? `${verb}: ${reverted.map(describe).join(', ')}` : 'No applied migrations');
+    } else {
+      throw new Error(`Unknown command "${args.command}", use up, down or status`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    exitCode = 1;
+  }
+
+  await database.close();
+  process.exit(exitCode);
+};
+
+run();
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Runs numbered migration files (NNN-description.js) from this directory.
+// Applied versions are recorded in the `migrations` collection and a single
+// document in `migration_lock` makes sure only one process migrates at a time.
+// The holder renews the lock while it works, so a long migration never looks
+// abandoned, and checks it still holds the lock before recording each one.
+
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+const LOCK_ID = 'migration_lock';
+
+class Migrator {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || __dirname;
+    this.lockTtlMs = options.lockTtlMs || 5 * 60 * 1000; // Locks older than this are stale
+    this.lockWaitMs = options.lockWaitMs || 60 * 1000;
+    this.pollMs = options.pollMs || 500;
+    this.logger = options.logger || console;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // All migration files sorted by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(match => ({
+        version: match[1],
+        name: match[2],
+        file: path.join(this.directory, match[0])
+      }))
+      .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+    const duplicate = migrations.find((migration, index) =>
+      index > 0 && parseInt(migration.version) === parseInt(migrations[index - 1].version));
+    if (duplicate) {
+      throw new Error(`Duplicate migration version ${duplicate.version}`);
+    }
+
+    return migrations;
+  }
+
+  async ensureTrackingIndex() {
+    await this.db.collection('migrations').createIndex(
+      { version: 1 },
+      { unique: true, name: 'migration_version_unique' }
+    );
+  }
+
+  async getApplied() {
+    return this.db.collection('migrations')
+      .find({})
+      .sort({ version: 1 })
+      .toArray();
+  }
+
+  // Every known migration with when it was applied, null if pending
+  async status() {
+    const applied = new Map((await this.getApplied()).map(entry => [entry.version, entry]));
+
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null
+    }));
+  }
+
+  // Apply pending migrations in order, up to and including `to` if given
+  async up({ dryRun = false, to = null } = {}) {
+    const run = async () => {
+      if (!dryRun) {
+        await this.ensureTrackingIndex();
+      }
+      const statuses = await this.status();
+      const pending = statuses.filter(entry => !entry.appliedAt &&
+        (to === null || parseInt(entry.version) <= parseInt(to)));
+
+      if (dryRun || pending.length === 0) {
+        return pending;
+      }
+
+      const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+      for (const entry of pending) {
+        const migration = migrations.get(entry.version);
+        const definition = require(migration.file);
+        const startedAt = Date.now();
+
+        this.logger.log(`Applying migration ${migration.version}-${migration.name}`);
+        await definition.up(this.db);
+        await this.assertLockHeld();
+
+        await this.db.collection('migrations').insertOne({
+          version: migration.version,
+          name: migration.name,
+          description: definition.description || null,
+          appliedAt: new Date(),
+          durationMs: Date.now() - startedAt
+        });
+      }
+
+      return pending;
+    };
+
+    return dryRun ? run() : this.withLock(run);
+  }
+
+  // Revert the last `steps` applied migrations, newest first
+  async down({ dryRun = false, steps = 1 } = {}) {
+    const run = async () => {
+      const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+      const applied = (await this.getApplied()).reverse().slice(0, steps);
+
+      const missing = applied.find(entry => !migrations.has(entry.version));
+      if (missing) {
+        throw new Error(`Migration file for applied version ${missing.version}-${missing.name} not found`);
+      }
+
+      const reverting = applied.map(entry => ({ version: entry.version, name: entry.name, appliedAt: entry.appliedAt }));
+
+      if (dryRun) {
+        return reverting;
+      }
+
+      for (const entry of reverting) {
+        const definition = require(migrations.get(entry.version).file);
+
+        if (typeof definition.down !== 'function') {
+          throw new Error(`Migration ${entry.version}-${entry.name} cannot be reverted`);
+        }
+
+        this.logger.log(`Reverting migration ${entry.version}-${entry.name}`);
+        await definition.down(this.db);
+        await this.assertLockHeld();
+        await this.db.collection('migrations').deleteOne({ version: entry.version });
+      }
+
+      return reverting;
+    };
+
+    return dryRun ? run() : this.withLock(run);
+  }
+
+  // Run fn while holding the migration lock, waiting up to lockWaitMs for another
+  // process to finish. A lock not renewed for lockTtlMs is treated as abandoned.
+  async withLock(fn) {
+    const deadline = Date.now() + this.lockWaitMs;
+
+    while (!(await this.acquireLock())) {
+      if (Date.now() >= deadline) {
+        throw new Error('MIGRATION_LOCK_TIMEOUT');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollMs));
+    }
+
+    const heartbeat = setInterval(() => {
+      this.renewLock().catch(error => console.error('Failed to renew migration lock:', error));
+    }, Math.max(Math.floor(this.lockTtlMs / 3), 1));
+    heartbeat.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLock();
+    }
+  }
+
+  async acquireLock() {
+    const now = new Date();
+    const lock = {
+      owner: this.owner,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + this.lockTtlMs)
+    };
+
+    try {
+      await this.db.collection('migration_lock').insertOne({ _id: LOCK_ID, ...lock });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    // Take over a stale lock left behind by a crashed process
+    const takenOver = await this.db.collection('migration_lock').findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lt: now } },
+      { $set: lock },
+      { returnDocument: 'after' }
+    );
+
+    return !!takenOver && takenOver.owner === this.owner;
+  }
+
+  // Push the lock's expiry out again. False if another process took it over.
+  async renewLock() {
+    const result = await this.db.collection('migration_lock').updateOne(
+      { _id: LOCK_ID, owner: this.owner },
+      { $set: { expiresAt: new Date(Date.now() + this.lockTtlMs) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async assertLockHeld() {
+    if (!(await this.renewLock())) {
+      throw new Error('MIGRATION_LOCK_LOST');
+    }
+  }
+
+  async releaseLock() {
+    await this.db.collection('migration_lock').deleteOne({ _id: LOCK_ID, owner: this.owner });
+  }
+}
+
+module.exports = Migrator;
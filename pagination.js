@@ -0,0 +1,27 @@
+// Opaque cursors for keyset pagination. A cursor holds the sort key of the
+// last row served, as base64url encoded JSON; clients only pass it back.
+// Unlike offsets, pages stay stable while new rows arrive mid-scroll.
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// The decoded object, or null if the cursor is not one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Split a limit + 1 query result into the page and whether more rows follow
+const takePage = (rows, limit) => ({
+  rows: rows.slice(0, limit),
+  hasMore: rows.length > limit
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  takePage
+};
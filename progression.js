@@ -0,0 +1,112 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Level progression. Every score earns XP weighted by difficulty and a
+// user's level is the highest threshold their XP has reached.
+// Set PROGRESSION_CONFIG to a JSON file with `levels` and/or
+// `difficultyWeights` to override the defaults below.
+
+const DEFAULT_LEVELS = [
+  { name: 'beginner', minXp: 0 },
+  { name: 'intermediate', minXp: 200 },
+  { name: 'advanced', minXp: 600 },
+  { name: 'expert', minXp: 1500 },
+  { name: 'master', minXp: 4000 }
+];
+
+const DEFAULT_DIFFICULTY_WEIGHTS = {
+  easy: 1,
+  beginner: 1,
+  medium: 1.5,
+  intermediate: 1.5,
+  hard: 2,
+  advanced: 2
+};
+
+const loadConfig = () => {
+  if (!process.env.PROGRESSION_CONFIG) {
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(process.env.PROGRESSION_CONFIG, 'utf8'));
+
+  if (config.levels) {
+    const valid = Array.isArray(config.levels) && config.levels.length > 0 &&
+      config.levels[0].minXp === 0 &&
+      config.levels.every((level, index) => typeof level.name === 'string' &&
+        Number.isFinite(level.minXp) &&
+        (index === 0 || level.minXp > config.levels[index - 1].minXp));
+
+    if (!valid) {
+      throw new Error('PROGRESSION_CONFIG levels must start at minXp 0 and increase strictly');
+    }
+  }
+
+  return config;
+};
+
+const config = loadConfig();
+
+const LEVELS = config.levels || DEFAULT_LEVELS;
+const DIFFICULTY_WEIGHTS = { ...DEFAULT_DIFFICULTY_WEIGHTS, ...(config.difficultyWeights || {}) };
+
+// XP earned for a single score. Rounded down so the batch recompute in
+// MongoDB ($floor) always agrees with the per-score value.
+const xpForScore = (score, difficulty) => {
+  const weight = DIFFICULTY_WEIGHTS[difficulty] || 1;
+  return Math.floor(score * weight);
+};
+
+// Highest level whose threshold the XP has reached
+const levelForXp = (xp) => {
+  let current = LEVELS[0];
+  for (const level of LEVELS) {
+    if (xp >= level.minXp) {
+      current = level;
+    }
+  }
+  return current.name;
+};
+
+// The next level and how much XP it needs, or null at the top level
+const nextLevelFor = (xp) => {
+  const next = LEVELS.find(level => level.minXp > xp);
+  return next ? { name: next.name, minXp: next.minXp, xpNeeded: next.minXp - xp } : null;
+};
+
+// Aggregation expression that maps an XP field to a level name,
+// used so the level is recomputed inside the same atomic update as the XP
+const levelExpression = (xpField) => ({
+  $switch: {
+    branches: LEVELS.slice(1).reverse().map(level => ({
+      case: { $gte: [xpField, level.minXp] },
+      then: level.name
+    })),
+    default: LEVELS[0].name
+  }
+});
+
+// Aggregation expression for the XP of one score document
+const xpExpression = (scoreField, difficultyField) => ({
+  $floor: {
+    $multiply: [scoreField, {
+      $switch: {
+        branches: Object.entries(DIFFICULTY_WEIGHTS).map(([difficulty, weight]) => ({
+          case: { $eq: [difficultyField, difficulty] },
+          then: weight
+        })),
+        default: 1
+      }
+    }]
+  }
+});
+
+module.exports = {
+  LEVELS,
+  DIFFICULTY_WEIGHTS,
+  xpForScore,
+  levelForXp,
+  nextLevelFor,
+  levelExpression,
+  xpExpression
+};
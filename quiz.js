@@ -0,0 +1,88 @@
+// Quiz content limits and grading helpers. Questions are graded on the server so the
+// client never sees correct answers before a session is submitted. Quiz and
+// question schemas live in validation.js.
+
+const DEFAULT_SESSION_MINUTES = parseInt(process.env.QUIZ_SESSION_MINUTES) || 30;
+
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'beginner', 'intermediate', 'advanced'];
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'multi_select'];
+const QUIZ_STATUSES = ['draft', 'published', 'retired'];
+
+const MAX_OPTIONS = 10;
+const MAX_TAGS = 10;
+
+// Strip everything the client must not see before submitting
+const toPublicQuestion = (question) => ({
+  id: question._id,
+  type: question.type,
+  prompt: question.prompt,
+  options: question.options,
+  points: question.points
+});
+
+// Returns true if the submitted answer is correct for the question
+const isCorrectAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'multiple_choice':
+      return Number.isInteger(answer) && answer === question.correctAnswer;
+    case 'true_false':
+      return typeof answer === 'boolean' && answer === question.correctAnswer;
+    case 'multi_select': {
+      // All correct options and nothing else, in any order
+      if (!Array.isArray(answer)) return false;
+      const picked = new Set(answer);
+      return picked.size === answer.length &&
+        picked.size === question.correctAnswer.length &&
+        question.correctAnswer.every(index => picked.has(index));
+    }
+    default:
+      return false;
+  }
+};
+
+// Grade a list of { questionId, answer } against the session's questions.
+// Unanswered and unknown questions score zero. Results say whether each
+// answer was right but never what the right answer is: quizzes can be
+// retaken, so revealing answers would hand out 100% on the next attempt.
+const gradeAnswers = (questions, answers) => {
+  const answersById = new Map();
+  for (const entry of answers) {
+    if (entry && entry.questionId !== undefined && !answersById.has(String(entry.questionId))) {
+      answersById.set(String(entry.questionId), entry.answer);
+    }
+  }
+
+  let score = 0;
+  let maxScore = 0;
+
+  const results = questions.map(question => {
+    const answer = answersById.get(String(question._id));
+    const correct = answer !== undefined && isCorrectAnswer(question, answer);
+    const points = question.points || 1;
+
+    maxScore += points;
+    if (correct) {
+      score += points;
+    }
+
+    return {
+      questionId: question._id,
+      answer: answer === undefined ? null : answer,
+      correct
+    };
+  });
+
+  return { score, maxScore, results };
+};
+
+module.exports = {
+  DEFAULT_SESSION_MINUTES,
+  VALID_DIFFICULTIES,
+  QUESTION_TYPES,
+  QUIZ_STATUSES,
+  MAX_OPTIONS,
+  MAX_TAGS,
+  toPublicQuestion,
+  isCorrectAnswer,
+  gradeAnswers
+};
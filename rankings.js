@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { getPeriodStart } = require('./leaderboard');
+const { NoEnsResolver, attachEnsNames } = require('./identity');
+const { withGatewayUrl } = require('./ipfs');
+require('dotenv').config();
+
+// Materialized leaderboard snapshots. A board is computed once and served
+// from the cache until a submission or profile change calls invalidate(),
+// which bumps a shared version so every instance stops using the old keys.
+// Keys carry the period start, so daily/weekly/monthly boards roll over on
+// their own. LEADERBOARD_CACHE_TTL_MS bounds how long a snapshot can outlive
+// writes that skip invalidate() (seeding, reconciliation). Rows carry the
+// players' ENS names from options.ens as of when the snapshot was taken, and
+// profile pictures on the preferred IPFS gateway.
+
+const VERSION_KEY = 'leaderboard:version';
+const UPDATED_AT_KEY = 'leaderboard:updatedAt';
+
+class Rankings {
+  constructor(database, cache, options = {}) {
+    this.database = database;
+    this.cache = cache;
+    this.ens = options.ens || new NoEnsResolver();
+    this.ttlMs = options.ttlMs || parseInt(process.env.LEADERBOARD_CACHE_TTL_MS) || 60000;
+    // Last-Modified until the first invalidation is recorded
+    this.startedAt = Date.now();
+  }
+
+  // { leaderboard, hasMore, nextCursor, etag, lastModified, generatedAt } for
+  // a page of the board; cursor is a decoded nextCursor
+  async getLeaderboard(limit, { period = 'all-time', difficulty = null, cursor = null } = {}) {
+    const periodStart = getPeriodStart(period);
+    const board = [
+      this.database.scorePolicy, period, periodStart ? periodStart.toISOString() : 'all', difficulty || '*', limit,
+      cursor ? JSON.stringify(cursor) : 'first'
+    ].join(':');
+    const version = (await this.cache.get(VERSION_KEY)) || '0';
+    const key = `leaderboard:${version}:${board}`;
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const page = await this.database.getLeaderboardPage(limit, { period, difficulty, cursor });
+    page.leaderboard = (await attachEnsNames(this.ens, page.leaderboard)).map(withGatewayUrl);
+    const updatedAt = parseInt(await this.cache.get(UPDATED_AT_KEY)) || this.startedAt;
+    const body = JSON.stringify(page);
+    const snapshot = {
+      ...JSON.parse(body),
+      // Same rows give the same ETag across versions, so clients keep their copy
+      etag: `W/"${crypto.createHash('sha1').update(board).update(body).digest('base64url')}"`,
+      // HTTP dates have one-second precision
+      lastModified: Math.floor(updatedAt / 1000) * 1000,
+      generatedAt: new Date().toISOString()
+    };
+
+    await this.cache.set(key, JSON.stringify(snapshot), this.ttlMs);
+    return snapshot;
+  }
+
+  async invalidate() {
+    await this.cache.incr(VERSION_KEY);
+    await this.cache.set(UPDATED_AT_KEY, Date.now());
+  }
+}
+
+module.exports = { Rankings };
@@ -0,0 +1,87 @@
+const rateLimit = require('express-rate-limit');
+const auth = require('./auth');
+require('dotenv').config();
+
+// Request rate limits. Signed-in requests are counted per wallet, so players
+// behind one NAT don't share a budget; anonymous ones per IP (set TRUST_PROXY
+// behind a load balancer so req.ip is the client). Counters live in each
+// process unless a shared cache is passed, see CacheStore.
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+const TIERS = {
+  // Every /api request
+  api: parseInt(process.env.RATE_LIMIT_MAX) || 120,
+  // Score submissions and profile writes
+  write: parseInt(process.env.RATE_LIMIT_WRITE_MAX) || 10
+};
+
+const rateLimitKey = (req) => {
+  const walletAddress = auth.getTokenWallet(req);
+  return walletAddress ? `wallet:${walletAddress}` : `ip:${req.ip}`;
+};
+
+// express-rate-limit store over cache.js, for limits shared between
+// instances. Fixed windows: one counter per key and window that expires
+// with it.
+class CacheStore {
+  constructor(cache, prefix) {
+    this.cache = cache;
+    this.prefix = `ratelimit:${prefix}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  windowKey(key) {
+    const window = Math.floor(Date.now() / this.windowMs);
+    return { counter: `${this.prefix}${window}:${key}`, resetTime: new Date((window + 1) * this.windowMs) };
+  }
+
+  async increment(key) {
+    const { counter, resetTime } = this.windowKey(key);
+    const totalHits = await this.cache.incr(counter, resetTime - Date.now());
+    return { totalHits, resetTime };
+  }
+
+  // Only used by the skip*Requests options, which these limits don't set
+  async decrement() {}
+
+  async resetKey(key) {
+    await this.cache.del(this.windowKey(key).counter);
+  }
+}
+
+// { api, write } middleware. options.cache shares counters through a
+// cache.js cache; options.limits and options.windowMs override the defaults.
+const createRateLimits = (options = {}) => {
+  const windowMs = options.windowMs || WINDOW_MS;
+  const limits = { ...TIERS, ...options.limits };
+
+  const limiter = (tier) => rateLimit({
+    windowMs,
+    limit: limits[tier],
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: rateLimitKey,
+    store: options.cache ? new CacheStore(options.cache, tier) : undefined,
+    message: {
+      success: false,
+      message: 'Too many requests, please try again later'
+    }
+  });
+
+  return {
+    api: limiter('api'),
+    write: limiter('write')
+  };
+};
+
+module.exports = {
+  TIERS,
+  rateLimitKey,
+  CacheStore,
+  createRateLimits
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { Wallet, verifyTypedData } = require('ethers');
+require('dotenv').config();
+
+// Reward vouchers are EIP-712 typed data signed by REWARD_SIGNER_PRIVATE_KEY.
+// The reward contract checks the signer, the expiry and that the nonce has
+// not been used, then pays `amount` to `wallet`. A claim keeps its nonce when
+// it is re-issued so only one voucher per wallet+quiz can ever be redeemed.
+
+const REWARD_MIN_PERCENTAGE = 70; // 70% minimum for rewards
+const VOUCHER_TTL_SECONDS = (parseInt(process.env.REWARD_VOUCHER_TTL_HOURS) || 24) * 60 * 60;
+
+// Token base units paid per score point (default 0.001 of an 18 decimal token)
+const AMOUNT_PER_POINT = BigInt(process.env.REWARD_AMOUNT_PER_POINT || '1000000000000000');
+
+// Most points one voucher pays for, whatever the quiz's maximum
+const MAX_REWARD_POINTS = parseInt(process.env.REWARD_MAX_POINTS) || 100;
+
+const REWARD_DOMAIN = {
+  name: 'CryptoQuestRewards',
+  version: '1',
+  chainId: parseInt(process.env.REWARD_CHAIN_ID) || 1,
+  verifyingContract: process.env.REWARD_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000'
+};
+
+const VOUCHER_TYPES = {
+  RewardVoucher: [
+    { name: 'wallet', type: 'address' },
+    { name: 'quizId', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+const signer = process.env.REWARD_SIGNER_PRIVATE_KEY
+  ? new Wallet(process.env.REWARD_SIGNER_PRIVATE_KEY)
+  : null;
+
+const isConfigured = () => signer !== null;
+
+const signerAddress = () => (signer ? signer.address : null);
+
+// Only scores the server graded from a quiz session can be rewarded, a
+// self-reported score is whatever the client sent
+const isEligible = (score) => score.graded === true && score.percentage >= REWARD_MIN_PERCENTAGE;
+
+// Reward for a score in token base units, as a decimal string. Points are
+// rounded to whole numbers and capped at MAX_REWARD_POINTS.
+const rewardAmount = (score) => {
+  const points = Math.min(Math.max(Math.round(score.score), 0), MAX_REWARD_POINTS);
+  return (BigInt(points) * AMOUNT_PER_POINT).toString();
+};
+
+// Random uint256 as a decimal string
+const generateVoucherNonce = () => BigInt('0x' + crypto.randomBytes(32).toString('hex')).toString();
+
+const voucherExpiry = (now = new Date()) => Math.floor(now.getTime() / 1000) + VOUCHER_TTL_SECONDS;
+
+const signVoucher = async (voucher) => {
+  if (!signer) {
+    throw new Error('REWARDS_NOT_CONFIGURED');
+  }
+  return signer.signTypedData(REWARD_DOMAIN, VOUCHER_TYPES, voucher);
+};
+
+// Off-chain equivalent of the contract check, returns true if the voucher
+// was signed by our signer and has not expired
+const verifyVoucher = (voucher, signature, now = new Date()) => {
+  try {
+    const recovered = verifyTypedData(REWARD_DOMAIN, VOUCHER_TYPES, voucher, signature);
+    return recovered === signerAddress() && Number(voucher.expiry) > Math.floor(now.getTime() / 1000);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Voucher fields for a stored claim
+const toVoucher = (claim) => ({
+  wallet: claim.walletAddress,
+  quizId: claim.quizId,
+  amount: claim.amount,
+  nonce: claim.nonce,
+  expiry: claim.expiry
+});
+
+module.exports = {
+  REWARD_MIN_PERCENTAGE,
+  MAX_REWARD_POINTS,
+  REWARD_DOMAIN,
+  VOUCHER_TYPES,
+  isConfigured,
+  signerAddress,
+  isEligible,
+  rewardAmount,
+  generateVoucherNonce,
+  voucherExpiry,
+  signVoucher,
+  verifyVoucher,
+  toVoucher
+};
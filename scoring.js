@@ -0,0 +1,113 @@
+require('dotenv').config();
+
+// Quiz retakes. Every submission is kept as a numbered attempt and the
+// scoring policy decides what a quiz contributes to totals and leaderboards:
+//   best    - highest attempt (default)
+//   latest  - most recent attempt
+//   first   - first attempt only, retakes are practice
+//   average - mean of all attempts, rounded down to a whole point
+// Set SCORE_POLICY to choose one. After changing it run
+// `npm run scores:reconcile -- --fix` and `npm run levels:recompute`.
+
+const SCORE_POLICIES = ['best', 'latest', 'first', 'average'];
+
+const loadPolicy = () => {
+  const policy = (process.env.SCORE_POLICY || 'best').toLowerCase();
+  if (!SCORE_POLICIES.includes(policy)) {
+    throw new Error(`SCORE_POLICY must be one of ${SCORE_POLICIES.join(', ')}`);
+  }
+  return policy;
+};
+
+const SCORE_POLICY = loadPolicy();
+
+// Self-reported scores (POST /api/scores for quizIds the server doesn't
+// grade) can't be checked. They are stored with graded: false, bounded by
+// SELF_REPORTED_MAX_SCORE and never earn rewards. Set
+// SELF_REPORTED_SCORES=disabled to only score server-graded quiz sessions.
+const SELF_REPORTED_MODES = ['enabled', 'disabled'];
+
+const loadSelfReported = () => {
+  const mode = (process.env.SELF_REPORTED_SCORES || 'enabled').toLowerCase();
+  if (!SELF_REPORTED_MODES.includes(mode)) {
+    throw new Error(`SELF_REPORTED_SCORES must be one of ${SELF_REPORTED_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+const SELF_REPORTED_SCORES = loadSelfReported();
+const SELF_REPORTED_MAX_SCORE = parseInt(process.env.SELF_REPORTED_MAX_SCORE) || 100;
+
+// Attempt numbers that count under the policy, given a quiz's attempts as
+// { attempt, score }. Ties on best go to the earlier attempt.
+const countedAttempts = (attempts, policy = SCORE_POLICY) => {
+  if (attempts.length === 0) return [];
+
+  const byAttempt = [...attempts].sort((a, b) => a.attempt - b.attempt);
+  switch (policy) {
+    case 'latest':
+      return [byAttempt[byAttempt.length - 1].attempt];
+    case 'first':
+      return [byAttempt[0].attempt];
+    case 'average':
+      return byAttempt.map(entry => entry.attempt);
+    default:
+      return [byAttempt.reduce((best, entry) => (entry.score > best.score ? entry : best)).attempt];
+  }
+};
+
+// What a quiz contributes to the total, 0 before the first attempt
+const countedScore = (attempts, policy = SCORE_POLICY) => {
+  if (attempts.length === 0) return 0;
+
+  const counted = new Set(countedAttempts(attempts, policy));
+  const scores = attempts.filter(entry => counted.has(entry.attempt)).map(entry => entry.score);
+  return policy === 'average'
+    ? Math.floor(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    : scores[0];
+};
+
+// Aggregation stages that reduce matched score documents to one row per
+// wallet and quiz: { _id: { walletAddress, quizId }, score, bestScore,
+// difficulty, attempts, lastScoredAt }. Mirrors countedScore; the difficulty
+// is the first attempt's, as in countedScoreChange.
+const countedScoreStages = (policy = SCORE_POLICY) => {
+  const accumulators = {
+    best: { $max: '$score' },
+    // $max/$min on { attempt, score } picks by attempt number first
+    latest: { $max: { attempt: '$attempt', score: '$score' } },
+    first: { $min: { attempt: '$attempt', score: '$score' } },
+    average: { $avg: '$score' }
+  };
+  const scoreOf = {
+    best: '$counted',
+    latest: '$counted.score',
+    first: '$counted.score',
+    average: { $floor: '$counted' }
+  };
+
+  return [
+    {
+      $group: {
+        _id: { walletAddress: '$walletAddress', quizId: '$quizId' },
+        counted: accumulators[policy],
+        bestScore: { $max: '$score' },
+        firstAttempt: { $min: { attempt: '$attempt', difficulty: '$difficulty' } },
+        attempts: { $sum: 1 },
+        lastScoredAt: { $max: '$createdAt' }
+      }
+    },
+    { $set: { score: scoreOf[policy], difficulty: '$firstAttempt.difficulty' } },
+    { $unset: ['counted', 'firstAttempt'] }
+  ];
+};
+
+module.exports = {
+  SCORE_POLICIES,
+  SCORE_POLICY,
+  SELF_REPORTED_SCORES,
+  SELF_REPORTED_MAX_SCORE,
+  countedAttempts,
+  countedScore,
+  countedScoreStages
+};
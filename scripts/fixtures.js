@@ -0,0 +1,117 @@
+// Deterministic fake data for local development and tests. Everything is
+// drawn from a seeded PRNG, so the same seed always produces the same wallets,
+// usernames, avatars and score histories.
+
+const { VALID_DIFFICULTIES } = require('../quiz');
+const { cidV0 } = require('../ipfs');
+
+const ADJECTIVES = [
+  'brave', 'clever', 'cosmic', 'crypto', 'diamond', 'electric', 'golden', 'hidden',
+  'lucky', 'mighty', 'neon', 'quantum', 'rapid', 'silent', 'stellar', 'swift'
+];
+
+const NOUNS = [
+  'whale', 'miner', 'hodler', 'validator', 'satoshi', 'degen', 'oracle', 'node',
+  'ape', 'builder', 'wizard', 'falcon', 'panda', 'tiger', 'otter', 'phoenix'
+];
+
+// 32-bit hash of a string, used to turn any seed value into a number
+const hashSeed = (value) => {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32 PRNG, returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+const generateWalletAddress = (random) => {
+  let hex = '';
+  for (let i = 0; i < 40; i++) {
+    hex += Math.floor(random() * 16).toString(16);
+  }
+  return '0x' + hex;
+};
+
+// Unique usernames within a run come from the index suffix
+const generateUsername = (random, index) => {
+  return `${pick(random, ADJECTIVES)}_${pick(random, NOUNS)}${index}`;
+};
+
+// ipfs:// URL with a CIDv0 of a random digest
+const generateAvatarUrl = (random) => {
+  const digest = Array.from({ length: 32 }, () => Math.floor(random() * 256));
+  return `ipfs://${cidV0(digest)}`;
+};
+
+// Score out of maxScore, skewed so harder quizzes score lower on average
+const generateScore = (random, difficulty, maxScore) => {
+  const skill = random();
+  const penalty = ['hard', 'advanced'].includes(difficulty) ? 0.25
+    : ['medium', 'intermediate'].includes(difficulty) ? 0.1 : 0;
+  return Math.max(0, Math.min(maxScore, Math.round(maxScore * (skill * (1 - penalty) + 0.1))));
+};
+
+// Users with score histories. Returns [{ user, scores }] ready for
+// Database.createUser and Database.createScore.
+const generateFixtures = ({ seed = 'cryptoquest', users = 50, maxScoresPerUser = 10, days = 30, now = new Date() } = {}) => {
+  const random = createRandom(seed);
+  const fixtures = [];
+
+  for (let index = 0; index < users; index++) {
+    const user = {
+      walletAddress: generateWalletAddress(random),
+      username: generateUsername(random, index),
+      // Roughly one in four players never set an avatar
+      profilePictureUrl: random() < 0.75 ? generateAvatarUrl(random) : null
+    };
+
+    const scoreCount = randomInt(random, 0, maxScoresPerUser);
+    const scores = [];
+
+    for (let quizNumber = 0; quizNumber < scoreCount; quizNumber++) {
+      const difficulty = pick(random, VALID_DIFFICULTIES);
+      const maxScore = 20;
+      const minutesAgo = randomInt(random, 0, days * 24 * 60);
+
+      scores.push({
+        walletAddress: user.walletAddress,
+        quizId: `seed-quiz-${quizNumber + 1}`,
+        difficulty,
+        maxScore,
+        score: generateScore(random, difficulty, maxScore),
+        createdAt: new Date(now.getTime() - minutesAgo * 60 * 1000)
+      });
+    }
+
+    // Oldest first so history reads naturally
+    scores.sort((a, b) => a.createdAt - b.createdAt);
+    fixtures.push({ user, scores });
+  }
+
+  return fixtures;
+};
+
+module.exports = {
+  createRandom,
+  generateWalletAddress,
+  generateUsername,
+  generateAvatarUrl,
+  generateFixtures
+};
@@ -0,0 +1,19 @@
+// Recompute XP and levels for all users from the scores collection.
+// Run after changing PROGRESSION_CONFIG: npm run levels:recompute
+const database = require('../database');
+
+const run = async () => {
+  try {
+    await database.connect();
+    const { processed, changed } = await database.recomputeUserLevels();
+    console.log(`Recomputed levels for ${processed} users, ${changed} updated`);
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to recompute levels:', error);
+    await database.close();
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,51 @@
+// Check users.totalScore and users.quizCount against the scores collection
+// and report drift.
+//
+//   npm run scores:reconcile -- [--fix]
+//
+// Without --fix nothing is written. Exits with 2 when discrepancies were found
+// and left in place, so the report can gate a scheduled job.
+const database = require('../database');
+
+const formatField = (name, { recorded, expected }) => {
+  const difference = recorded - expected;
+  return `${name} ${recorded}, expected ${expected} (${difference > 0 ? '+' : ''}${difference})`;
+};
+
+const formatDiscrepancy = ({ walletAddress, username, totalScore, quizCount }) =>
+  `  ${walletAddress} (${username}): ` +
+  [['totalScore', totalScore], ['quizCount', quizCount]]
+    .filter(([, values]) => values.recorded !== values.expected)
+    .map(([name, values]) => formatField(name, values))
+    .join(', ');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--fix');
+  if (unknown.length > 0) {
+    console.error(`Unknown option ${unknown[0]}`);
+    return process.exit(1);
+  }
+  const fix = args.includes('--fix');
+
+  try {
+    await database.connect();
+    const { processed, discrepancies, fixed } = await database.reconcileTotalScores({ fix });
+
+    console.log(`Checked ${processed} users, ${discrepancies.length} with drifted totals`);
+    discrepancies.forEach(entry => console.log(formatDiscrepancy(entry)));
+    if (fix) {
+      console.log(`Fixed ${fixed} users` +
+        (fixed < discrepancies.length ? `, ${discrepancies.length - fixed} changed while running; re-run to check them` : ''));
+    }
+
+    await database.close();
+    process.exit(discrepancies.length > 0 && !fix ? 2 : 0);
+  } catch (error) {
+    console.error('Failed to reconcile scores:', error);
+    await database.close();
+    process.exit(1);
+  }
+};
+
+run();
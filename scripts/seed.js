@@ -0,0 +1,134 @@
+// Fill the database with deterministic fake players and score histories.
+//
+//   npm run seed -- [--seed <value>] [--users <n>] [--max-scores <n>] [--days <n>] [--reset]
+//
+// The same --seed always produces the same wallets, usernames, avatars and
+// scores. --reset clears player data (users, scores, achievements, reward
+// claims, sessions, nonces) first; quizzes and the schema are left alone.
+const database = require('../database');
+const { generateFixtures } = require('./fixtures');
+
+const PLAYER_COLLECTIONS = ['users', 'scores', 'user_achievements', 'reward_claims', 'quiz_sessions', 'auth_nonces', 'username_history', 'wallet_links', 'follows', 'challenges'];
+
+const DEFAULTS = {
+  seed: 'cryptoquest',
+  users: 50,
+  maxScores: 10,
+  days: 30,
+  reset: false
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    switch (flag) {
+      case '--seed':
+        options.seed = value();
+        break;
+      case '--users':
+        options.users = parseInt(value());
+        break;
+      case '--max-scores':
+        options.maxScores = parseInt(value());
+        break;
+      case '--days':
+        options.days = parseInt(value());
+        break;
+      case '--reset':
+        options.reset = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  for (const key of ['users', 'maxScores', 'days']) {
+    if (isNaN(options[key]) || options[key] < 0) {
+      throw new Error(`--${key === 'maxScores' ? 'max-scores' : key} must be a non-negative number`);
+    }
+  }
+
+  return options;
+};
+
+const resetPlayerData = async () => {
+  for (const name of PLAYER_COLLECTIONS) {
+    const { deletedCount } = await database.db.collection(name).deleteMany({});
+    console.log(`Cleared ${deletedCount} documents from ${name}`);
+  }
+};
+
+const seed = async (options) => {
+  const fixtures = generateFixtures({
+    seed: options.seed,
+    users: options.users,
+    maxScoresPerUser: options.maxScores,
+    days: options.days
+  });
+
+  let usersCreated = 0;
+  let usersSkipped = 0;
+  let scoresCreated = 0;
+
+  for (const { user, scores } of fixtures) {
+    try {
+      await database.createUser(user);
+      usersCreated++;
+    } catch (error) {
+      // Re-running with the same seed leaves existing players untouched, and a
+      // name another seed already handed out is skipped
+      if (['USER_ALREADY_EXISTS', 'USERNAME_TAKEN'].includes(error.message)) {
+        usersSkipped++;
+        continue;
+      }
+      throw error;
+    }
+
+    for (const score of scores) {
+      await database.createScoreWithTotals(score);
+      scoresCreated++;
+    }
+  }
+
+  return { usersCreated, usersSkipped, scoresCreated };
+};
+
+const run = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return process.exit(1);
+  }
+
+  if (options.reset && process.env.NODE_ENV === 'production') {
+    console.error('Refusing to reset player data with NODE_ENV=production');
+    return process.exit(1);
+  }
+
+  try {
+    await database.connect();
+
+    if (options.reset) {
+      await resetPlayerData();
+    }
+
+    const { usersCreated, usersSkipped, scoresCreated } = await seed(options);
+    console.log(`Seeded ${usersCreated} users and ${scoresCreated} scores with seed "${options.seed}"` +
+      (usersSkipped ? ` (${usersSkipped} users already existed)` : ''));
+
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Seeding failed:', error);
+    await database.close();
+    process.exit(1);
+  }
+};
+
+run();
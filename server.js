@@ -1,11 +1,59 @@
 const express = require('express');
 const cors = require('cors');
+const helmet = require('helmet');
 const database = require('./database');
+const auth = require('./auth');
+const quiz = require('./quiz');
+const progression = require('./progression');
+const achievements = require('./achievements');
+const streaks = require('./streak');
+const rewards = require('./rewards');
+const anomalies = require('./anomalies');
+const scoring = require('./scoring');
+const challenges = require('./challenges');
+const { schemas, questionSchema, username: usernameRule, validate, check, sendValidationError } = require('./validation');
+const { nextRenameAt } = require('./usernames');
+const { getPeriodStart, getPeriodEnd } = require('./leaderboard');
+const { LiveFeed } = require('./live');
+const { Rankings } = require('./rankings');
+const { createCache } = require('./cache');
+const { createRateLimits } = require('./ratelimit');
+const identity = require('./identity');
+const ipfs = require('./ipfs');
+const uploads = require('./uploads');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Shared cache, and the ENS names shown next to wallets (see identity.js)
+const cache = createCache();
+const ens = identity.createEnsResolver(cache);
+
+// Push channel for leaderboard and score events, see live.js
+const liveFeed = new LiveFeed(database, { ens });
+app.locals.liveFeed = liveFeed;
+
+// Where uploaded avatars are pinned, null when uploads are off (see uploads.js)
+const pinning = uploads.createPinningService();
+
+// Cached leaderboard snapshots, see rankings.js
+const rankings = new Rankings(database, cache, { ens });
+app.locals.rankings = rankings;
+
+// Per-wallet/IP request limits, see ratelimit.js. With a shared cache the
+// counters are shared between instances too.
+const rateLimits = createRateLimits({ cache: process.env.CACHE_URL ? cache : null });
+
+// Hop count or list of trusted proxies, so req.ip is the client behind a load balancer
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Security headers
+app.use(helmet());
+
 // CORS Configuration
 app.use(cors({
   origin: [
@@ -21,6 +69,7 @@ app.use(cors({
 
 // Middleware
 app.use(express.json());
+app.use('/api', rateLimits.api);
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -31,22 +80,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize database connection
-let dbReady = false;
-
-database.connect()
-  .then(() => {
-    dbReady = true;
-    console.log('Database connected successfully');
-  })
-  .catch(error => {
-    console.error('Failed to connect to database:', error);
-    process.exit(1);
-  });
-
 // Middleware to check database connection
 const checkDbConnection = (req, res, next) => {
-  if (!dbReady) {
+  if (!database.isReady()) {
     return res.status(503).json({
       success: false,
       message: 'Database not ready'
@@ -55,12 +91,30 @@ const checkDbConnection = (req, res, next) => {
   next();
 };
 
+// Middleware to keep banned wallets from scoring, use after requireAuth
+const rejectBanned = async (req, res, next) => {
+  try {
+    const user = await database.getUserByWallet(req.auth.walletAddress);
+
+    if (user && user.banned) {
+      return res.status(403).json({
+        success: false,
+        message: 'This wallet has been banned'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    database: dbReady ? 'connected' : 'disconnected'
+    database: database.isReady() ? 'connected' : 'disconnected'
   });
 });
 
@@ -70,68 +124,404 @@ app.get('/', (req, res) => {
     message: 'CryptoQuest Backend API - MongoDB Version',
     version: '3.0.0',
     endpoints: [
+      'GET /api/auth/nonce/:walletAddress - Get a sign-in nonce and message (?chainId=)',
+      'POST /api/auth/verify - Exchange a signed message for a session token',
       'POST /api/users - Create/Update user profile',
       'GET /api/users/:walletAddress - Get user profile with stats', 
+      'GET /api/usernames/:username/availability - Check whether a username can be taken',
+      'GET /api/users/:walletAddress/usernames - Get a player\'s previous usernames',
+      'POST /api/users/:walletAddress/wallets - Link another wallet to a profile with a signed sign-in message',
+      'DELETE /api/users/:walletAddress/wallets/:linkedWallet - Unlink a wallet',
+      'POST /api/uploads/avatar - Pin a profile picture to IPFS (raw image body)',
       'POST /api/scores - Submit quiz score',
-      'GET /api/users/:walletAddress/history - Get user quiz history',
-      'GET /api/leaderboard - Get leaderboard'
+      'GET /api/users/:walletAddress/history - Get user quiz history (?limit=&cursor= or ?limit=&offset=)',
+      'GET /api/leaderboard - Get leaderboard (?period=daily|weekly|monthly|all-time&difficulty=)',
+      'GET /api/users/:walletAddress/rank - Get a player\'s rank and the players around them',
+      'POST|DELETE /api/users/:walletAddress/follow - Follow or unfollow a player',
+      'GET /api/users/:walletAddress/followers - List a player\'s followers (?limit=&cursor=)',
+      'GET /api/users/:walletAddress/following - List the players a player follows (?limit=&cursor=)',
+      'GET /api/users/:walletAddress/friends/leaderboard - Leaderboard of a player and the players they follow (?period=&difficulty=)',
+      'POST /api/challenges - Challenge another player to a quiz before a deadline',
+      'POST /api/challenges/:challengeId/accept - Accept a challenge',
+      'POST /api/challenges/:challengeId/decline - Decline a challenge',
+      'GET /api/challenges/:challengeId - Get a challenge and its result',
+      'GET /api/users/:walletAddress/challenges - List a player\'s challenges (?status=pending|completed&role=challenger|opponent&limit=&cursor=)',
+      'GET /api/live - Live leaderboard and score events (Server-Sent Events, ?period=&difficulty=&limit=&events=score,leaderboard)',
+      'GET /api/rewards/config - Get the EIP-712 domain and types for reward vouchers',
+      'POST /api/rewards/claims - Claim a signed reward voucher for an eligible score',
+      'GET /api/users/:walletAddress/rewards/claims - Get a player\'s reward claims',
+      'GET /api/achievements - List all achievements',
+      'GET /api/users/:walletAddress/achievements - Get a player\'s earned achievements',
+      'POST /api/quizzes/:quizId/sessions - Start a server-graded quiz session',
+      'POST /api/quiz-sessions/:sessionId/submit - Submit answers for grading',
+      'GET /api/quizzes - List published quizzes',
+      'GET|POST /api/admin/quizzes - List or create quizzes (admin)',
+      'GET|PUT|DELETE /api/admin/quizzes/:quizId - Manage a quiz (admin)',
+      'POST /api/admin/quizzes/:quizId/questions - Add a question (admin)',
+      'PUT|DELETE /api/admin/questions/:questionId - Manage a question (admin)',
+      'GET /api/admin/score-reviews - List scores flagged for review (moderator)',
+      'GET /api/admin/users - Search players (?search=&banned=, moderator)',
+      'POST|DELETE /api/admin/users/:walletAddress/ban - Ban or unban a wallet (moderator)',
+      'PUT /api/admin/users/:walletAddress/username - Rename a player (moderator)',
+      'POST /api/admin/scores/:scoreId/void - Void a score, keeping it on record (moderator)',
+      'DELETE /api/admin/scores/:scoreId - Delete a score (moderator)',
+      'GET /api/admin/audit-log - List moderation actions (admin)'
     ]
   });
 });
 
-// Utility function to validate wallet address
-const isValidWalletAddress = (address) => {
-  return /^0x[a-fA-F0-9]{40}$/.test(address);
+// Drop cached leaderboards after a write that can change them. A cache outage
+// must not fail the write, the snapshots then expire on their own.
+const invalidateRankings = async () => {
+  try {
+    await rankings.invalidate();
+  } catch (error) {
+    console.error('Error invalidating leaderboard cache:', error);
+  }
+};
+
+// Store a score and add it to the user's total, shared by every submission path.
+// session is the graded quiz session, if any, for the anomaly checks.
+const recordScore = async (scoreData, { session = null } = {}) => {
+  let saved;
+  try {
+    saved = await database.createScoreWithTotals(scoreData);
+  } catch (error) {
+    // Nothing was recorded, so give the quiz session back rather than losing the attempt
+    if (session) {
+      await database.reopenQuizSession(session._id)
+        .catch(reopenError => console.error('Error reopening quiz session:', reopenError));
+    }
+    throw error;
+  }
+  const { score: newScore, user: updatedUser } = saved;
+  await invalidateRankings();
+
+  // Extend or reset the daily streak in the player's own timezone
+  const previousStreak = updatedUser.streak || null;
+  const play = streaks.applyPlay(previousStreak, newScore.createdAt, updatedUser.timezone);
+  if (play.extended || play.reset) {
+    const saved = await database.updateUserStreak(
+      updatedUser.walletAddress,
+      previousStreak ? previousStreak.lastPlayedDate : null,
+      play.streak
+    );
+    // Another submission for the same day already moved the streak
+    if (!saved) {
+      const latest = await database.getUserByWallet(updatedUser.walletAddress);
+      play.streak = latest.streak;
+      play.extended = false;
+      play.freezeUsed = false;
+    }
+  }
+  updatedUser.streak = play.streak;
+
+  // The score is already saved, a failed achievement check must not fail the submission
+  let newAchievements = [];
+  try {
+    newAchievements = await achievements.evaluateAchievements(database, {
+      walletAddress: updatedUser.walletAddress,
+      score: newScore,
+      user: updatedUser,
+      rankings
+    });
+  } catch (error) {
+    console.error('Error evaluating achievements:', error);
+  }
+
+  // Flag implausible scores for a moderator, never blocks the submission
+  try {
+    await anomalies.reviewScore(database, { walletAddress: updatedUser.walletAddress, score: newScore, session });
+  } catch (error) {
+    console.error('Error checking score for anomalies:', error);
+  }
+
+  // Count the score in the player's open challenges on this quiz
+  let challengeUpdates = [];
+  try {
+    const durationMs = session && session.submittedAt ? session.submittedAt - session.startedAt : null;
+    challengeUpdates = await database.recordChallengeScore(newScore, durationMs);
+  } catch (error) {
+    console.error('Error recording challenge score:', error);
+  }
+
+  liveFeed.publishScore(newScore, updatedUser);
+
+  return { newScore, updatedUser, newAchievements, streakUpdate: play, challengeUpdates };
+};
+
+// Response body for a recorded score
+const formatScoreResult = ({ newScore, updatedUser, newAchievements, streakUpdate, challengeUpdates }) => ({
+  scoreId: newScore._id,
+  attempt: newScore.attempt,
+  score: newScore.score,
+  maxScore: newScore.maxScore,
+  percentage: Math.round(newScore.percentage),
+  difficulty: newScore.difficulty,
+  chainId: newScore.chainId,
+  graded: newScore.graded,
+  newTotalScore: updatedUser.totalScore,
+  xpGained: updatedUser.xpGained,
+  xp: updatedUser.xp,
+  level: updatedUser.level,
+  leveledUp: updatedUser.leveledUp,
+  newAchievements,
+  streak: {
+    current: streakUpdate.streak.current,
+    longest: streakUpdate.streak.longest,
+    extended: streakUpdate.extended,
+    freezeUsed: streakUpdate.freezeUsed
+  },
+  eligibleForReward: rewards.isEligible(newScore),
+  challenges: challengeUpdates.map(challenge => ({
+    challengeId: challenge._id,
+    status: challenge.status,
+    winner: challenge.winner
+  })),
+  submittedAt: newScore.createdAt
+});
+
+// Response body for a wallet linked to a profile
+const formatLinkedWallet = (link) => ({
+  walletAddress: link.walletAddress,
+  checksumAddress: identity.toChecksumAddress(link.walletAddress),
+  ensName: link.ensName,
+  chainId: link.chainId,
+  linkedAt: link.linkedAt
+});
+
+// Players in a follower or following list, as shown to clients
+const formatFollows = async (users) => (await identity.attachEnsNames(ens, users)).map(ipfs.withGatewayUrl);
+
+// Response bodies for challenges, with both players' names and avatars
+const formatChallengeResult = (result) => result && {
+  scoreId: result.scoreId,
+  score: result.score,
+  maxScore: result.maxScore,
+  percentage: Math.round(result.percentage),
+  durationMs: result.durationMs,
+  submittedAt: result.submittedAt
+};
+
+const formatChallenges = async (challengeList) => {
+  const wallets = [...new Set(challengeList.flatMap(challenge => [challenge.challenger, challenge.opponent]))];
+  const users = await formatFollows(await database.getUsersByWallets(wallets));
+  const usersByWallet = new Map(users.map(user => [user.walletAddress, user]));
+
+  const player = (walletAddress, result) => {
+    const user = usersByWallet.get(walletAddress) || {};
+    return {
+      walletAddress,
+      username: user.username || null,
+      ensName: user.ensName || null,
+      profilePictureUrl: user.profilePictureUrl || null,
+      result: formatChallengeResult(result)
+    };
+  };
+
+  return challengeList.map(challenge => ({
+    challengeId: challenge._id,
+    quizId: challenge.quizId,
+    status: challenge.status,
+    challenger: player(challenge.challenger, challenge.challengerResult),
+    opponent: player(challenge.opponent, challenge.opponentResult),
+    winner: challenge.winner,
+    deadline: challenge.deadline,
+    createdAt: challenge.createdAt,
+    respondedAt: challenge.respondedAt,
+    closedAt: challenge.closedAt
+  }));
+};
+
+const formatChallenge = async (challenge) => (await formatChallenges([challenge]))[0];
+
+// Followers and followed players listed on a profile, the rest are paged
+// through /followers and /following
+const PROFILE_FOLLOWS = 5;
+
+// Response body for a reward claim with its signed voucher
+const formatRewardClaim = (claim) => ({
+  claimId: claim._id,
+  quizId: claim.quizId,
+  scoreId: claim.scoreId,
+  status: claim.status,
+  voucher: rewards.toVoucher(claim),
+  signature: claim.signature,
+  expiresAt: new Date(claim.expiry * 1000),
+  createdAt: claim.createdAt
+});
+
+// Response body for a user in the moderation routes
+const formatAdminUser = (user) => ({
+  walletAddress: user.walletAddress,
+  username: user.username,
+  totalScore: user.totalScore || 0,
+  quizCount: user.quizCount || 0,
+  level: user.level,
+  createdAt: user.createdAt,
+  banned: user.banned || null
+});
+
+// Record a moderation action in the audit log. The action has already been
+// applied, so a failed write is logged instead of failing the request.
+const audit = async (req, entry) => {
+  try {
+    await database.recordAudit({ ...entry, actor: req.auth.walletAddress });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Moderation can change any board, not just the ones a new score touches
+const refreshBoardsAfterModeration = async () => {
+  await invalidateRankings();
+  liveFeed.refreshBoards();
 };
 
-// Utility function to validate IPFS URL
-const isValidIPFSUrl = (url) => {
-  if (!url) return true; // Optional field
-  return url.startsWith('ipfs://') || 
-         url.startsWith('https://ipfs.io/ipfs/') || 
-         url.startsWith('https://gateway.pinata.cloud/ipfs/') ||
-         url.includes('ipfs');
+// Response body for a quiz, without its questions
+const formatQuiz = (quizData) => ({
+  id: quizData._id,
+  quizId: quizData.quizId,
+  title: quizData.title,
+  description: quizData.description,
+  difficulty: quizData.difficulty,
+  tags: quizData.tags || [],
+  timeLimitMinutes: quizData.timeLimitMinutes,
+  status: quizData.status,
+  createdAt: quizData.createdAt,
+  updatedAt: quizData.updatedAt,
+  publishedAt: quizData.publishedAt
+});
+
+// Response body for a question including its answer, admin routes only
+const formatAdminQuestion = (question) => ({
+  id: question._id,
+  quizId: question.quizId,
+  type: question.type,
+  prompt: question.prompt,
+  options: question.options,
+  correctAnswer: question.correctAnswer,
+  points: question.points,
+  tags: question.tags || [],
+  order: question.order,
+  createdAt: question.createdAt,
+  updatedAt: question.updatedAt
+});
+
+// Allowed quiz status changes, a quiz never goes back to draft once live
+const QUIZ_STATUS_TRANSITIONS = {
+  draft: ['published', 'retired'],
+  published: ['retired'],
+  retired: ['published']
 };
 
 // =====================================================
-// ENDPOINT 1: POST /api/users - Create or Update User Profile
+// AUTH: GET /api/auth/nonce/:walletAddress - Get Sign-In Nonce
 // =====================================================
-app.post('/api/users', checkDbConnection, async (req, res) => {
+app.get('/api/auth/nonce/:walletAddress', checkDbConnection, validate(schemas.authNonce), async (req, res) => {
   try {
-    const { walletAddress, username, profilePictureUrl } = req.body;
+    const walletAddress = req.params.walletAddress;
+    const chainId = req.query.chainId || auth.SIWE_CHAIN_ID;
 
-    // Validate required fields
-    if (!walletAddress || !username) {
-      return res.status(400).json({
-        success: false,
-        message: 'walletAddress and username are required'
-      });
-    }
+    const nonce = auth.generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + auth.NONCE_TTL_MS);
 
-    // Validate wallet address format
-    if (!isValidWalletAddress(walletAddress)) {
-      return res.status(400).json({
+    await database.saveAuthNonce(walletAddress, nonce, expiresAt);
+
+    res.json({
+      success: true,
+      data: {
+        walletAddress: walletAddress.toLowerCase(),
+        chainId,
+        nonce,
+        message: auth.buildSiweMessage({
+          address: walletAddress,
+          chainId,
+          nonce,
+          issuedAt: issuedAt.toISOString(),
+          expirationTime: expiresAt.toISOString()
+        }),
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/auth/nonce/:walletAddress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sign-in nonce'
+    });
+  }
+});
+
+// =====================================================
+// AUTH: POST /api/auth/verify - Verify Signature and Issue Token
+// =====================================================
+app.post('/api/auth/verify', checkDbConnection, validate(schemas.authVerify), async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    const fields = auth.verifySiweMessage(message, signature);
+
+    // Nonce must have been issued to this wallet and not used yet
+    const nonceRecord = await database.consumeAuthNonce(fields.address, fields.nonce);
+
+    if (!nonceRecord) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid wallet address format. Must be a valid Ethereum address (0x...)'
+        message: 'Nonce is invalid, expired or already used'
       });
     }
 
-    // Validate profile picture URL if provided
-    if (profilePictureUrl && !isValidIPFSUrl(profilePictureUrl)) {
-      return res.status(400).json({
+    // Linked wallets sign in as the profile they belong to
+    const signedInWith = fields.address.toLowerCase();
+    const walletAddress = await database.getProfileWallet(signedInWith);
+    const user = await database.getUserByWallet(walletAddress);
+
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      data: {
+        token: auth.issueToken(walletAddress),
+        expiresIn: auth.JWT_EXPIRES_IN,
+        walletAddress,
+        signedInWith,
+        chainId: fields.chainId,
+        hasProfile: !!user
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'INVALID_SIGNATURE') {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid profile picture URL. Must be a valid IPFS URL'
+        message: 'Signature does not match the wallet address in the message'
       });
     }
 
-    // Validate username length
-    if (username.length < 3 || username.length > 30) {
+    if (error.message.startsWith('INVALID_SIWE') || error.message.startsWith('SIWE_')) {
       return res.status(400).json({
         success: false,
-        message: 'Username must be between 3 and 30 characters'
+        message: 'Invalid sign-in message'
       });
     }
 
+    console.error('Error in POST /api/auth/verify:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify signature'
+    });
+  }
+});
+
+// =====================================================
+// ENDPOINT 1: POST /api/users - Create or Update User Profile
+// =====================================================
+app.post('/api/users', rateLimits.write, checkDbConnection, auth.requireAuth, auth.requireWalletOwner, validate(schemas.upsertUser), async (req, res) => {
+  try {
+    const { walletAddress, username, profilePictureUrl, timezone, chainId } = req.body;
+
     // Check if user already exists
     const existingUser = await database.getUserByWallet(walletAddress);
 
@@ -139,7 +529,9 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
       // Update existing user
       const updateData = {
         username,
-        ...(profilePictureUrl && { profilePictureUrl })
+        ...(profilePictureUrl && { profilePictureUrl }),
+        ...(timezone && { timezone }),
+        ...(chainId && { chainId })
       };
 
       const updatedUser = await database.updateUser(walletAddress, updateData);
@@ -151,6 +543,9 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
         });
       }
 
+      // Usernames and pictures appear on the leaderboard
+      await invalidateRankings();
+
       res.json({
         success: true,
         message: 'User updated successfully',
@@ -158,9 +553,12 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
           id: updatedUser._id,
           walletAddress: updatedUser.walletAddress,
           username: updatedUser.username,
-          profilePictureUrl: updatedUser.profilePictureUrl,
+          profilePictureUrl: ipfs.gatewayUrl(updatedUser.profilePictureUrl),
           totalScore: updatedUser.totalScore,
+          xp: updatedUser.xp || 0,
           level: updatedUser.level,
+          timezone: updatedUser.timezone || streaks.DEFAULT_TIMEZONE,
+          chainId: updatedUser.chainId || null,
           createdAt: updatedUser.createdAt,
           updatedAt: updatedUser.updatedAt
         }
@@ -170,7 +568,9 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
       const newUser = await database.createUser({
         walletAddress,
         username,
-        profilePictureUrl
+        profilePictureUrl,
+        timezone,
+        chainId
       });
 
       res.status(201).json({
@@ -180,9 +580,12 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
           id: newUser._id,
           walletAddress: newUser.walletAddress,
           username: newUser.username,
-          profilePictureUrl: newUser.profilePictureUrl,
+          profilePictureUrl: ipfs.gatewayUrl(newUser.profilePictureUrl),
           totalScore: newUser.totalScore,
+          xp: newUser.xp,
           level: newUser.level,
+          timezone: newUser.timezone,
+          chainId: newUser.chainId,
           createdAt: newUser.createdAt,
           updatedAt: newUser.updatedAt
         }
@@ -199,21 +602,33 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
         message: 'User with this wallet address already exists'
       });
     }
-    
-    if (error.message === 'INVALID_WALLET_FORMAT') {
-      return res.status(400).json({
+
+    if (error.message === 'USERNAME_TAKEN') {
+      return res.status(409).json({
         success: false,
-        message: 'Invalid wallet address format'
+        message: 'Username is already taken'
       });
     }
-    
-    if (error.message === 'INVALID_USERNAME_LENGTH') {
-      return res.status(400).json({
+
+    if (error.message === 'WALLET_LINKED') {
+      return res.status(409).json({
         success: false,
-        message: 'Username must be between 3 and 30 characters'
+        message: 'This wallet is linked to another profile, sign in to play as that profile'
       });
     }
 
+    if (error.message === 'USERNAME_COOLDOWN') {
+      return res.status(429).json({
+        success: false,
+        message: 'Username was changed recently, try again later',
+        retryAt: error.retryAt
+      });
+    }
+    
+    if (error.message === 'VALIDATION_ERROR') {
+      return sendValidationError(res, error.errors);
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to create or update user profile'
@@ -224,17 +639,10 @@ app.post('/api/users', checkDbConnection, async (req, res) => {
 // =====================================================
 // ENDPOINT 2: GET /api/users/:walletAddress - Get User Profile
 // =====================================================
-app.get('/api/users/:walletAddress', checkDbConnection, async (req, res) => {
+app.get('/api/users/:walletAddress', checkDbConnection, validate(schemas.getUser), async (req, res) => {
   try {
-    const walletAddress = req.params.walletAddress;
-
-    // Validate wallet address format
-    if (!isValidWalletAddress(walletAddress)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid wallet address format'
-      });
-    }
+    // A linked wallet shows the profile it belongs to
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
 
     const user = await database.getUserByWallet(walletAddress);
 
@@ -247,22 +655,53 @@ app.get('/api/users/:walletAddress', checkDbConnection, async (req, res) => {
 
     // Get user stats
     const stats = await database.getUserStats(walletAddress);
+    const streak = streaks.currentStreak(user.streak, new Date(), user.timezone);
+    const [named, ...linkedWallets] = await identity.attachEnsNames(ens, [
+      user,
+      ...await database.getLinkedWallets(walletAddress)
+    ]);
+    const viewer = auth.getTokenWallet(req);
+    const [followCounts, followers, following, followedByViewer] = await Promise.all([
+      database.getFollowCounts(walletAddress),
+      database.getFollowPage(walletAddress, 'followers', PROFILE_FOLLOWS),
+      database.getFollowPage(walletAddress, 'following', PROFILE_FOLLOWS),
+      viewer && viewer !== walletAddress ? database.isFollowing(viewer, walletAddress) : null
+    ]);
 
     res.json({
       success: true,
       data: {
         id: user._id,
         walletAddress: user.walletAddress,
+        checksumAddress: identity.toChecksumAddress(user.walletAddress),
+        ensName: named.ensName,
+        chainId: user.chainId || null,
+        linkedWallets: linkedWallets.map(formatLinkedWallet),
         username: user.username,
-        profilePictureUrl: user.profilePictureUrl, // This was missing in SQLite version
+        profilePictureUrl: ipfs.gatewayUrl(user.profilePictureUrl), // This was missing in SQLite version
         totalScore: user.totalScore,
+        xp: user.xp || 0,
         level: user.level,
+        nextLevel: progression.nextLevelFor(user.xp || 0),
+        timezone: user.timezone || streaks.DEFAULT_TIMEZONE,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
         stats: {
           quizzesCompleted: stats.quizCount,
+          quizAttempts: stats.attemptCount,
           averageScore: Math.round(stats.averageScore || 0),
           bestScore: stats.bestScore || 0
+        },
+        streak: {
+          current: streak.current,
+          longest: streak.longest,
+          lastPlayedDate: streak.lastPlayedDate,
+          freezeAvailable: streak.freezeAvailable
+        },
+        social: {
+          followers: { total: followCounts.followers, recent: await formatFollows(followers.users) },
+          following: { total: followCounts.following, recent: await formatFollows(following.users) },
+          followedByViewer
         }
       }
     });
@@ -277,170 +716,1929 @@ app.get('/api/users/:walletAddress', checkDbConnection, async (req, res) => {
 });
 
 // =====================================================
-// ENDPOINT 3: POST /api/scores - Submit Quiz Score
+// USERS: GET /api/usernames/:username/availability - Check Username
 // =====================================================
-app.post('/api/scores', checkDbConnection, async (req, res) => {
+// Reported reason for names the username rules reject, 'invalid' otherwise
+const UNAVAILABLE_REASONS = { USERNAME_RESERVED: 'reserved', USERNAME_BLOCKED: 'blocked' };
+
+app.get('/api/usernames/:username/availability', checkDbConnection, validate(schemas.usernameAvailability), async (req, res) => {
   try {
-    const { walletAddress, quizId, score, difficulty, maxScore = 20 } = req.body;
+    const { value: username, errors } = check(usernameRule.required(), req.params.username);
 
-    // Validate required fields
-    if (!walletAddress || !quizId || score === undefined || !difficulty) {
-      return res.status(400).json({
-        success: false,
-        message: 'walletAddress, quizId, score, and difficulty are required',
-        received: { walletAddress, quizId, score, difficulty }
+    if (errors) {
+      return res.json({
+        success: true,
+        data: {
+          username: req.params.username,
+          available: false,
+          reason: UNAVAILABLE_REASONS[errors[0].code] || 'invalid',
+          message: errors[0].message
+        }
       });
     }
 
-    // Validate score
-    if (typeof score !== 'number' || score < 0 || score > maxScore) {
-      return res.status(400).json({
-        success: false,
-        message: `Score must be a number between 0 and ${maxScore}`
-      });
-    }
+    // A signed-in player's own username counts as available to them
+    const holder = await database.getUsernameHolder(username);
+    const available = !holder || holder === auth.getTokenWallet(req);
 
-    // Validate difficulty
-    const validDifficulties = ['easy', 'medium', 'hard', 'beginner', 'intermediate', 'advanced'];
-    if (!validDifficulties.includes(difficulty.toLowerCase())) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid difficulty. Must be one of: ' + validDifficulties.join(', ')
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        username,
+        available,
+        reason: available ? null : 'taken',
+        message: available ? 'Username is available' : 'Username is already taken'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/usernames/:username/availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check username'
+    });
+  }
+});
+
+// =====================================================
+// USERS: GET /api/users/:walletAddress/usernames - Username History
+// =====================================================
+app.get('/api/users/:walletAddress/usernames', checkDbConnection, validate(schemas.usernameHistory), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
 
-    // Check if user exists
     const user = await database.getUserByWallet(walletAddress);
 
     if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'User not found. Please create profile first.'
+        message: 'User not found'
       });
     }
 
-    // Create score record
-    const scoreData = {
-      walletAddress,
-      quizId,
-      score,
-      difficulty: difficulty.toLowerCase(),
-      maxScore
-    };
-
-    const newScore = await database.createScore(scoreData);
-    const percentage = newScore.percentage;
+    const history = await database.getUsernameHistory(walletAddress);
+    const retryAt = nextRenameAt(user.usernameChangedAt);
 
-    // Update user's total score
-    const updatedUser = await database.updateUserTotalScore(walletAddress, score);
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Score submitted successfully',
       data: {
-        scoreId: newScore._id,
-        score: newScore.score,
-        maxScore: newScore.maxScore,
-        percentage: Math.round(percentage),
-        difficulty: newScore.difficulty,
-        newTotalScore: updatedUser.totalScore,
-        eligibleForReward: percentage >= 70, // 70% minimum for rewards
-        submittedAt: newScore.createdAt
+        walletAddress,
+        username: user.username,
+        nextChangeAt: retryAt && retryAt > new Date() ? retryAt : null,
+        history: history.map(change => ({
+          username: change.username,
+          newUsername: change.newUsername,
+          changedAt: change.changedAt,
+          byModerator: change.changedBy !== walletAddress
+        }))
       }
     });
 
   } catch (error) {
-    console.error('Error in POST /api/scores:', error);
-    
-    if (error.message.includes('already completed')) {
-      return res.status(409).json({
-        success: false,
-        message: error.message
-      });
-    }
-
+    console.error('Error in GET /api/users/:walletAddress/usernames:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit quiz score'
+      message: 'Failed to retrieve username history'
     });
   }
 });
 
 // =====================================================
-// ENDPOINT 4: GET /api/users/:walletAddress/history
+// USERS: POST /api/users/:walletAddress/wallets - Link Wallet
 // =====================================================
-app.get('/api/users/:walletAddress/history', checkDbConnection, async (req, res) => {
+// The body is a sign-in message for the wallet being linked (nonce from
+// GET /api/auth/nonce/:wallet), signed by that wallet
+app.post('/api/users/:walletAddress/wallets', checkDbConnection, auth.requireAuth, auth.requireWalletOwner, validate(schemas.linkWallet), async (req, res) => {
   try {
-    const walletAddress = req.params.walletAddress;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per request
-    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const walletAddress = req.params.walletAddress.toLowerCase();
+    const { message, signature } = req.body;
 
-    // Validate wallet address
-    if (!isValidWalletAddress(walletAddress)) {
+    const fields = auth.verifySiweMessage(message, signature);
+    const linkedWallet = fields.address.toLowerCase();
+
+    if (linkedWallet === walletAddress) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid wallet address format'
+        message: 'A profile cannot link its own wallet'
       });
     }
 
-    // Check if user exists
-    const user = await database.getUserByWallet(walletAddress);
-
-    if (!user) {
+    if (!await database.getUserByWallet(walletAddress)) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // Get quiz history
-    const historyData = await database.getUserScoreHistory(walletAddress, limit, offset);
+    if (!await database.consumeAuthNonce(linkedWallet, fields.nonce)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Nonce is invalid, expired or already used'
+      });
+    }
 
-    res.json({
+    const link = await database.linkWallet(walletAddress, linkedWallet, fields.chainId);
+    const [named] = await identity.attachEnsNames(ens, [link]);
+
+    res.status(201).json({
       success: true,
-      data: {
-        history: historyData.scores,
-        pagination: {
-          total: historyData.total,
-          limit,
-          offset,
-          hasMore: historyData.hasMore
-        }
-      }
+      message: 'Wallet linked',
+      data: formatLinkedWallet(named)
     });
 
   } catch (error) {
-    console.error('Error in GET /api/users/:walletAddress/history:', error);
+    if (error.message === 'INVALID_SIGNATURE') {
+      return res.status(401).json({
+        success: false,
+        message: 'Signature does not match the wallet address in the message'
+      });
+    }
+
+    if (error.message.startsWith('INVALID_SIWE') || error.message.startsWith('SIWE_')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sign-in message'
+      });
+    }
+
+    if (error.message === 'WALLET_HAS_PROFILE') {
+      return res.status(409).json({
+        success: false,
+        message: 'This wallet has its own profile and cannot be linked'
+      });
+    }
+
+    if (error.message === 'WALLET_ALREADY_LINKED') {
+      return res.status(409).json({
+        success: false,
+        message: 'This wallet is already linked to a profile'
+      });
+    }
+
+    if (error.message === 'LINKED_WALLET_LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: 'This profile cannot link any more wallets'
+      });
+    }
+
+    console.error('Error in POST /api/users/:walletAddress/wallets:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch quiz history'
+      message: 'Failed to link wallet'
     });
   }
 });
 
 // =====================================================
-// ENDPOINT 5: GET /api/leaderboard
+// USERS: DELETE /api/users/:walletAddress/wallets/:linkedWallet - Unlink Wallet
 // =====================================================
-app.get('/api/leaderboard', checkDbConnection, async (req, res) => {
+app.delete('/api/users/:walletAddress/wallets/:linkedWallet', checkDbConnection, auth.requireAuth, auth.requireWalletOwner, validate(schemas.unlinkWallet), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 100, 500); // Max 500 per request
+    const { walletAddress, linkedWallet } = req.params;
 
-    const leaderboard = await database.getLeaderboard(limit);
+    const unlinked = await database.unlinkWallet(walletAddress, linkedWallet);
+
+    if (!unlinked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wallet is not linked to this profile'
+      });
+    }
 
     res.json({
       success: true,
-      data: {
+      message: 'Wallet unlinked'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/users/:walletAddress/wallets/:linkedWallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink wallet'
+    });
+  }
+});
+
+// =====================================================
+// UPLOADS: POST /api/uploads/avatar - Pin Profile Picture
+// =====================================================
+// The body is the image itself with its Content-Type. Answers the ipfs:// URL
+// to save as profilePictureUrl.
+const avatarBody = express.raw({ type: () => true, limit: uploads.AVATAR_MAX_BYTES });
+
+const readAvatar = (req, res, next) => avatarBody(req, res, (error) => {
+  if (error && error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: `Image must be at most ${uploads.AVATAR_MAX_BYTES} bytes`
+    });
+  }
+  next(error);
+});
+
+app.post('/api/uploads/avatar', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, readAvatar, async (req, res) => {
+  try {
+    if (!pinning) {
+      return res.status(503).json({
+        success: false,
+        message: 'Uploads are not configured'
+      });
+    }
+
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const data = req.body;
+
+    if (!uploads.AVATAR_TYPES.includes(contentType)) {
+      return res.status(415).json({
+        success: false,
+        message: 'Unsupported image type. Must be one of: ' + uploads.AVATAR_TYPES.join(', ')
+      });
+    }
+
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image is empty'
+      });
+    }
+
+    if (uploads.sniffImageType(data) !== contentType) {
+      return res.status(415).json({
+        success: false,
+        message: 'Image content does not match its Content-Type'
+      });
+    }
+
+    const { cid } = await pinning.pin(data, { contentType, name: `avatar-${req.auth.walletAddress}` });
+    const url = `ipfs://${cid}`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Image pinned',
+      data: {
+        cid,
+        url,
+        gatewayUrl: ipfs.gatewayUrl(url),
+        contentType,
+        size: data.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/uploads/avatar:', error);
+
+    if (error.message.startsWith('PINNING_FAILED')) {
+      return res.status(502).json({
+        success: false,
+        message: 'Pinning service failed, please try again later'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload image'
+    });
+  }
+});
+
+// =====================================================
+// UPLOADS: GET /ipfs/:cid - Serve Locally Pinned Files
+// =====================================================
+// Only with the local pinning stand-in; set IPFS_GATEWAY to this server's
+// origin to load the avatars it pinned
+app.get('/ipfs/:cid', rateLimits.api, async (req, res) => {
+  try {
+    const cid = ipfs.canonicalCid(req.params.cid);
+    const data = cid && pinning instanceof uploads.LocalPinningService ? await pinning.get(cid) : null;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': uploads.sniffImageType(data) || 'application/octet-stream',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      // Avatars are embedded by the frontend's origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(data);
+
+  } catch (error) {
+    console.error('Error in GET /ipfs/:cid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read file'
+    });
+  }
+});
+
+// =====================================================
+// SOCIAL: POST /api/users/:walletAddress/follow - Follow Player
+// =====================================================
+app.post('/api/users/:walletAddress/follow', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.follow), async (req, res) => {
+  try {
+    const follower = req.auth.walletAddress;
+    // Following a linked wallet follows its profile
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+
+    if (walletAddress === follower) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    if (!await database.getUserByWallet(follower)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. Please create profile first.'
+      });
+    }
+
+    if (!await database.getUserByWallet(walletAddress)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const follow = await database.followUser(follower, walletAddress);
+
+    res.status(follow ? 201 : 200).json({
+      success: true,
+      message: follow ? 'Now following player' : 'Already following player',
+      data: {
+        follower,
+        following: walletAddress
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'FOLLOW_LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: 'You are following the maximum number of players'
+      });
+    }
+
+    console.error('Error in POST /api/users/:walletAddress/follow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to follow player'
+    });
+  }
+});
+
+// =====================================================
+// SOCIAL: DELETE /api/users/:walletAddress/follow - Unfollow Player
+// =====================================================
+app.delete('/api/users/:walletAddress/follow', checkDbConnection, auth.requireAuth, validate(schemas.follow), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+
+    const unfollowed = await database.unfollowUser(req.auth.walletAddress, walletAddress);
+
+    if (!unfollowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not following this player'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unfollowed player'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/users/:walletAddress/follow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unfollow player'
+    });
+  }
+});
+
+// =====================================================
+// SOCIAL: GET /api/users/:walletAddress/followers and /following
+// =====================================================
+// Newest follows first, shared by both lists
+const followList = (direction) => async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+    const { limit, cursor } = req.query;
+
+    if (!await database.getUserByWallet(walletAddress)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const page = await database.getFollowPage(walletAddress, direction, limit, cursor);
+
+    res.json({
+      success: true,
+      data: {
+        [direction]: await formatFollows(page.users),
+        pagination: {
+          limit,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error in GET /api/users/:walletAddress/${direction}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ${direction}`
+    });
+  }
+};
+
+app.get('/api/users/:walletAddress/followers', checkDbConnection, validate(schemas.followList), followList('followers'));
+app.get('/api/users/:walletAddress/following', checkDbConnection, validate(schemas.followList), followList('following'));
+
+// =====================================================
+// SOCIAL: GET /api/users/:walletAddress/friends/leaderboard
+// =====================================================
+// The player and everyone they follow, ranked like GET /api/leaderboard
+app.get('/api/users/:walletAddress/friends/leaderboard', checkDbConnection, validate(schemas.friendsLeaderboard), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+    const { limit, cursor, period, difficulty } = req.query;
+
+    if (!await database.getUserByWallet(walletAddress)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallets = [walletAddress, ...await database.getFollowedWallets(walletAddress)];
+    const page = await database.getLeaderboardPage(limit, { period, difficulty, cursor, wallets });
+    const leaderboard = (await identity.attachEnsNames(ens, page.leaderboard)).map(ipfs.withGatewayUrl);
+
+    res.json({
+      success: true,
+      data: {
+        walletAddress,
         leaderboard,
         totalPlayers: leaderboard.length,
-        lastUpdated: new Date().toISOString()
+        pagination: {
+          limit,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor
+        },
+        period,
+        difficulty,
+        scorePolicy: database.scorePolicy,
+        periodStart: getPeriodStart(period),
+        periodEnd: getPeriodEnd(period)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/friends/leaderboard:', error);
+
+    if (error.message === 'INVALID_CURSOR') {
+      return sendValidationError(res, [{ code: 'INVALID_VALUE', field: 'cursor', message: 'Cursor does not belong to this leaderboard' }]);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch friends leaderboard'
+    });
+  }
+});
+
+// =====================================================
+// CHALLENGES: POST /api/challenges - Challenge a Player
+// =====================================================
+// Both players' next scores on the quiz before the deadline decide it,
+// however they are submitted
+app.post('/api/challenges', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.createChallenge), async (req, res) => {
+  try {
+    const challenger = req.auth.walletAddress;
+    const { quizId, deadline = challenges.defaultDeadline() } = req.body;
+    const opponent = await database.getProfileWallet(req.body.opponent);
+
+    if (opponent === challenger) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot challenge yourself'
+      });
+    }
+
+    if (!await database.getUserByWallet(challenger)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. Please create profile first.'
+      });
+    }
+
+    if (!await database.getUserByWallet(opponent)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opponent not found'
+      });
+    }
+
+    // Server-graded quizzes must be playable, other quizIds are self-reported
+    const gradedQuiz = await database.getQuizById(quizId);
+
+    if (gradedQuiz && gradedQuiz.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const challenge = await database.createChallenge({ challenger, opponent, quizId, deadline });
+
+    res.status(201).json({
+      success: true,
+      message: 'Challenge sent',
+      data: await formatChallenge(challenge)
+    });
+
+  } catch (error) {
+    if (error.message === 'CHALLENGE_EXISTS') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is already an open challenge between you on this quiz'
+      });
+    }
+
+    if (error.message === 'CHALLENGE_LIMIT') {
+      return res.status(409).json({
+        success: false,
+        message: `You can have at most ${challenges.MAX_OPEN_CHALLENGES} open challenges`
+      });
+    }
+
+    console.error('Error in POST /api/challenges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create challenge'
+    });
+  }
+});
+
+// =====================================================
+// CHALLENGES: POST /api/challenges/:challengeId/accept and /decline
+// =====================================================
+// Only the opponent can answer, and only while the challenge is pending
+const respondToChallenge = (action) => async (req, res) => {
+  try {
+    const walletAddress = req.auth.walletAddress;
+    const { challengeId } = req.params;
+
+    await database.expireChallenges();
+    const challenge = await database.respondToChallenge(challengeId, walletAddress, action === 'accept');
+
+    if (!challenge) {
+      const existing = await database.getChallenge(challengeId);
+
+      if (!existing || existing.opponent !== walletAddress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Challenge not found'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: `Challenge is already ${existing.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: action === 'accept' ? 'Challenge accepted' : 'Challenge declined',
+      data: await formatChallenge(challenge)
+    });
+
+  } catch (error) {
+    console.error(`Error in POST /api/challenges/:challengeId/${action}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${action} challenge`
+    });
+  }
+};
+
+app.post('/api/challenges/:challengeId/accept', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.challenge), respondToChallenge('accept'));
+app.post('/api/challenges/:challengeId/decline', rateLimits.write, checkDbConnection, auth.requireAuth, validate(schemas.challenge), respondToChallenge('decline'));
+
+// =====================================================
+// CHALLENGES: GET /api/challenges/:challengeId - Get Challenge
+// =====================================================
+app.get('/api/challenges/:challengeId', checkDbConnection, validate(schemas.challenge), async (req, res) => {
+  try {
+    await database.expireChallenges();
+    const challenge = await database.getChallenge(req.params.challengeId);
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await formatChallenge(challenge)
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/challenges/:challengeId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenge'
+    });
+  }
+});
+
+// =====================================================
+// CHALLENGES: GET /api/users/:walletAddress/challenges - List Challenges
+// =====================================================
+// Newest first. ?status=pending lists challenges still waiting for a
+// result, ?status=completed the ones that are over.
+app.get('/api/users/:walletAddress/challenges', checkDbConnection, validate(schemas.userChallenges), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+    const { status, role, limit, cursor } = req.query;
+
+    if (!await database.getUserByWallet(walletAddress)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await database.expireChallenges();
+    const page = await database.getChallengePage(walletAddress, {
+      statuses: status ? challenges.LIST_STATUSES[status] : null,
+      role,
+      limit,
+      cursor
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challenges: await formatChallenges(page.challenges),
+        pagination: {
+          limit,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/challenges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenges'
+    });
+  }
+});
+
+// =====================================================
+// ENDPOINT 3: POST /api/scores - Submit Quiz Score
+// =====================================================
+app.post('/api/scores', rateLimits.write, checkDbConnection, auth.requireAuth, auth.requireWalletOwner, rejectBanned, validate(schemas.submitScore), async (req, res) => {
+  try {
+    const { walletAddress, quizId, score, difficulty, maxScore, chainId } = req.body;
+
+    if (scoring.SELF_REPORTED_SCORES === 'disabled') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only server-graded quizzes are scored. Start a session at POST /api/quizzes/:quizId/sessions'
+      });
+    }
+
+    // Check if user exists
+    const user = await database.getUserByWallet(walletAddress);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. Please create profile first.'
+      });
+    }
+
+    // Server-graded quizzes can only be scored through a quiz session
+    const gradedQuiz = await database.getQuizById(quizId);
+
+    if (gradedQuiz) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz is graded by the server. Start a session at POST /api/quizzes/:quizId/sessions'
+      });
+    }
+
+    // Create score record and update user's total score
+    const result = await recordScore({
+      walletAddress,
+      quizId,
+      score,
+      difficulty,
+      maxScore,
+      chainId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Score submitted successfully',
+      data: formatScoreResult(result)
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/scores:', error);
+    
+    if (error.message === 'ATTEMPT_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another attempt at this quiz was recorded at the same time, please retry'
+      });
+    }
+
+    // The profile was deleted between the lookup and the write
+    if (error.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. Please create profile first.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit quiz score'
+    });
+  }
+});
+
+// =====================================================
+// ENDPOINT 4: GET /api/users/:walletAddress/history
+// =====================================================
+app.get('/api/users/:walletAddress/history', checkDbConnection, validate(schemas.userHistory), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+    const { limit, offset, cursor, quizId } = req.query;
+
+    // Check if user exists
+    const user = await database.getUserByWallet(walletAddress);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Get quiz history
+    const historyData = await database.getUserScoreHistory(walletAddress, limit, offset, { quizId, cursor });
+
+    // Cursor pages skip the count; offset pages keep the original fields
+    const pagination = cursor
+      ? { limit, hasMore: historyData.hasMore, nextCursor: historyData.nextCursor }
+      : { total: historyData.total, limit, offset, hasMore: historyData.hasMore, nextCursor: historyData.nextCursor };
+
+    res.json({
+      success: true,
+      data: {
+        history: historyData.scores,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz history'
+    });
+  }
+});
+
+// =====================================================
+// ENDPOINT 5: GET /api/leaderboard
+// =====================================================
+app.get('/api/leaderboard', checkDbConnection, validate(schemas.leaderboard), async (req, res) => {
+  try {
+    const { limit, cursor, period, difficulty } = req.query;
+
+    const snapshot = await rankings.getLeaderboard(limit, { period, difficulty, cursor });
+
+    // Clients revalidate every time and get a 304 while the board is unchanged
+    res.set({
+      ETag: snapshot.etag,
+      'Last-Modified': new Date(snapshot.lastModified).toUTCString(),
+      'Cache-Control': 'no-cache'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard: snapshot.leaderboard,
+        totalPlayers: snapshot.leaderboard.length,
+        pagination: {
+          limit,
+          hasMore: snapshot.hasMore,
+          nextCursor: snapshot.nextCursor
+        },
+        period,
+        difficulty,
+        scorePolicy: database.scorePolicy,
+        periodStart: getPeriodStart(period),
+        periodEnd: getPeriodEnd(period),
+        lastUpdated: snapshot.generatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/leaderboard:', error);
+
+    // A cursor from a different board
+    if (error.message === 'INVALID_CURSOR') {
+      return sendValidationError(res, [{ code: 'INVALID_VALUE', field: 'cursor', message: 'Cursor does not belong to this leaderboard' }]);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch leaderboard'
+    });
+  }
+});
+
+// =====================================================
+// LIVE: GET /api/live - Leaderboard and Score Event Stream
+// =====================================================
+app.get('/api/live', checkDbConnection, validate(schemas.liveFeed), async (req, res) => {
+  if (liveFeed.isFull()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Too many live connections, please try again later'
+    });
+  }
+
+  try {
+    await liveFeed.subscribe(req, res, req.query);
+  } catch (error) {
+    console.error('Error in GET /api/live:', error);
+    res.end();
+  }
+});
+
+// =====================================================
+// ENDPOINT 6: GET /api/users/:walletAddress/rank
+// =====================================================
+app.get('/api/users/:walletAddress/rank', checkDbConnection, validate(schemas.playerRank), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+    const { around, period, difficulty } = req.query;
+
+    // Check if user exists
+    const user = await database.getUserByWallet(walletAddress);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const position = await database.getPlayerRank(walletAddress, { period, difficulty, around });
+    const [named] = await identity.attachEnsNames(ens, [user]);
+
+    res.json({
+      success: true,
+      data: {
+        walletAddress: user.walletAddress,
+        username: user.username,
+        ensName: named.ensName,
+        ranked: position.rank !== null,
+        rank: position.rank,
+        score: position.score,
+        percentile: position.percentile,
+        totalPlayers: position.totalPlayers,
+        above: (await identity.attachEnsNames(ens, position.above)).map(ipfs.withGatewayUrl),
+        below: (await identity.attachEnsNames(ens, position.below)).map(ipfs.withGatewayUrl),
+        period,
+        difficulty
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/rank:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch player rank'
+    });
+  }
+});
+
+// =====================================================
+// REWARDS: GET /api/rewards/config - Voucher Signing Details
+// =====================================================
+app.get('/api/rewards/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: rewards.isConfigured(),
+      signer: rewards.signerAddress(),
+      domain: rewards.REWARD_DOMAIN,
+      types: rewards.VOUCHER_TYPES,
+      minPercentage: rewards.REWARD_MIN_PERCENTAGE
+    }
+  });
+});
+
+// =====================================================
+// REWARDS: POST /api/rewards/claims - Claim Reward Voucher
+// =====================================================
+app.post('/api/rewards/claims', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.claimReward), async (req, res) => {
+  try {
+    const { quizId } = req.body;
+    const walletAddress = req.auth.walletAddress;
+
+    if (!rewards.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Rewards are not configured'
+      });
+    }
+
+    // Self-reported scores never earn rewards
+    const score = await database.getScoreByWalletAndQuiz(walletAddress, quizId, { graded: true });
+
+    if (!score) {
+      return res.status(404).json({
+        success: false,
+        message: 'No graded score found for this quiz. Rewards need a server-graded quiz session'
+      });
+    }
+
+    if (!rewards.isEligible(score)) {
+      return res.status(403).json({
+        success: false,
+        message: `A score of at least ${rewards.REWARD_MIN_PERCENTAGE}% is required to claim a reward`
+      });
+    }
+
+    let claim = await database.getRewardClaim(walletAddress, quizId);
+
+    if (!claim) {
+      const voucher = {
+        wallet: walletAddress,
+        quizId,
+        amount: rewards.rewardAmount(score),
+        nonce: rewards.generateVoucherNonce(),
+        expiry: rewards.voucherExpiry()
+      };
+
+      try {
+        claim = await database.createRewardClaim({
+          walletAddress,
+          quizId,
+          scoreId: score._id,
+          amount: voucher.amount,
+          nonce: voucher.nonce,
+          expiry: voucher.expiry,
+          signature: await rewards.signVoucher(voucher)
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: 'Reward voucher issued',
+          data: formatRewardClaim(claim)
+        });
+      } catch (error) {
+        // A concurrent request created the claim first, fall through and return it
+        if (error.message !== 'CLAIM_ALREADY_EXISTS') {
+          throw error;
+        }
+        claim = await database.getRewardClaim(walletAddress, quizId);
+      }
+    }
+
+    // Expired vouchers are re-signed with the same nonce so at most one is redeemable
+    if (claim.status === 'issued' && claim.expiry <= Math.floor(Date.now() / 1000)) {
+      const voucher = { ...rewards.toVoucher(claim), expiry: rewards.voucherExpiry() };
+      claim = await database.reissueRewardClaim(claim._id, voucher.expiry, await rewards.signVoucher(voucher));
+    }
+
+    res.json({
+      success: true,
+      message: 'Reward already claimed for this quiz',
+      data: formatRewardClaim(claim)
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/rewards/claims:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim reward'
+    });
+  }
+});
+
+// =====================================================
+// REWARDS: GET /api/users/:walletAddress/rewards/claims - Claims History
+// =====================================================
+app.get('/api/users/:walletAddress/rewards/claims', checkDbConnection, auth.requireAuth, auth.requireWalletOwner, validate(schemas.rewardClaims), async (req, res) => {
+  try {
+    const walletAddress = req.params.walletAddress;
+    const { limit, offset } = req.query;
+
+    const result = await database.getRewardClaims(walletAddress, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        claims: result.claims.map(formatRewardClaim),
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/rewards/claims:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reward claims'
+    });
+  }
+});
+
+// =====================================================
+// ACHIEVEMENTS: GET /api/achievements - Achievement Catalog
+// =====================================================
+app.get('/api/achievements', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      achievements: achievements.ACHIEVEMENTS.map(achievements.toCatalogEntry)
+    }
+  });
+});
+
+// =====================================================
+// ACHIEVEMENTS: GET /api/users/:walletAddress/achievements
+// =====================================================
+app.get('/api/users/:walletAddress/achievements', checkDbConnection, validate(schemas.userAchievements), async (req, res) => {
+  try {
+    const walletAddress = await database.getProfileWallet(req.params.walletAddress);
+
+    // Check if user exists
+    const user = await database.getUserByWallet(walletAddress);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const earned = await database.getUserAchievements(walletAddress);
+    const catalog = new Map(achievements.ACHIEVEMENTS.map(entry => [entry.id, entry]));
+
+    res.json({
+      success: true,
+      data: {
+        // Awards for achievements since removed from the catalog are not shown
+        achievements: earned
+          .filter(award => catalog.has(award.achievementId))
+          .map(award => ({
+            ...achievements.toCatalogEntry(catalog.get(award.achievementId)),
+            unlockedAt: award.unlockedAt
+          })),
+        totalAvailable: catalog.size
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/users/:walletAddress/achievements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch achievements'
+    });
+  }
+});
+
+// =====================================================
+// QUIZ: POST /api/quizzes/:quizId/sessions - Start Quiz Session
+// =====================================================
+app.post('/api/quizzes/:quizId/sessions', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.startQuizSession), async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const walletAddress = req.auth.walletAddress;
+
+    const quizData = await database.getQuizById(quizId);
+
+    if (!quizData || quizData.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const user = await database.getUserByWallet(walletAddress);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found. Please create profile first.'
+      });
+    }
+
+    const questions = await database.getQuizQuestions(quizId);
+
+    if (questions.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quiz has no questions yet'
+      });
+    }
+
+    const minutes = quizData.timeLimitMinutes || quiz.DEFAULT_SESSION_MINUTES;
+    const session = await database.createQuizSession({
+      walletAddress,
+      quizId,
+      questionIds: questions.map(question => question._id),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz session started',
+      data: {
+        sessionId: session._id,
+        quizId,
+        title: quizData.title,
+        difficulty: quizData.difficulty,
+        questions: questions.map(quiz.toPublicQuestion),
+        startedAt: session.startedAt,
+        expiresAt: session.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/quizzes/:quizId/sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start quiz session'
+    });
+  }
+});
+
+// =====================================================
+// QUIZ: POST /api/quiz-sessions/:sessionId/submit - Submit Answers
+// =====================================================
+app.post('/api/quiz-sessions/:sessionId/submit', rateLimits.write, checkDbConnection, auth.requireAuth, rejectBanned, validate(schemas.submitQuizSession), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { answers, chainId } = req.body;
+    const walletAddress = req.auth.walletAddress;
+
+    const session = await database.markQuizSessionSubmitted(sessionId, walletAddress);
+
+    if (!session) {
+      const existing = await database.getQuizSession(sessionId);
+
+      if (!existing || existing.walletAddress !== walletAddress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz session not found'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'active'
+          ? 'Quiz session has expired'
+          : 'Quiz session already submitted'
+      });
+    }
+
+    const quizData = await database.getQuizById(session.quizId);
+    const questions = await database.getQuestionsByIds(session.questionIds);
+    const graded = quiz.gradeAnswers(questions, answers);
+
+    const result = await recordScore({
+      walletAddress,
+      quizId: session.quizId,
+      score: graded.score,
+      difficulty: quizData.difficulty,
+      maxScore: graded.maxScore,
+      chainId,
+      graded: true
+    }, { session });
+
+    await database.completeQuizSession(session._id, result.newScore._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz graded and score submitted successfully',
+      data: {
+        ...formatScoreResult(result),
+        quizId: session.quizId,
+        results: graded.results
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/quiz-sessions/:sessionId/submit:', error);
+
+    if (error.message === 'ATTEMPT_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another attempt at this quiz was recorded at the same time, please retry'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit quiz answers'
+    });
+  }
+});
+
+// =====================================================
+// QUIZ: GET /api/quizzes - List Published Quizzes
+// =====================================================
+app.get('/api/quizzes', checkDbConnection, validate(schemas.listQuizzes), async (req, res) => {
+  try {
+    const { limit, offset, tag, difficulty } = req.query;
+
+    const result = await database.listQuizzes({ status: 'published', tag, difficulty }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        quizzes: result.quizzes.map(formatQuiz),
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quizzes'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: GET /api/admin/quizzes - List Quizzes In Any State
+// =====================================================
+app.get('/api/admin/quizzes', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.adminListQuizzes), async (req, res) => {
+  try {
+    const { limit, offset, status, tag, difficulty } = req.query;
+
+    const result = await database.listQuizzes({ status, tag, difficulty }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        quizzes: result.quizzes.map(formatQuiz),
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/admin/quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quizzes'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: GET /api/admin/score-reviews - List Flagged Scores
+// =====================================================
+app.get('/api/admin/score-reviews', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.adminScoreReviews), async (req, res) => {
+  try {
+    const { limit, offset, walletAddress } = req.query;
+
+    const result = await database.getScoreReviews({ walletAddress }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: result.reviews,
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/admin/score-reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch score reviews'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: POST /api/admin/quizzes - Create Draft Quiz
+// =====================================================
+app.post('/api/admin/quizzes', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.createQuiz), async (req, res) => {
+  try {
+    // Quizzes always start as drafts and are published through PUT
+    const newQuiz = await database.createQuiz({
+      ...req.body,
+      createdBy: req.auth.walletAddress
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: formatQuiz(newQuiz)
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/admin/quizzes:', error);
+
+    if (error.message === 'QUIZ_ALREADY_EXISTS') {
+      return res.status(409).json({
+        success: false,
+        message: 'A quiz with this quizId already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quiz'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: GET /api/admin/quizzes/:quizId - Get Quiz With Answers
+// =====================================================
+app.get('/api/admin/quizzes/:quizId', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.adminQuiz), async (req, res) => {
+  try {
+    const quizData = await database.getQuizById(req.params.quizId);
+
+    if (!quizData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const questions = await database.getQuizQuestions(quizData.quizId);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatQuiz(quizData),
+        questions: questions.map(formatAdminQuestion)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/admin/quizzes/:quizId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: PUT /api/admin/quizzes/:quizId - Update, Publish Or Retire Quiz
+// =====================================================
+app.put('/api/admin/quizzes/:quizId', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.updateQuiz), async (req, res) => {
+  try {
+    const { quizId, ...updateData } = req.body;
+
+    if (quizId !== undefined && quizId !== req.params.quizId) {
+      return sendValidationError(res, [{ code: 'INVALID_VALUE', field: 'quizId', message: 'quizId cannot be changed' }]);
+    }
+
+    const existing = await database.getQuizById(req.params.quizId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    if (updateData.status && updateData.status !== existing.status) {
+      if (!QUIZ_STATUS_TRANSITIONS[existing.status].includes(updateData.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change quiz status from ${existing.status} to ${updateData.status}`
+        });
+      }
+
+      if (updateData.status === 'published') {
+        const questions = await database.getQuizQuestions(existing.quizId);
+
+        if (questions.length === 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Cannot publish a quiz without questions'
+          });
+        }
+      }
+    } else {
+      delete updateData.status;
+    }
+
+    const updatedQuiz = await database.updateQuiz(existing.quizId, updateData);
+
+    res.json({
+      success: true,
+      message: 'Quiz updated successfully',
+      data: formatQuiz(updatedQuiz)
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /api/admin/quizzes/:quizId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quiz'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: DELETE /api/admin/quizzes/:quizId - Delete Draft Quiz
+// =====================================================
+app.delete('/api/admin/quizzes/:quizId', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.adminQuiz), async (req, res) => {
+  try {
+    const existing = await database.getQuizById(req.params.quizId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const deleted = await database.deleteDraftQuiz(existing.quizId);
+
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft quizzes can be deleted. Retire published quizzes instead.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quiz deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/quizzes/:quizId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete quiz'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: POST /api/admin/quizzes/:quizId/questions - Add Question
+// =====================================================
+app.post('/api/admin/quizzes/:quizId/questions', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.createQuestion), async (req, res) => {
+  try {
+    const quizData = await database.getQuizById(req.params.quizId);
+
+    if (!quizData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    if (quizData.status === 'retired') {
+      return res.status(409).json({
+        success: false,
+        message: 'Retired quizzes cannot be edited'
+      });
+    }
+
+    const newQuestion = await database.createQuestion(quizData.quizId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created successfully',
+      data: formatAdminQuestion(newQuestion)
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/admin/quizzes/:quizId/questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create question'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: PUT /api/admin/questions/:questionId - Update Question
+// =====================================================
+app.put('/api/admin/questions/:questionId', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.adminQuestion), async (req, res) => {
+  try {
+    const existing = await database.getQuestionById(req.params.questionId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const quizData = await database.getQuizById(existing.quizId);
+
+    if (quizData && quizData.status === 'retired') {
+      return res.status(409).json({
+        success: false,
+        message: 'Retired quizzes cannot be edited'
+      });
+    }
+
+    const current = {
+      type: existing.type,
+      prompt: existing.prompt,
+      options: existing.options,
+      correctAnswer: existing.correctAnswer,
+      points: existing.points,
+      tags: existing.tags,
+      order: existing.order
+    };
+    // Partial updates are merged over the stored question and checked as a whole
+    const { value: question, errors } = check(questionSchema, { ...current, ...req.body });
+
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const updatedQuestion = await database.updateQuestion(existing._id, question);
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      data: formatAdminQuestion(updatedQuestion)
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /api/admin/questions/:questionId:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question'
+    });
+  }
+});
+
+// =====================================================
+// ADMIN: DELETE /api/admin/questions/:questionId - Delete Question
+// =====================================================
+app.delete('/api/admin/questions/:questionId', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.adminQuestion), async (req, res) => {
+  try {
+    const existing = await database.getQuestionById(req.params.questionId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const quizData = await database.getQuizById(existing.quizId);
+
+    // A live quiz must always have something to serve
+    if (quizData && quizData.status !== 'draft') {
+      const questions = await database.getQuizQuestions(existing.quizId);
+
+      if (quizData.status === 'retired' || questions.length <= 1) {
+        return res.status(409).json({
+          success: false,
+          message: quizData.status === 'retired'
+            ? 'Retired quizzes cannot be edited'
+            : 'Cannot delete the last question of a published quiz'
+        });
       }
+    }
+
+    await database.deleteQuestion(existing._id);
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully'
     });
 
   } catch (error) {
-    console.error('Error in GET /api/leaderboard:', error);
+    console.error('Error in DELETE /api/admin/questions/:questionId:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch leaderboard'
+      message: 'Failed to delete question'
+    });
+  }
+});
+
+// =====================================================
+// MODERATION: GET /api/admin/users - Search Players
+// =====================================================
+app.get('/api/admin/users', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.adminSearchUsers), async (req, res) => {
+  try {
+    const { limit, offset, search, banned } = req.query;
+
+    const result = await database.searchUsers({ search, banned }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        users: result.users.map(formatAdminUser),
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/admin/users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search users'
+    });
+  }
+});
+
+// =====================================================
+// MODERATION: POST /api/admin/users/:walletAddress/ban - Ban Wallet
+// =====================================================
+app.post('/api/admin/users/:walletAddress/ban', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.banUser), async (req, res) => {
+  try {
+    const walletAddress = req.params.walletAddress.toLowerCase();
+    const { reason } = req.body;
+
+    if (auth.getRole(walletAddress)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff wallets cannot be banned'
+      });
+    }
+
+    const user = await database.setUserBan(walletAddress, { at: new Date(), by: req.auth.walletAddress, reason });
+
+    if (!user) {
+      const existing = await database.getUserByWallet(walletAddress);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? 'Wallet is already banned' : 'User not found'
+      });
+    }
+
+    await audit(req, { action: 'user.ban', targetType: 'user', targetId: walletAddress, reason });
+    await refreshBoardsAfterModeration();
+
+    res.json({
+      success: true,
+      message: 'Wallet banned',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Error in POST /api/admin/users/:walletAddress/ban:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to ban wallet'
+    });
+  }
+});
+
+// =====================================================
+// MODERATION: DELETE /api/admin/users/:walletAddress/ban - Lift Ban
+// =====================================================
+app.delete('/api/admin/users/:walletAddress/ban', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.unbanUser), async (req, res) => {
+  try {
+    const walletAddress = req.params.walletAddress.toLowerCase();
+    const { reason } = req.body;
+
+    const user = await database.setUserBan(walletAddress, null);
+
+    if (!user) {
+      const existing = await database.getUserByWallet(walletAddress);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? 'Wallet is not banned' : 'User not found'
+      });
+    }
+
+    await audit(req, { action: 'user.unban', targetType: 'user', targetId: walletAddress, reason });
+    await refreshBoardsAfterModeration();
+
+    res.json({
+      success: true,
+      message: 'Ban lifted',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/users/:walletAddress/ban:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift ban'
+    });
+  }
+});
+
+// =====================================================
+// MODERATION: PUT /api/admin/users/:walletAddress/username - Rename Player
+// =====================================================
+app.put('/api/admin/users/:walletAddress/username', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.renameUser), async (req, res) => {
+  try {
+    const walletAddress = req.params.walletAddress.toLowerCase();
+    const { username, reason } = req.body;
+
+    const previous = await database.getUserByWallet(walletAddress);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await database.updateUser(walletAddress, { username }, {
+      skipCooldown: true,
+      changedBy: req.auth.walletAddress
+    });
+
+    await audit(req, {
+      action: 'user.rename',
+      targetType: 'user',
+      targetId: walletAddress,
+      reason,
+      details: { from: previous.username, to: user.username }
+    });
+    await refreshBoardsAfterModeration();
+
+    res.json({
+      success: true,
+      message: 'Username changed',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /api/admin/users/:walletAddress/username:', error);
+
+    if (error.message === 'USERNAME_TAKEN') {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    if (error.message === 'VALIDATION_ERROR') {
+      return sendValidationError(res, error.errors);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change username'
+    });
+  }
+});
+
+// Void or delete a score, shared by the two score moderation routes
+const moderateScore = (action) => async (req, res) => {
+  try {
+    const { scoreId } = req.params;
+    const { reason } = req.body;
+    const voided = action === 'score.void' ? { at: new Date(), by: req.auth.walletAddress, reason } : null;
+
+    const result = await database.removeScore(scoreId, { voided });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Score not found'
+      });
+    }
+
+    const { score, user } = result;
+    await audit(req, {
+      action,
+      targetType: 'score',
+      targetId: scoreId,
+      reason,
+      details: { walletAddress: score.walletAddress, quizId: score.quizId, attempt: score.attempt, score: score.score }
+    });
+    await refreshBoardsAfterModeration();
+
+    res.json({
+      success: true,
+      message: voided ? 'Score voided' : 'Score deleted',
+      data: {
+        scoreId: score._id,
+        walletAddress: score.walletAddress,
+        quizId: score.quizId,
+        attempt: score.attempt,
+        voided: score.voided || null,
+        user: user ? formatAdminUser(user) : null
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error in ${req.method} ${req.path}:`, error);
+
+    if (error.message === 'SCORE_ALREADY_VOIDED' || error.message === 'SCORE_CHANGED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message === 'SCORE_CHANGED'
+          ? 'Score was changed by another moderator, reload it and retry'
+          : 'Score is already voided'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: action === 'score.void' ? 'Failed to void score' : 'Failed to delete score'
+    });
+  }
+};
+
+// =====================================================
+// MODERATION: POST /api/admin/scores/:scoreId/void - Void Score
+// =====================================================
+app.post('/api/admin/scores/:scoreId/void', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.moderateScore), moderateScore('score.void'));
+
+// =====================================================
+// MODERATION: DELETE /api/admin/scores/:scoreId - Delete Score
+// =====================================================
+app.delete('/api/admin/scores/:scoreId', checkDbConnection, auth.requireAuth, auth.requireModerator, validate(schemas.moderateScore), moderateScore('score.delete'));
+
+// =====================================================
+// MODERATION: GET /api/admin/audit-log - List Moderation Actions
+// =====================================================
+app.get('/api/admin/audit-log', checkDbConnection, auth.requireAuth, auth.requireAdmin, validate(schemas.auditLog), async (req, res) => {
+  try {
+    const { limit, offset, actor, action, targetId } = req.query;
+
+    const result = await database.getAuditLog({ actor, action, targetId }, limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.entries,
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in GET /api/admin/audit-log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
     });
   }
 });
@@ -462,18 +2660,12 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`CryptoQuest Backend running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Frontend: https://abrahamnavig-quest.vercel.app`);
-});
-
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   
   try {
+    liveFeed.close();
     await database.close();
     process.exit(0);
   } catch (error) {
@@ -482,5 +2674,25 @@ const gracefulShutdown = async (signal) => {
   }
 };
 
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
\ No newline at end of file
+// Connect and listen only when started directly, tests import the app
+if (require.main === module) {
+  database.connect()
+    .then(() => {
+      console.log('Database connected successfully');
+    })
+    .catch(error => {
+      console.error('Failed to connect to database:', error);
+      process.exit(1);
+    });
+
+  app.listen(PORT, () => {
+    console.log(`CryptoQuest Backend running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`Frontend: https://abrahamnavig-quest.vercel.app`);
+  });
+
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+}
+
+module.exports = app;
@@ -0,0 +1,107 @@
+require('dotenv').config();
+
+// Daily play streaks. Days are calendar days in the user's own timezone,
+// so playing at 23:00 and again at 08:00 the next morning counts as two days.
+// One missed day can be covered by a freeze, at most once per FREEZE_COOLDOWN_DAYS.
+
+const FREEZE_ENABLED = process.env.STREAK_FREEZE_ENABLED !== 'false';
+const FREEZE_COOLDOWN_DAYS = parseInt(process.env.STREAK_FREEZE_COOLDOWN_DAYS) || 7;
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in the given timezone
+const localDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Whole days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) => {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+};
+
+const emptyStreak = () => ({
+  current: 0,
+  longest: 0,
+  lastPlayedDate: null,
+  freezeUsedOn: null
+});
+
+const isFreezeAvailable = (streak, today) => {
+  if (!FREEZE_ENABLED) return false;
+  return !streak.freezeUsedOn || daysBetween(streak.freezeUsedOn, today) >= FREEZE_COOLDOWN_DAYS;
+};
+
+// Streak after playing at `now`. Returns the new streak plus what happened.
+const applyPlay = (previous, now, timeZone) => {
+  const streak = { ...emptyStreak(), ...(previous || {}) };
+  const today = localDate(now, timeZone);
+
+  if (!streak.lastPlayedDate) {
+    const next = { ...streak, current: 1, longest: Math.max(streak.longest, 1), lastPlayedDate: today };
+    return { streak: next, extended: true, freezeUsed: false, reset: false };
+  }
+
+  const gap = daysBetween(streak.lastPlayedDate, today);
+
+  // Already played today, or a clock/timezone change moved us backwards
+  if (gap <= 0) {
+    return { streak, extended: false, freezeUsed: false, reset: false };
+  }
+
+  const freezeUsed = gap === 2 && isFreezeAvailable(streak, today);
+  const continues = gap === 1 || freezeUsed;
+  const current = continues ? streak.current + 1 : 1;
+
+  const next = {
+    current,
+    longest: Math.max(streak.longest, current),
+    lastPlayedDate: today,
+    freezeUsedOn: freezeUsed ? today : streak.freezeUsedOn
+  };
+
+  return { streak: next, extended: continues, freezeUsed, reset: !continues };
+};
+
+// Streak as it stands at `now` without playing: a streak whose last play is too
+// old to be continued (even with a freeze) is shown as 0
+const currentStreak = (previous, now, timeZone) => {
+  const streak = { ...emptyStreak(), ...(previous || {}) };
+  const today = localDate(now, timeZone);
+
+  if (!streak.lastPlayedDate) {
+    return { ...streak, freezeAvailable: isFreezeAvailable(streak, today) };
+  }
+
+  const gap = daysBetween(streak.lastPlayedDate, today);
+  const alive = gap <= 1 || (gap === 2 && isFreezeAvailable(streak, today));
+
+  return {
+    ...streak,
+    current: alive ? streak.current : 0,
+    freezeAvailable: isFreezeAvailable(streak, today)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localDate,
+  daysBetween,
+  applyPlay,
+  currentStreak
+};
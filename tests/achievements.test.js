@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestDatabase, api, createProfile, submitScore } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+const database = require('../database');
+
+useTestDatabase();
+
+const unlockedIds = (res) => res.body.data.newAchievements.map(achievement => achievement.id);
+
+describe('achievements on score submission', () => {
+  beforeEach(() => createProfile(player(1)));
+
+  test('first quiz and perfect score unlock on the first submission', async () => {
+    const res = await submitScore(player(1), { score: 20 });
+
+    expect(unlockedIds(res)).toEqual(expect.arrayContaining(['first-quiz', 'first-perfect-score']));
+  });
+
+  test('are only awarded once', async () => {
+    await submitScore(player(1), { quizId: 'quiz-1' });
+    const res = await submitScore(player(1), { quizId: 'quiz-2' });
+
+    expect(unlockedIds(res)).not.toContain('first-quiz');
+  });
+
+  test('hard mode streak needs five passed hard quizzes in a row', async () => {
+    let res;
+    for (let i = 1; i <= 5; i++) {
+      res = await submitScore(player(1), { quizId: `hard-${i}`, score: 15, difficulty: 'hard' });
+      if (i < 5) {
+        expect(unlockedIds(res)).not.toContain('hard-mode-streak');
+      }
+    }
+
+    expect(unlockedIds(res)).toContain('hard-mode-streak');
+  });
+
+  test('weekly top 10 reads the cached board instead of ranking every submission', async () => {
+    const rank = jest.spyOn(database, 'getPlayerRank');
+    const page = jest.spyOn(database, 'getLeaderboardPage');
+
+    const zero = await submitScore(player(1), { quizId: 'quiz-1', score: 0 });
+    const pageCalls = page.mock.calls.length;
+    const scored = await submitScore(player(1), { quizId: 'quiz-2', score: 5 });
+    const rankCalls = rank.mock.calls.length;
+    rank.mockRestore();
+    page.mockRestore();
+
+    expect(unlockedIds(zero)).not.toContain('weekly-top-10');
+    expect(pageCalls).toBe(0);
+    expect(unlockedIds(scored)).toContain('weekly-top-10');
+    expect(rankCalls).toBe(0);
+  });
+});
+
+describe('level-expert with configured levels', () => {
+  const expertRule = (levels) => {
+    const file = path.join(os.tmpdir(), `progression-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ levels }));
+    process.env.PROGRESSION_CONFIG = file;
+    try {
+      let rule;
+      jest.isolateModules(() => {
+        rule = require('../achievements').ACHIEVEMENTS.find(achievement => achievement.id === 'level-expert');
+      });
+      return rule;
+    } finally {
+      delete process.env.PROGRESSION_CONFIG;
+      fs.rmSync(file, { force: true });
+    }
+  };
+
+  test('counts levels above expert', async () => {
+    const rule = expertRule([
+      { name: 'novice', minXp: 0 },
+      { name: 'expert', minXp: 500 },
+      { name: 'grandmaster', minXp: 900 },
+      { name: 'legend', minXp: 2000 }
+    ]);
+
+    expect(await rule.check({ user: { level: 'legend', xp: 2500 } })).toBe(true);
+    expect(await rule.check({ user: { level: 'novice', xp: 100 } })).toBe(false);
+  });
+
+  test('uses the level below the top when there is no expert level', async () => {
+    const rule = expertRule([
+      { name: 'bronze', minXp: 0 },
+      { name: 'silver', minXp: 100 },
+      { name: 'gold', minXp: 300 }
+    ]);
+
+    expect(rule.description).toBe('Reach the silver level');
+    expect(await rule.check({ user: { level: 'silver', xp: 150 } })).toBe(true);
+  });
+});
+
+describe('GET /api/achievements', () => {
+  test('lists the catalog without rules', async () => {
+    const res = await api().get('/api/achievements');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.achievements.length).toBeGreaterThan(0);
+    expect(res.body.data.achievements[0]).toEqual({
+      id: 'first-quiz',
+      name: 'First Steps',
+      description: 'Complete your first quiz'
+    });
+  });
+});
+
+describe('GET /api/users/:walletAddress/achievements', () => {
+  test('lists earned achievements with unlock time', async () => {
+    await createProfile(player(1));
+    await submitScore(player(1), { score: 5 });
+
+    const res = await api().get(`/api/users/${player(1).address}/achievements`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.achievements.map(achievement => achievement.id)).toEqual(['first-quiz', 'weekly-top-10']);
+    expect(res.body.data.achievements[0].unlockedAt).toBeDefined();
+  });
+
+  test('404s for an unknown wallet', async () => {
+    const res = await api().get(`/api/users/${player(1).address}/achievements`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,96 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { ADMIN, player } = require('./helpers/wallets');
+const database = require('../database');
+
+useTestDatabase();
+
+const reviews = () => database.db.collection('score_reviews').find({}).sort({ createdAt: 1 }).toArray();
+
+const flaggedRules = (review) => review.reasons.map(reason => reason.rule);
+
+describe('anomaly detection', () => {
+  beforeEach(() => createProfile(player(1)));
+
+  test('leaves ordinary submissions alone', async () => {
+    await submitScore(player(1), { quizId: 'quiz-1', score: 12 });
+    await submitScore(player(1), { quizId: 'quiz-2', score: 20 });
+
+    expect(await reviews()).toEqual([]);
+  });
+
+  test('flags a burst of submissions', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await submitScore(player(1), { quizId: `quiz-${i}`, score: 12 });
+    }
+
+    const [review] = await reviews();
+    expect(flaggedRules(review)).toEqual(['submission-burst']);
+    expect(review).toMatchObject({ walletAddress: player(1).address.toLowerCase(), quizId: 'quiz-5', status: 'open' });
+  });
+
+  test('flags a run of perfect scores', async () => {
+    const perfect = Array.from({ length: 10 }, (_, i) => ({
+      walletAddress: player(1).address.toLowerCase(),
+      quizId: `old-${i}`,
+      score: 20,
+      maxScore: 20,
+      percentage: 100,
+      attempt: 1,
+      createdAt: new Date(Date.now() - (i + 1) * 60 * 60 * 1000)
+    }));
+    await database.db.collection('scores').insertMany(perfect);
+
+    const res = await submitScore(player(1), { quizId: 'quiz-1', score: 20 });
+
+    expect(res.status).toBe(201);
+    const [review] = await reviews();
+    expect(flaggedRules(review)).toEqual(['perfect-run']);
+    expect(review.scoreId).toEqual(expect.anything());
+  });
+
+  test('flags quiz sessions answered implausibly fast', async () => {
+    const admin = (method, path, body) => api()[method](path).set(bearer(ADMIN)).send(body);
+    await admin('post', '/api/admin/quizzes', { quizId: 'speed-run', title: 'Speed Run', difficulty: 'easy' });
+    await admin('post', '/api/admin/quizzes/speed-run/questions', { type: 'true_false', prompt: 'Is ETH a token?', correctAnswer: true });
+    await admin('put', '/api/admin/quizzes/speed-run', { status: 'published' });
+
+    const session = (await api().post('/api/quizzes/speed-run/sessions').set(bearer(player(1)))).body.data;
+    const res = await api().post(`/api/quiz-sessions/${session.sessionId}/submit`).set(bearer(player(1)))
+      .send({ answers: [{ questionId: session.questions[0].id, answer: true }] });
+
+    expect(res.status).toBe(201);
+    const [review] = await reviews();
+    expect(flaggedRules(review)).toEqual(['fast-completion']);
+    expect(review.reasons[0].details).toMatchObject({ questions: 1 });
+  });
+});
+
+describe('GET /api/admin/score-reviews', () => {
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    for (let i = 1; i <= 5; i++) {
+      await submitScore(player(1), { quizId: `quiz-${i}` });
+    }
+  });
+
+  test('lists open reviews for admins', async () => {
+    const res = await api().get('/api/admin/score-reviews').set(bearer(ADMIN));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.reviews).toHaveLength(1);
+    expect(res.body.data.pagination).toMatchObject({ total: 1, limit: 20, offset: 0, hasMore: false });
+  });
+
+  test('filters by wallet', async () => {
+    const res = await api().get(`/api/admin/score-reviews?walletAddress=${player(2).address}`).set(bearer(ADMIN));
+
+    expect(res.body.data.reviews).toEqual([]);
+  });
+
+  test('is restricted to admin wallets', async () => {
+    const res = await api().get('/api/admin/score-reviews').set(bearer(player(1)));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,39 @@
+const { api } = require('./helpers/api');
+const database = require('../database');
+
+// No useTestDatabase here: these cover the app before and after connecting
+
+describe('app', () => {
+  afterAll(() => database.close());
+
+  test('importing the app does not connect or listen', async () => {
+    expect(database.isReady()).toBe(false);
+
+    const health = await api().get('/health');
+    expect(health.body).toMatchObject({ status: 'OK', database: 'disconnected' });
+  });
+
+  test('database routes answer 503 until connected', async () => {
+    const before = await api().get('/api/leaderboard');
+    await database.connect();
+    const after = await api().get('/api/leaderboard');
+
+    expect(before.status).toBe(503);
+    expect(after.status).toBe(200);
+    expect((await api().get('/health')).body.database).toBe('connected');
+  });
+
+  test('lists the endpoints at the root', async () => {
+    const res = await api().get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints).toContain('POST /api/scores - Submit quiz score');
+  });
+
+  test('unknown routes 404', async () => {
+    const res = await api().get('/api/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Route GET /api/nope not found' });
+  });
+});
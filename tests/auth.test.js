@@ -0,0 +1,103 @@
+const { useTestDatabase, api, tokenFor } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+
+useTestDatabase();
+
+const signIn = async (wallet) => {
+  const nonce = await api().get(`/api/auth/nonce/${wallet.address}`);
+  const signature = await wallet.signMessage(nonce.body.data.message);
+  return api().post('/api/auth/verify').send({ message: nonce.body.data.message, signature });
+};
+
+describe('GET /api/auth/nonce/:walletAddress', () => {
+  test('returns a SIWE message for the wallet', async () => {
+    const wallet = player(1);
+    const res = await api().get(`/api/auth/nonce/${wallet.address}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.walletAddress).toBe(wallet.address.toLowerCase());
+    expect(res.body.data.message).toContain(wallet.address);
+    expect(res.body.data.message).toContain(`Nonce: ${res.body.data.nonce}`);
+  });
+
+  test('rejects a malformed wallet address', async () => {
+    const res = await api().get('/api/auth/nonce/0x123');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_FORMAT', field: 'walletAddress' });
+  });
+});
+
+describe('POST /api/auth/verify', () => {
+  test('issues a token for a correctly signed message', async () => {
+    const wallet = player(1);
+    const res = await signIn(wallet);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.walletAddress).toBe(wallet.address.toLowerCase());
+    expect(res.body.data.hasProfile).toBe(false);
+
+    const profile = await api()
+      .post('/api/users')
+      .set('Authorization', `Bearer ${res.body.data.token}`)
+      .send({ walletAddress: wallet.address, username: 'alice' });
+    expect(profile.status).toBe(201);
+  });
+
+  test('nonces are single use', async () => {
+    const wallet = player(1);
+    const nonce = await api().get(`/api/auth/nonce/${wallet.address}`);
+    const body = { message: nonce.body.data.message, signature: await wallet.signMessage(nonce.body.data.message) };
+
+    expect((await api().post('/api/auth/verify').send(body)).status).toBe(200);
+    expect((await api().post('/api/auth/verify').send(body)).status).toBe(401);
+  });
+
+  test('rejects a signature from another wallet', async () => {
+    const nonce = await api().get(`/api/auth/nonce/${player(1).address}`);
+    const signature = await player(2).signMessage(nonce.body.data.message);
+    const res = await api().post('/api/auth/verify').send({ message: nonce.body.data.message, signature });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a message that is not a sign-in message', async () => {
+    const signature = await player(1).signMessage('hello');
+    const res = await api().post('/api/auth/verify').send({ message: 'hello', signature });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('requires message and signature', async () => {
+    const res = await api().post('/api/auth/verify').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['message', 'signature']);
+  });
+});
+
+describe('protected routes', () => {
+  test('reject requests without a token', async () => {
+    const res = await api().post('/api/users').send({ walletAddress: player(1).address, username: 'alice' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('reject an invalid token', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', 'Bearer not-a-token')
+      .send({ walletAddress: player(1).address, username: 'alice' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('reject a token for a different wallet', async () => {
+    const res = await api()
+      .post('/api/users')
+      .set('Authorization', `Bearer ${tokenFor(player(2))}`)
+      .send({ walletAddress: player(1).address, username: 'alice' });
+
+    expect(res.status).toBe(403);
+  });
+});
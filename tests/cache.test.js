@@ -0,0 +1,84 @@
+const { MemoryCache, RedisCache } = require('../cache');
+
+describe('MemoryCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('expires values after their TTL', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new MemoryCache();
+    await cache.set('short', 'a', 1000);
+    await cache.set('forever', 'b');
+
+    jest.setSystemTime(1000);
+
+    expect(await cache.get('short')).toBeNull();
+    expect(await cache.get('forever')).toBe('b');
+  });
+
+  test('evicts the oldest write beyond maxEntries', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 60000);
+    await cache.set('b', 2, 60000);
+    await cache.set('a', 3, 60000);
+    await cache.set('c', 4, 60000);
+
+    expect(await cache.get('b')).toBeNull();
+    expect([await cache.get('a'), await cache.get('c')]).toEqual(['3', '4']);
+  });
+
+  test('never evicts values without a TTL', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.incr('leaderboard:version');
+    await cache.set('leaderboard:updatedAt', 1000);
+    for (let i = 0; i < 5; i++) {
+      await cache.set(`snapshot:${i}`, i, 60000);
+    }
+
+    expect(await cache.get('leaderboard:version')).toBe('1');
+    expect(await cache.get('leaderboard:updatedAt')).toBe('1000');
+    expect(await cache.get('snapshot:0')).toBeNull();
+    expect(await cache.get('snapshot:4')).toBe('4');
+  });
+
+  test('incr counts from zero', async () => {
+    const cache = new MemoryCache();
+
+    expect(await cache.incr('version')).toBe(1);
+    expect(await cache.incr('version')).toBe(2);
+  });
+
+  test('incr sets the TTL when it creates the key and keeps it after', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new MemoryCache();
+    await cache.incr('hits', 1000);
+
+    jest.setSystemTime(600);
+    await cache.incr('hits', 1000);
+    expect(await cache.get('hits')).toBe('2');
+
+    jest.setSystemTime(1000);
+    expect(await cache.get('hits')).toBeNull();
+  });
+});
+
+describe('RedisCache', () => {
+  test('passes TTLs to the client in milliseconds', async () => {
+    const client = { set: jest.fn(), get: jest.fn(), incr: jest.fn(), del: jest.fn() };
+    const cache = new RedisCache(client);
+
+    await cache.set('a', 1, 500);
+    await cache.set('b', 2);
+
+    expect(client.set.mock.calls).toEqual([['a', '1', 'PX', 500], ['b', '2']]);
+  });
+
+  test('expires counters from their first increment', async () => {
+    const client = { incr: jest.fn().mockResolvedValueOnce(1).mockResolvedValueOnce(2), pexpire: jest.fn() };
+    const cache = new RedisCache(client);
+
+    await cache.incr('hits', 1000);
+    await cache.incr('hits', 1000);
+
+    expect(client.pexpire.mock.calls).toEqual([['hits', 1000]]);
+  });
+});
@@ -0,0 +1,248 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { MODERATOR, player } = require('./helpers/wallets');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+const { decideWinner, DEFAULT_HOURS, MAX_DAYS } = require('../challenges');
+
+useTestDatabase();
+
+const challenge = (wallet, opponent, fields = {}) => {
+  return api().post('/api/challenges').set(bearer(wallet)).send({ opponent: opponent.address, quizId: 'quiz-1', ...fields });
+};
+
+const respond = (wallet, challengeId, action) => api().post(`/api/challenges/${challengeId}/${action}`).set(bearer(wallet));
+
+const listChallenges = (wallet, query = '') => api().get(`/api/users/${wallet.address}/challenges${query}`);
+
+// Move a challenge's deadline into the past
+const expire = (challengeId) => database.db.collection('challenges').updateOne(
+  { _id: new ObjectId(challengeId) },
+  { $set: { deadline: new Date(Date.now() - 1000) } }
+);
+
+const wallet = (i) => player(i).address.toLowerCase();
+
+describe('POST /api/challenges', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 3; i++) {
+      await createProfile(player(i));
+    }
+  });
+
+  test('creates a pending challenge with a default deadline', async () => {
+    const res = await challenge(player(1), player(2));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      quizId: 'quiz-1',
+      status: 'pending',
+      challenger: { walletAddress: wallet(1), username: expect.any(String), result: null },
+      opponent: { walletAddress: wallet(2), result: null },
+      winner: null
+    });
+    const hours = (new Date(res.body.data.deadline) - new Date(res.body.data.createdAt)) / (60 * 60 * 1000);
+    expect(Math.round(hours)).toBe(DEFAULT_HOURS);
+  });
+
+  test('rejects deadlines in the past or too far ahead', async () => {
+    const past = await challenge(player(1), player(2), { deadline: new Date(Date.now() - 60000).toISOString() });
+    const far = await challenge(player(1), player(2), { deadline: new Date(Date.now() + (MAX_DAYS + 1) * 86400000).toISOString() });
+
+    expect(past.status).toBe(400);
+    expect(far.status).toBe(400);
+    expect(far.body.errors[0]).toMatchObject({ field: 'deadline', code: 'OUT_OF_RANGE' });
+  });
+
+  test('rejects self challenges, unknown players and unpublished quizzes', async () => {
+    await database.createQuiz({ quizId: 'draft-quiz', title: 'Draft quiz', difficulty: 'easy', tags: [] });
+
+    expect((await challenge(player(1), player(1))).status).toBe(400);
+    expect((await challenge(player(1), player(9))).status).toBe(404);
+    expect((await challenge(player(9), player(1))).status).toBe(404);
+    expect((await challenge(player(1), player(2), { quizId: 'draft-quiz' })).status).toBe(404);
+  });
+
+  test('allows one open challenge per pair and quiz', async () => {
+    await challenge(player(1), player(2));
+
+    expect((await challenge(player(1), player(2))).status).toBe(409);
+    expect((await challenge(player(2), player(1))).status).toBe(409);
+    expect((await challenge(player(1), player(2), { quizId: 'quiz-2' })).status).toBe(201);
+    expect((await challenge(player(1), player(3))).status).toBe(201);
+  });
+
+  test('needs a signed-in, unbanned player', async () => {
+    await api().post(`/api/admin/users/${player(1).address}/ban`).set(bearer(MODERATOR)).send({ reason: 'Challenge spam' });
+
+    expect((await api().post('/api/challenges').send({ opponent: player(2).address, quizId: 'quiz-1' })).status).toBe(401);
+    expect((await challenge(player(1), player(2))).status).toBe(403);
+  });
+});
+
+describe('accepting and declining', () => {
+  let challengeId;
+
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    challengeId = (await challenge(player(1), player(2))).body.data.challengeId;
+  });
+
+  test('only the opponent can answer', async () => {
+    expect((await respond(player(1), challengeId, 'accept')).status).toBe(404);
+
+    const res = await respond(player(2), challengeId, 'accept');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'accepted', respondedAt: expect.any(String) });
+  });
+
+  test('a challenge can only be answered once', async () => {
+    await respond(player(2), challengeId, 'decline');
+
+    const res = await respond(player(2), challengeId, 'accept');
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Challenge is already declined');
+  });
+
+  test('overdue challenges expire instead of being accepted', async () => {
+    await expire(challengeId);
+
+    const res = await respond(player(2), challengeId, 'accept');
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Challenge is already expired');
+  });
+
+  test('unknown challenges are not found', async () => {
+    expect((await respond(player(2), '0123456789abcdef01234567', 'accept')).status).toBe(404);
+    expect((await api().get('/api/challenges/0123456789abcdef01234567')).status).toBe(404);
+    expect((await api().get('/api/challenges/not-an-id')).status).toBe(400);
+  });
+});
+
+describe('playing a challenge', () => {
+  let challengeId;
+
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    challengeId = (await challenge(player(1), player(2))).body.data.challengeId;
+  });
+
+  const getChallenge = async () => (await api().get(`/api/challenges/${challengeId}`)).body.data;
+
+  test('the higher score wins once both players have played', async () => {
+    await submitScore(player(1), { score: 12 });
+    await respond(player(2), challengeId, 'accept');
+    const res = await submitScore(player(2), { score: 15 });
+
+    expect(res.body.data.challenges).toEqual([{ challengeId, status: 'completed', winner: wallet(2) }]);
+    expect(await getChallenge()).toMatchObject({
+      status: 'completed',
+      winner: wallet(2),
+      challenger: { result: { score: 12, percentage: 60 } },
+      opponent: { result: { score: 15, percentage: 75 } },
+      closedAt: expect.any(String)
+    });
+  });
+
+  test('ties go to whoever submitted first', async () => {
+    await respond(player(2), challengeId, 'accept');
+    await submitScore(player(2), { score: 10 });
+    await submitScore(player(1), { score: 10 });
+
+    expect((await getChallenge()).winner).toBe(wallet(2));
+  });
+
+  test('only the first score after joining counts', async () => {
+    await submitScore(player(2), { score: 20 });
+    await respond(player(2), challengeId, 'accept');
+    await submitScore(player(1), { score: 10 });
+    await submitScore(player(1), { score: 20 });
+    await submitScore(player(2), { quizId: 'quiz-2', score: 20 });
+
+    const pending = await getChallenge();
+    expect(pending.status).toBe('accepted');
+    expect(pending.challenger.result.score).toBe(10);
+    expect(pending.opponent.result).toBeNull();
+
+    await submitScore(player(2), { score: 5 });
+    expect((await getChallenge()).winner).toBe(wallet(1));
+  });
+
+  test('an accepted challenge only one player finished goes to them at the deadline', async () => {
+    await respond(player(2), challengeId, 'accept');
+    await submitScore(player(1));
+    await expire(challengeId);
+
+    expect(await getChallenge()).toMatchObject({ status: 'expired', winner: wallet(1) });
+  });
+
+  test('a challenge nobody accepted expires without a winner', async () => {
+    await submitScore(player(1));
+    await expire(challengeId);
+
+    expect(await getChallenge()).toMatchObject({ status: 'expired', winner: null });
+  });
+
+  test('scores after the deadline do not count', async () => {
+    await respond(player(2), challengeId, 'accept');
+    await expire(challengeId);
+    const res = await submitScore(player(1));
+
+    expect(res.body.data.challenges).toEqual([]);
+  });
+});
+
+describe('GET /api/users/:walletAddress/challenges', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 4; i++) {
+      await createProfile(player(i));
+    }
+    await challenge(player(1), player(2));
+    await challenge(player(3), player(1));
+    const declined = (await challenge(player(1), player(4))).body.data.challengeId;
+    await respond(player(4), declined, 'decline');
+  });
+
+  const challengeWallets = (res) => res.body.data.challenges.map(entry => [entry.challenger.walletAddress, entry.opponent.walletAddress]);
+
+  test('list pending and completed challenges newest first', async () => {
+    const pending = await listChallenges(player(1), '?status=pending');
+    const completed = await listChallenges(player(1), '?status=completed');
+
+    expect(challengeWallets(pending)).toEqual([[wallet(3), wallet(1)], [wallet(1), wallet(2)]]);
+    expect(challengeWallets(completed)).toEqual([[wallet(1), wallet(4)]]);
+  });
+
+  test('filter by role', async () => {
+    const res = await listChallenges(player(1), '?role=opponent');
+
+    expect(challengeWallets(res)).toEqual([[wallet(3), wallet(1)]]);
+  });
+
+  test('page with a cursor', async () => {
+    const first = await listChallenges(player(1), '?limit=2');
+    const second = await listChallenges(player(1), `?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(first.body.data.pagination).toEqual({ limit: 2, hasMore: true, nextCursor: expect.any(String) });
+    expect(challengeWallets(second)).toEqual([[wallet(1), wallet(2)]]);
+    expect(second.body.data.pagination.hasMore).toBe(false);
+  });
+
+  test('return 404 for unknown players and 400 for unknown statuses', async () => {
+    expect((await listChallenges(player(9))).status).toBe(404);
+    expect((await listChallenges(player(1), '?status=won')).status).toBe(400);
+  });
+});
+
+describe('decideWinner', () => {
+  const result = (percentage, submittedAt, durationMs = null) => ({ percentage, submittedAt: new Date(submittedAt), durationMs });
+  const decide = (challengerResult, opponentResult) => decideWinner({ challenger: 'a', opponent: 'b', challengerResult, opponentResult });
+
+  test('prefers the higher percentage, then the faster session, then the earlier submission', () => {
+    expect(decide(result(50, 2), result(80, 1))).toBe('b');
+    expect(decide(result(80, 2, 30000), result(80, 1, 45000))).toBe('a');
+    expect(decide(result(80, 2, 30000), result(80, 1))).toBe('b');
+    expect(decide(result(80, 1), result(80, 1))).toBeNull();
+  });
+});
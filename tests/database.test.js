@@ -0,0 +1,466 @@
+const { useTestDatabase } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+const { ObjectId } = require('mongodb');
+const database = require('../database');
+
+useTestDatabase();
+
+const wallet = player(1).address.toLowerCase();
+
+const newUser = (fields = {}) => database.createUser({ walletAddress: player(1).address, username: 'alice', ...fields });
+
+const newScore = (fields = {}) => database.createScore({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy', ...fields });
+
+// Makes the in-memory client act like a replica set member for the
+// enclosing tests, see MemoryClient
+const useTransactions = () => {
+  beforeEach(() => {
+    database.client.transactions = true;
+    database.transactionsSupported = null;
+  });
+  afterEach(() => {
+    database.client.transactions = false;
+    database.transactionsSupported = null;
+  });
+};
+
+describe('users', () => {
+  test('createUser normalizes and fills defaults', async () => {
+    const user = await newUser({ username: '  alice  ' });
+
+    expect(user).toMatchObject({
+      walletAddress: wallet,
+      username: 'alice',
+      profilePictureUrl: null,
+      totalScore: 0,
+      xp: 0,
+      level: 'beginner',
+      timezone: 'UTC',
+      streak: { current: 0, longest: 0, lastPlayedDate: null, freezeUsedOn: null }
+    });
+    expect(await database.getUserByWallet(player(1).address.toUpperCase().replace('0X', '0x'))).toMatchObject({ username: 'alice' });
+  });
+
+  test('createUser rejects invalid data with field errors', async () => {
+    await expect(newUser({ username: 'al' })).rejects.toMatchObject({
+      message: 'VALIDATION_ERROR',
+      errors: [expect.objectContaining({ field: 'username', code: 'INVALID_LENGTH' })]
+    });
+  });
+
+  test('createUser rejects a second profile for the wallet', async () => {
+    await newUser();
+
+    await expect(newUser()).rejects.toThrow('USER_ALREADY_EXISTS');
+  });
+
+  test('updateUser changes only the given fields', async () => {
+    await newUser({ profilePictureUrl: 'ipfs://bafybeiasb5vpmaounyilfuxbd3lryvosl4yefqrfahsb2esg46q6tu6y5q' });
+
+    const updated = await database.updateUser(wallet, { timezone: 'Asia/Tokyo' });
+
+    expect(updated).toMatchObject({ username: 'alice', profilePictureUrl: 'ipfs://bafybeiasb5vpmaounyilfuxbd3lryvosl4yefqrfahsb2esg46q6tu6y5q', timezone: 'Asia/Tokyo' });
+    await expect(database.updateUser(wallet, { timezone: 'Nowhere/Land' })).rejects.toThrow('VALIDATION_ERROR');
+  });
+
+  test('updateUserStreak only writes over the streak it read', async () => {
+    await newUser();
+    const streak = { current: 1, longest: 1, lastPlayedDate: '2026-01-01', freezeUsedOn: null };
+
+    expect(await database.updateUserStreak(wallet, null, streak)).toBe(true);
+    expect(await database.updateUserStreak(wallet, null, { ...streak, current: 5 })).toBe(false);
+    expect((await database.getUserByWallet(wallet)).streak.current).toBe(1);
+  });
+
+  test('getUserStats aggregates counted scores per quiz', async () => {
+    await newScore({ quizId: 'quiz-1', score: 10 });
+    await newScore({ quizId: 'quiz-1', score: 14 });
+    await newScore({ quizId: 'quiz-2', score: 20 });
+
+    expect(await database.getUserStats(wallet)).toMatchObject({ quizCount: 2, attemptCount: 3, averageScore: 17, bestScore: 20, totalScore: 34 });
+    expect(await database.getUserStats(player(2).address)).toEqual({ quizCount: 0, attemptCount: 0, averageScore: 0, bestScore: 0, totalScore: 0 });
+  });
+});
+
+describe('auth nonces', () => {
+  test('a nonce can be consumed once, and only for its wallet', async () => {
+    await database.saveAuthNonce(wallet, 'abc', new Date(Date.now() + 60000));
+
+    expect(await database.consumeAuthNonce(player(2).address, 'abc')).toBeNull();
+    expect(await database.consumeAuthNonce(wallet, 'abc')).toMatchObject({ nonce: 'abc' });
+    expect(await database.consumeAuthNonce(wallet, 'abc')).toBeNull();
+  });
+
+  test('a newer nonce replaces the previous one', async () => {
+    await database.saveAuthNonce(wallet, 'first', new Date(Date.now() + 60000));
+    await database.saveAuthNonce(wallet, 'second', new Date(Date.now() + 60000));
+
+    expect(await database.consumeAuthNonce(wallet, 'first')).toBeNull();
+    expect(await database.consumeAuthNonce(wallet, 'second')).not.toBeNull();
+  });
+
+  test('expired nonces are rejected', async () => {
+    await database.saveAuthNonce(wallet, 'old', new Date(Date.now() - 1000));
+
+    expect(await database.consumeAuthNonce(wallet, 'old')).toBeNull();
+  });
+});
+
+describe('scores', () => {
+  test('createScore computes the percentage and numbers attempts per quiz', async () => {
+    const first = await newScore({ score: 15, maxScore: 20 });
+    const second = await newScore({ score: 5 });
+    const otherQuiz = await newScore({ quizId: 'quiz-2' });
+
+    expect(first).toMatchObject({ attempt: 1, percentage: 75 });
+    expect(second.attempt).toBe(2);
+    expect(otherQuiz.attempt).toBe(1);
+    expect(await database.getScoreByWalletAndQuiz(wallet, 'quiz-1')).toMatchObject({ attempt: 1, score: 15 });
+  });
+
+  test('createScore retries when a concurrent attempt took the number', async () => {
+    await newScore();
+    const findOne = jest.spyOn(database.db.collection('scores'), 'findOne').mockResolvedValueOnce(null);
+
+    const score = await newScore();
+    findOne.mockRestore();
+
+    expect(score.attempt).toBe(2);
+  });
+
+  test('countPerfectScores counts quizzes, not attempts', async () => {
+    await newScore({ quizId: 'quiz-1', score: 20 });
+    await newScore({ quizId: 'quiz-1', score: 20 });
+    await newScore({ quizId: 'quiz-2', score: 19 });
+
+    expect(await database.countPerfectScores(wallet)).toBe(1);
+  });
+
+  test('countPerfectScores and getRecentScores', async () => {
+    await newScore({ quizId: 'quiz-1', score: 20, createdAt: new Date(Date.UTC(2026, 0, 1)) });
+    await newScore({ quizId: 'quiz-2', score: 5, createdAt: new Date(Date.UTC(2026, 0, 2)) });
+    await newScore({ quizId: 'quiz-3', score: 20, createdAt: new Date(Date.UTC(2026, 0, 3)) });
+
+    expect(await database.countPerfectScores(wallet)).toBe(2);
+    expect((await database.getRecentScores(wallet, 2)).map(score => score.quizId)).toEqual(['quiz-3', 'quiz-2']);
+  });
+
+  test('getUserScoreHistory pages newest first', async () => {
+    for (let day = 1; day <= 3; day++) {
+      await newScore({ quizId: `quiz-${day}`, createdAt: new Date(Date.UTC(2026, 0, day)) });
+    }
+
+    const page = await database.getUserScoreHistory(wallet, 2, 1);
+
+    expect(page.scores.map(score => score.quizId)).toEqual(['quiz-2', 'quiz-1']);
+    expect(page).toMatchObject({ total: 3, hasMore: false });
+  });
+
+  test('getUserScoreHistory filters by quiz and flags the counted attempt', async () => {
+    await newScore({ quizId: 'quiz-1', score: 12, createdAt: new Date(Date.UTC(2026, 0, 1)) });
+    await newScore({ quizId: 'quiz-1', score: 18, createdAt: new Date(Date.UTC(2026, 0, 2)) });
+    await newScore({ quizId: 'quiz-1', score: 9, createdAt: new Date(Date.UTC(2026, 0, 3)) });
+    await newScore({ quizId: 'quiz-2', score: 9 });
+
+    const history = await database.getUserScoreHistory(wallet, 10, 0, { quizId: 'quiz-1' });
+
+    expect(history.total).toBe(3);
+    expect(history.scores.map(score => [score.attempt, score.counted])).toEqual([[3, false], [2, true], [1, false]]);
+  });
+});
+
+describe('createScoreWithTotals', () => {
+  test('falls back to compensating writes on a standalone server', async () => {
+    await newUser();
+
+    const { score, user } = await database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy' });
+
+    expect(database.transactionsSupported).toBe(false);
+    expect(score).toMatchObject({ quizId: 'quiz-1', score: 10 });
+    expect(user).toMatchObject({ totalScore: 10, xpGained: 10 });
+  });
+
+  test('removes the score again when the user is gone', async () => {
+    await expect(database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy' }))
+      .rejects.toThrow('USER_NOT_FOUND');
+    expect(await database.getScoreByWalletAndQuiz(wallet, 'quiz-1')).toBeNull();
+  });
+
+  describe('on a replica set', () => {
+    useTransactions();
+
+    test('writes inside a transaction', async () => {
+      await newUser();
+      const update = jest.spyOn(database, 'updateUserTotalScore');
+
+      const { user } = await database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy' });
+      const updateCalls = update.mock.calls;
+      update.mockRestore();
+
+      expect(user.totalScore).toBe(10);
+      expect(updateCalls).toEqual([[wallet, 10, 'easy', { session: expect.any(Object), xpGained: 10, newQuiz: true }]]);
+      expect(database.transactionsSupported).toBe(true);
+    });
+
+    test('rolls the score back when the user is gone', async () => {
+      await expect(database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy' }))
+        .rejects.toThrow('USER_NOT_FOUND');
+
+      // Still undecided, so the compensating fallback never ran
+      expect(database.transactionsSupported).toBeNull();
+      expect(await database.getScoreByWalletAndQuiz(wallet, 'quiz-1')).toBeNull();
+    });
+  });
+});
+
+describe('removeScore', () => {
+  const voided = { at: new Date(), by: 'moderator', reason: 'Cheating' };
+
+  let scoreId;
+
+  beforeEach(async () => {
+    await newUser();
+    const { score } = await database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score: 10, difficulty: 'easy' });
+    scoreId = score._id.toString();
+  });
+
+  // Fails the totals update, the second of removeScore's two writes
+  const failTotals = () => jest.spyOn(database, 'updateUserTotalScore').mockRejectedValue(new Error('write failed'));
+
+  const expectUnchanged = async () => {
+    const score = await database.db.collection('scores').findOne({ _id: new ObjectId(scoreId) });
+    expect(score).toMatchObject({ score: 10 });
+    expect(score.voided || null).toBeNull();
+    expect((await database.getUserByWallet(wallet)).totalScore).toBe(10);
+  };
+
+  test.each([['voiding', voided], ['deleting', null]])('%s takes the score out of the totals', async (action, voidedBy) => {
+    const { user } = await database.removeScore(scoreId, { voided: voidedBy });
+
+    expect(user.totalScore).toBe(0);
+    expect(database.transactionsSupported).toBe(false);
+  });
+
+  test.each([['voided', voided], ['deleted', null]])('puts a %s score back when the totals cannot be updated', async (action, voidedBy) => {
+    const update = failTotals();
+
+    const removal = database.removeScore(scoreId, { voided: voidedBy });
+    await expect(removal).rejects.toThrow('write failed');
+    update.mockRestore();
+
+    await expectUnchanged();
+  });
+
+  describe('on a replica set', () => {
+    useTransactions();
+
+    test('writes inside a transaction', async () => {
+      const { user } = await database.removeScore(scoreId, { voided });
+
+      expect(user.totalScore).toBe(0);
+      expect(database.transactionsSupported).toBe(true);
+    });
+
+    test.each([['voiding', voided], ['deleting', null]])('rolls back %s when the totals cannot be updated', async (action, voidedBy) => {
+      const update = failTotals();
+
+      const removal = database.removeScore(scoreId, { voided: voidedBy });
+      await expect(removal).rejects.toThrow('write failed');
+      update.mockRestore();
+
+      expect(database.transactionsSupported).toBeNull();
+      await expectUnchanged();
+    });
+  });
+});
+
+describe('retakes and score policies', () => {
+  const play = (score, difficulty = 'medium') =>
+    database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-1', score, difficulty });
+
+  afterEach(() => {
+    database.scorePolicy = 'best';
+  });
+
+  test.each([
+    ['best', [[10, 15], [16, 24], [16, 24]]],
+    ['latest', [[10, 15], [16, 24], [12, 18]]],
+    ['first', [[10, 15], [10, 15], [10, 15]]],
+    ['average', [[10, 15], [13, 19], [12, 18]]]
+  ])('%s policy moves totals and XP by the counted score', async (policy, expected) => {
+    database.scorePolicy = policy;
+    await newUser();
+
+    const totals = [];
+    for (const score of [10, 16, 12]) {
+      const { user } = await play(score);
+      totals.push([user.totalScore, user.xp]);
+    }
+
+    expect(totals).toEqual(expected);
+    expect((await database.reconcileTotalScores()).discrepancies).toEqual([]);
+    expect(await database.recomputeUserLevels()).toMatchObject({ changed: 0 });
+  });
+
+  test('a retake keeps the first attempt\'s difficulty for XP', async () => {
+    await newUser();
+    await play(10, 'easy');
+
+    const { user } = await play(20, 'hard');
+
+    expect(user).toMatchObject({ totalScore: 20, xp: 20, xpGained: 10 });
+  });
+
+  test('leaderboards count the policy score and distinct quizzes', async () => {
+    await newUser();
+    await play(10);
+    await play(16);
+    await database.createScoreWithTotals({ walletAddress: wallet, quizId: 'quiz-2', score: 4, difficulty: 'easy' });
+
+    expect((await database.getLeaderboard(10, { period: 'weekly' }))[0]).toMatchObject({ score: 20, quizCount: 2 });
+    expect((await database.getLeaderboard(10))[0]).toMatchObject({ score: 20, quizCount: 2 });
+  });
+});
+
+describe('progression', () => {
+  test('updateUserTotalScore adds weighted XP and reports level changes', async () => {
+    await newUser();
+    await database.db.collection('users').updateOne({ walletAddress: wallet }, { $set: { xp: 190 } });
+
+    const user = await database.updateUserTotalScore(wallet, 10, 'medium');
+
+    expect(user).toMatchObject({ totalScore: 10, xp: 205, xpGained: 15, level: 'intermediate', leveledUp: true });
+    expect(await database.updateUserTotalScore(player(2).address, 10, 'easy')).toBeNull();
+  });
+
+  test('recomputeUserLevels rebuilds XP and level from scores', async () => {
+    await newUser();
+    await newScore({ quizId: 'quiz-1', score: 20, difficulty: 'hard' });
+    await newScore({ quizId: 'quiz-2', score: 10, difficulty: 'easy' });
+    await database.db.collection('users').updateOne({ walletAddress: wallet }, { $set: { xp: 9999, level: 'master' } });
+
+    const result = await database.recomputeUserLevels(1);
+
+    expect(result).toMatchObject({ processed: 1, changed: 1 });
+    expect(await database.getUserByWallet(wallet)).toMatchObject({ xp: 50, level: 'beginner' });
+  });
+
+  test('reconcileTotalScores reports drifted totals and fixes them on request', async () => {
+    await newUser();
+    await database.createUser({ walletAddress: player(2).address, username: 'bob' });
+    await newScore({ quizId: 'quiz-1', score: 12 });
+    await newScore({ quizId: 'quiz-2', score: 8 });
+    await database.updateUserTotalScore(wallet, 12, 'easy');
+
+    const report = await database.reconcileTotalScores({ batchSize: 1 });
+
+    expect(report).toMatchObject({ processed: 2, fixed: 0 });
+    expect(report.discrepancies).toEqual([{
+      walletAddress: wallet,
+      username: 'alice',
+      totalScore: { recorded: 12, expected: 20 },
+      quizCount: { recorded: 0, expected: 2 }
+    }]);
+    expect((await database.getUserByWallet(wallet)).totalScore).toBe(12);
+
+    expect(await database.reconcileTotalScores({ fix: true })).toMatchObject({ fixed: 1 });
+    expect((await database.getUserByWallet(wallet)).totalScore).toBe(20);
+    expect((await database.reconcileTotalScores()).discrepancies).toEqual([]);
+  });
+});
+
+describe('achievements and reward claims', () => {
+  test('awardAchievement returns null when already awarded', async () => {
+    expect(await database.awardAchievement(wallet, 'first-quiz', null)).toMatchObject({ achievementId: 'first-quiz' });
+    expect(await database.awardAchievement(wallet, 'first-quiz', null)).toBeNull();
+    expect(await database.getUserAchievements(wallet)).toHaveLength(1);
+  });
+
+  test('reward claims are unique per wallet and quiz and can be re-issued', async () => {
+    const claimData = { walletAddress: wallet, quizId: 'quiz-1', scoreId: null, amount: '1', nonce: '7', expiry: 100, signature: '0x01' };
+    const claim = await database.createRewardClaim(claimData);
+
+    await expect(database.createRewardClaim(claimData)).rejects.toThrow('CLAIM_ALREADY_EXISTS');
+
+    const reissued = await database.reissueRewardClaim(claim._id, 200, '0x02');
+    expect(reissued).toMatchObject({ nonce: '7', expiry: 200, signature: '0x02' });
+    expect(await database.getRewardClaim(wallet, 'quiz-1')).toMatchObject({ expiry: 200 });
+    expect(await database.getRewardClaims(wallet, 10, 0)).toMatchObject({ total: 1, hasMore: false });
+  });
+});
+
+describe('quizzes, questions and sessions', () => {
+  const createQuiz = (fields = {}) => database.createQuiz({ quizId: 'quiz-a', title: 'Quiz A', difficulty: 'easy', tags: ['defi'], ...fields });
+
+  test('createQuiz always starts a draft and rejects duplicate ids', async () => {
+    const quiz = await createQuiz({ status: 'published' });
+
+    expect(quiz.status).toBe('draft');
+    await expect(createQuiz()).rejects.toThrow('QUIZ_ALREADY_EXISTS');
+  });
+
+  test('updateQuiz stamps publish and retire times', async () => {
+    await createQuiz();
+
+    const published = await database.updateQuiz('quiz-a', { status: 'published' });
+    const retired = await database.updateQuiz('quiz-a', { status: 'retired' });
+
+    expect(published.publishedAt).toBeInstanceOf(Date);
+    expect(retired.retiredAt).toBeInstanceOf(Date);
+  });
+
+  test('listQuizzes filters by status, tag and difficulty', async () => {
+    await createQuiz();
+    await createQuiz({ quizId: 'quiz-b', difficulty: 'hard', tags: ['nft'] });
+    await database.updateQuiz('quiz-b', { status: 'published' });
+
+    expect((await database.listQuizzes({ status: 'published' })).quizzes.map(quiz => quiz.quizId)).toEqual(['quiz-b']);
+    expect((await database.listQuizzes({ tag: 'defi' })).total).toBe(1);
+    expect((await database.listQuizzes({ difficulty: 'hard' }, 1, 0)).hasMore).toBe(false);
+  });
+
+  test('deleteDraftQuiz removes drafts and their questions only', async () => {
+    await createQuiz();
+    await database.createQuestion('quiz-a', { type: 'true_false', prompt: 'p', options: ['True', 'False'], correctAnswer: true, points: 1, tags: [] });
+    await createQuiz({ quizId: 'quiz-b' });
+    await database.updateQuiz('quiz-b', { status: 'published' });
+
+    expect(await database.deleteDraftQuiz('quiz-a')).toBe(true);
+    expect(await database.deleteDraftQuiz('quiz-b')).toBe(false);
+    expect(await database.getQuizQuestions('quiz-a')).toEqual([]);
+  });
+
+  test('questions are ordered and looked up by id', async () => {
+    await createQuiz();
+    const question = { type: 'true_false', prompt: 'p', options: ['True', 'False'], correctAnswer: true, points: 1, tags: [] };
+    const first = await database.createQuestion('quiz-a', question);
+    const second = await database.createQuestion('quiz-a', { ...question, prompt: 'second' });
+
+    expect([first.order, second.order]).toEqual([0, 1]);
+    expect(await database.getQuestionById('not-an-id')).toBeNull();
+    expect((await database.getQuestionsByIds([second._id, first._id])).map(entry => entry.prompt)).toEqual(['second', 'p']);
+
+    const updated = await database.updateQuestion(first._id, { ...question, prompt: 'changed' });
+    expect(updated.prompt).toBe('changed');
+
+    await database.deleteQuestion(first._id);
+    expect(await database.getQuizQuestions('quiz-a')).toHaveLength(1);
+  });
+
+  test('a session can be submitted once, by its owner, before it expires', async () => {
+    const session = await database.createQuizSession({
+      walletAddress: wallet,
+      quizId: 'quiz-a',
+      questionIds: [],
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    expect(await database.markQuizSessionSubmitted(session._id.toString(), player(2).address.toLowerCase())).toBeNull();
+    expect(await database.markQuizSessionSubmitted(session._id.toString(), wallet)).toMatchObject({ status: 'submitted' });
+    expect(await database.markQuizSessionSubmitted(session._id.toString(), wallet)).toBeNull();
+    expect(await database.markQuizSessionSubmitted('bad-id', wallet)).toBeNull();
+
+    await database.completeQuizSession(session._id, null);
+    expect(await database.getQuizSession(session._id.toString())).toMatchObject({ status: 'graded' });
+  });
+});
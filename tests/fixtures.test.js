@@ -0,0 +1,31 @@
+const { generateFixtures } = require('../scripts/fixtures');
+const { userProfileSchema } = require('../validation');
+
+describe('seed fixtures', () => {
+  const now = new Date('2026-01-31T00:00:00Z');
+
+  test('are reproducible for the same seed', () => {
+    const first = generateFixtures({ seed: 'abc', users: 5, now });
+    const second = generateFixtures({ seed: 'abc', users: 5, now });
+    const other = generateFixtures({ seed: 'xyz', users: 5, now });
+
+    expect(second).toEqual(first);
+    expect(other).not.toEqual(first);
+  });
+
+  test('produce valid profiles and scores within the window', () => {
+    const fixtures = generateFixtures({ seed: 'abc', users: 20, maxScoresPerUser: 5, days: 7, now });
+
+    for (const { user, scores } of fixtures) {
+      expect(userProfileSchema.validate(user).error).toBeUndefined();
+      expect(scores.length).toBeLessThanOrEqual(5);
+      expect(new Set(scores.map(score => score.quizId)).size).toBe(scores.length);
+
+      for (const score of scores) {
+        expect(score.score).toBeGreaterThanOrEqual(0);
+        expect(score.score).toBeLessThanOrEqual(score.maxScore);
+        expect(now - score.createdAt).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000);
+      }
+    }
+  });
+});
@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../../server');
+const database = require('../../database');
+const auth = require('../../auth');
+
+// Connect (and migrate) once per test file, start every test from empty collections
+const useTestDatabase = () => {
+  beforeAll(() => database.connect());
+  afterAll(() => database.close());
+  beforeEach(clearDatabase);
+};
+
+// Also drops cached leaderboards, which would otherwise outlive the data
+const clearDatabase = async () => {
+  const collections = await database.db.listCollections().toArray();
+  for (const { name } of collections) {
+    if (name !== 'migrations') {
+      await database.db.collection(name).deleteMany({});
+    }
+  }
+  await app.locals.rankings.invalidate();
+};
+
+const api = () => request(app);
+
+// Session token without going through the SIWE flow, see auth.test.js for that
+const tokenFor = (wallet) => auth.issueToken(wallet.address.toLowerCase());
+
+const bearer = (wallet) => ({ Authorization: `Bearer ${tokenFor(wallet)}` });
+
+const createProfile = (wallet, fields = {}) => {
+  return api()
+    .post('/api/users')
+    .set(bearer(wallet))
+    .send({ walletAddress: wallet.address, username: `player_${wallet.address.slice(2, 8)}`, ...fields });
+};
+
+const submitScore = (wallet, fields = {}) => {
+  return api()
+    .post('/api/scores')
+    .set(bearer(wallet))
+    .send({ walletAddress: wallet.address, quizId: 'quiz-1', score: 10, difficulty: 'easy', ...fields });
+};
+
+module.exports = {
+  useTestDatabase,
+  clearDatabase,
+  api,
+  tokenFor,
+  bearer,
+  createProfile,
+  submitScore
+};
@@ -0,0 +1,410 @@
+const mingo = require('mingo');
+const { update: applyUpdate } = require('mingo/updater');
+// The real driver. This file first loads while the driver is still loading
+// (the 'mongodb' mock requires it), so its exports are only read on use.
+const mongodb = jest.requireActual('mongodb');
+
+// In-process stand-in for the parts of the MongoDB driver API that
+// database.js uses, so the suite runs without a server or network.
+// Queries, updates and aggregation run through mingo.
+
+const clone = (value) => {
+  if (value instanceof mongodb.ObjectId) return new mongodb.ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = clone(value[key]);
+    return copy;
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const duplicateKeyError = (indexName) => {
+  const error = new Error(`E11000 duplicate key error index: ${indexName}`);
+  error.code = 11000;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive collations (strength 1 or 2), for top-level string
+// equality only, which is all database.js queries with one
+const applyCollation = (filter, collation) => {
+  if (!filter || !collation || collation.strength > 2) return filter;
+  return Object.fromEntries(Object.entries(filter).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? { $regex: `^${escapeRegex(value)}$`, $options: 'i' } : value
+  ]));
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  return mingo.aggregate([doc], [{ $project: projection }])[0];
+};
+
+class MemoryCursor {
+  constructor(loader) {
+    this.loader = loader;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.projection = null;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(count) { this.skipCount = count; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  project(projection) { this.projection = projection; return this; }
+
+  async toArray() {
+    let docs = this.loader();
+    const pipeline = [];
+    if (this.sortSpec && Object.keys(this.sortSpec).length) pipeline.push({ $sort: this.sortSpec });
+    if (this.skipCount) pipeline.push({ $skip: this.skipCount });
+    if (this.limitCount) pipeline.push({ $limit: this.limitCount });
+    if (pipeline.length) docs = mingo.aggregate(docs, pipeline);
+    return docs.map(doc => clone(project(doc, this.projection)));
+  }
+
+  async next() {
+    const docs = await this.toArray();
+    return docs[0] || null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexList = [{ name: '_id_', key: { _id: 1 } }];
+  }
+
+  get options() { return this.db.options; }
+
+  matches(filter) {
+    const query = new mingo.Query(filter || {}, this.db.options);
+    return this.docs.filter(doc => query.test(doc));
+  }
+
+  checkUnique(candidate, ignore) {
+    if (this.docs.some(doc => doc !== ignore && String(doc._id) === String(candidate._id))) {
+      throw duplicateKeyError('_id_');
+    }
+    for (const index of this.indexList) {
+      if (!index.unique) continue;
+      if (index.partialFilterExpression &&
+          !new mingo.Query(index.partialFilterExpression).test(candidate)) continue;
+      const fields = Object.keys(index.key);
+      const keyOf = (doc) => fields.map(field => {
+        const value = getPath(doc, field);
+        if (value === undefined && index.sparse) return undefined;
+        const normalised = value === undefined ? null : value;
+        return index.collation && typeof normalised === 'string' ? normalised.toLowerCase() : String(normalised);
+      });
+      const candidateKey = keyOf(candidate);
+      if (candidateKey.includes(undefined)) continue;
+      const clash = this.docs.some(doc => {
+        if (doc === ignore) return false;
+        if (index.partialFilterExpression &&
+            !new mingo.Query(index.partialFilterExpression).test(doc)) return false;
+        const key = keyOf(doc);
+        return !key.includes(undefined) && key.every((value, i) => value === candidateKey[i]);
+      });
+      if (clash) throw duplicateKeyError(index.name);
+    }
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_');
+    if (!this.indexList.some(index => index.name === name)) {
+      this.indexList.push({ ...options, name, key });
+    }
+    return name;
+  }
+
+  async indexes() { return clone(this.indexList); }
+
+  async indexExists(name) { return this.indexList.some(index => index.name === name); }
+
+  async dropIndex(name) {
+    this.indexList = this.indexList.filter(index => index.name !== name);
+  }
+
+  async insertOne(doc) {
+    if (!doc._id) doc._id = new mongodb.ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) {
+      const result = await this.insertOne(docs[i]);
+      insertedIds[i] = result.insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter, options = {}) {
+    const cursor = new MemoryCursor(() => this.matches(applyCollation(filter, options.collation)));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter, options = {}) {
+    const docs = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return docs[0] || null;
+  }
+
+  async countDocuments(filter, options = {}) { return this.matches(applyCollation(filter, options.collation)).length; }
+
+  async estimatedDocumentCount() { return this.docs.length; }
+
+  async distinct(field, filter) {
+    const values = [];
+    for (const doc of this.matches(filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some(existing => String(existing) === String(item))) {
+          values.push(item);
+        }
+      }
+    }
+    return clone(values);
+  }
+
+  applyTo(doc, updateSpec, inserting) {
+    if (Array.isArray(updateSpec)) {
+      return clone(mingo.aggregate([clone(doc)], updateSpec, this.db.options)[0]);
+    }
+    const { $setOnInsert, ...rest } = updateSpec;
+    const next = clone(doc);
+    if (Object.keys(rest).length) applyUpdate(next, rest, undefined, undefined, { cloneMode: 'deep' });
+    if (inserting && $setOnInsert) applyUpdate(next, { $set: $setOnInsert });
+    return next;
+  }
+
+  upsertDoc(filter, updateSpec) {
+    const seed = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+      if (!key.startsWith('$') && (value === null || typeof value !== 'object' ||
+          value instanceof mongodb.ObjectId || value instanceof Date)) {
+        seed[key] = value;
+      }
+    }
+    const doc = this.applyTo(seed, updateSpec, true);
+    if (!doc._id) doc._id = new mongodb.ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  replaceAt(original, updated) {
+    this.checkUnique(updated, original);
+    this.docs[this.docs.indexOf(original)] = updated;
+  }
+
+  pickOne(filter, sort) {
+    let docs = this.matches(filter);
+    if (sort) docs = mingo.aggregate(docs, [{ $sort: sort }]);
+    return docs[0] ? this.docs.find(doc => doc === docs[0] || String(doc._id) === String(docs[0]._id)) : null;
+  }
+
+  async updateOne(filter, updateSpec, options = {}) {
+    const target = this.pickOne(filter, options.sort);
+    if (!target) {
+      if (options.upsert) {
+        const doc = this.upsertDoc(filter, updateSpec);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+    this.replaceAt(target, this.applyTo(target, updateSpec, false));
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, updateSpec, options = {}) {
+    const targets = this.matches(filter);
+    if (targets.length === 0 && options.upsert) {
+      const doc = this.upsertDoc(filter, updateSpec);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    for (const target of targets) {
+      this.replaceAt(target, this.applyTo(target, updateSpec, false));
+    }
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0 };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const target = this.pickOne(filter);
+    if (!target) {
+      if (options.upsert) {
+        const doc = clone(replacement);
+        if (!doc._id) doc._id = new mongodb.ObjectId();
+        this.checkUnique(doc);
+        this.docs.push(doc);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    }
+    this.replaceAt(target, { ...clone(replacement), _id: target._id });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async findOneAndUpdate(filter, updateSpec, options = {}) {
+    const target = this.pickOne(filter, options.sort);
+    let before = null;
+    let after;
+    if (!target) {
+      if (!options.upsert) return options.includeResultMetadata ? { value: null, ok: 1 } : null;
+      after = this.upsertDoc(filter, updateSpec);
+    } else {
+      before = clone(target);
+      after = this.applyTo(target, updateSpec, false);
+      this.replaceAt(target, after);
+    }
+    const value = clone(project(options.returnDocument === 'after' ? after : before, options.projection));
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const target = this.pickOne(filter, options.sort);
+    if (!target) return options.includeResultMetadata ? { value: null, ok: 1 } : null;
+    this.docs.splice(this.docs.indexOf(target), 1);
+    return options.includeResultMetadata ? { value: clone(target), ok: 1 } : clone(target);
+  }
+
+  async deleteOne(filter) {
+    const target = this.pickOne(filter);
+    if (!target) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(target), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter) {
+    const targets = new Set(this.matches(filter));
+    this.docs = this.docs.filter(doc => !targets.has(doc));
+    return { acknowledged: true, deletedCount: targets.size };
+  }
+
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    let upsertedCount = 0;
+    let insertedCount = 0;
+    for (const operation of operations) {
+      if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        const result = await this.updateOne(filter, update, { upsert });
+        modifiedCount += result.modifiedCount;
+        upsertedCount += result.upsertedCount;
+      } else if (operation.insertOne) {
+        await this.insertOne(operation.insertOne.document);
+        insertedCount += 1;
+      } else if (operation.deleteOne) {
+        await this.deleteOne(operation.deleteOne.filter);
+      }
+    }
+    return { ok: 1, modifiedCount, upsertedCount, insertedCount };
+  }
+
+  aggregate(pipeline) {
+    const toArray = async () => clone(mingo.aggregate(this.docs, pipeline, {
+      ...this.db.options,
+      collectionResolver: (name) => this.db.collection(name).docs
+    }));
+    return {
+      toArray,
+      async *[Symbol.asyncIterator]() {
+        for (const doc of await toArray()) yield doc;
+      }
+    };
+  }
+
+  async drop() {
+    this.db.collections.delete(this.collectionName);
+    return true;
+  }
+}
+
+class MemoryDb {
+  constructor(name = 'test') {
+    this.databaseName = name;
+    this.collections = new Map();
+    this.options = {};
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  listCollections() {
+    return {
+      toArray: async () => Array.from(this.collections.keys()).map(name => ({ name }))
+    };
+  }
+
+  async createCollection(name) { return this.collection(name); }
+
+  async dropDatabase() {
+    this.collections.clear();
+    return true;
+  }
+}
+
+// Stand-in MongoClient. Like a standalone server it rejects transactions
+// unless `transactions` is set, then it acts like a replica set member:
+// withTransaction runs the callback and puts every collection back the way
+// it was when the callback throws.
+class MemoryClient {
+  constructor() {
+    // Each client gets an empty database, like a fresh server
+    this.memoryDb = new MemoryDb();
+    this.transactions = false;
+  }
+
+  async connect() { return this; }
+
+  db() { return this.memoryDb; }
+
+  startSession() {
+    return {
+      withTransaction: async (callback) => {
+        if (!this.transactions) {
+          const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+          error.code = 20;
+          throw error;
+        }
+        const snapshot = new Map(Array.from(this.memoryDb.collections, ([name, collection]) => [name, collection.docs.map(clone)]));
+        try {
+          return await callback();
+        } catch (error) {
+          for (const [name, collection] of this.memoryDb.collections) {
+            collection.docs = snapshot.get(name) || [];
+          }
+          throw error;
+        }
+      },
+      endSession: async () => {}
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryDb, MemoryClient, MemoryCollection };
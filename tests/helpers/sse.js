@@ -0,0 +1,56 @@
+const http = require('http');
+
+// Minimal EventSource for tests: opens `path` on a listening server and
+// collects parsed events. next(name) resolves with the next event of that
+// name, including ones that already arrived and were not consumed yet.
+const openStream = (server, path) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+
+  const deliver = () => {
+    for (let i = 0; i < waiters.length; i++) {
+      const index = events.findIndex(event => event.event === waiters[i].name);
+      if (index !== -1) {
+        const [event] = events.splice(index, 1);
+        waiters.splice(i--, 1)[0].resolve(event);
+      }
+    }
+  };
+
+  const req = http.get({ port, path, headers: { Accept: 'text/event-stream' } }, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').map(line => {
+          const at = line.indexOf(': ');
+          return [line.slice(0, at), line.slice(at + 2)];
+        }));
+        if (fields.event) {
+          events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+      }
+      deliver();
+    });
+
+    resolve({
+      res,
+      next: (name, timeoutMs = 2000) => new Promise((resolveNext, rejectNext) => {
+        const timer = setTimeout(() => rejectNext(new Error(`No ${name} event within ${timeoutMs}ms`)), timeoutMs);
+        waiters.push({ name, resolve: (event) => { clearTimeout(timer); resolveNext(event); } });
+        deliver();
+      }),
+      pending: (name) => events.filter(event => event.event === name),
+      close: () => req.destroy()
+    });
+  });
+
+  req.on('error', reject);
+});
+
+module.exports = { openStream };
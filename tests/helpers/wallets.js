@@ -0,0 +1,18 @@
+const { Wallet } = require('ethers');
+
+// Deterministic wallets so failures are reproducible
+const walletFromSeed = (seed) => new Wallet('0x' + seed.toString(16).padStart(64, '0'));
+
+const ADMIN = walletFromSeed(0xad);
+const MODERATOR = walletFromSeed(0x30d);
+const REWARD_SIGNER = walletFromSeed(0x5e);
+
+// Player wallets, player(1), player(2), ... never collide with the fixed ones
+const player = (index) => walletFromSeed(0x1000 + index);
+
+module.exports = {
+  ADMIN,
+  MODERATOR,
+  REWARD_SIGNER,
+  player
+};
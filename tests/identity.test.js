@@ -0,0 +1,211 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+const { MemoryCache } = require('../cache');
+const { StaticEnsResolver, CachedEnsResolver, attachEnsNames, hasValidChecksum } = require('../identity');
+
+useTestDatabase();
+
+// Sign-in message for `wallet`, signed by `signer` (the wallet itself by default)
+const signedMessage = async (wallet, { signer = wallet, chainId } = {}) => {
+  const query = chainId ? `?chainId=${chainId}` : '';
+  const nonce = await api().get(`/api/auth/nonce/${wallet.address}${query}`);
+  return { message: nonce.body.data.message, signature: await signer.signMessage(nonce.body.data.message) };
+};
+
+const linkWallet = async (profile, wallet, options) => {
+  return api().post(`/api/users/${profile.address}/wallets`).set(bearer(profile)).send(await signedMessage(wallet, options));
+};
+
+// Same address with the case of its first letter flipped, which breaks the checksum
+const badChecksum = (address) => {
+  const index = address.search(/[a-fA-F]/);
+  const char = address[index];
+  const flipped = char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+  return address.slice(0, index) + flipped + address.slice(index + 1);
+};
+
+describe('EIP-55 checksums', () => {
+  test('accept checksummed and single-case addresses', () => {
+    const address = player(1).address;
+
+    expect(hasValidChecksum(address)).toBe(true);
+    expect(hasValidChecksum(address.toLowerCase())).toBe(true);
+    expect(hasValidChecksum('0x' + address.slice(2).toUpperCase())).toBe(true);
+    expect(hasValidChecksum(badChecksum(address))).toBe(false);
+  });
+
+  test('reject a mistyped mixed-case address', async () => {
+    const res = await api().get(`/api/users/${badChecksum(player(1).address)}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_CHECKSUM', field: 'walletAddress' });
+  });
+
+  test('profiles return the checksummed address for display', async () => {
+    await createProfile(player(2));
+
+    const res = await api().get(`/api/users/${player(2).address.toLowerCase()}`);
+
+    expect(res.body.data).toMatchObject({
+      walletAddress: player(2).address.toLowerCase(),
+      checksumAddress: player(2).address
+    });
+  });
+});
+
+describe('chains', () => {
+  test('profiles and scores record the chain they were made on', async () => {
+    const profile = await createProfile(player(2), { chainId: 8453 });
+    await submitScore(player(2), { chainId: 137 });
+
+    const history = await api().get(`/api/users/${player(2).address}/history`);
+
+    expect(profile.body.data.chainId).toBe(8453);
+    expect(history.body.data.history[0].chainId).toBe(137);
+  });
+
+  test('reject unsupported chains', async () => {
+    const res = await createProfile(player(2), { chainId: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'chainId' });
+  });
+
+  test('players can sign in from any supported chain', async () => {
+    const body = await signedMessage(player(2), { chainId: 10 });
+
+    const res = await api().post('/api/auth/verify').send(body);
+
+    expect(body.message).toContain('Chain ID: 10');
+    expect(res.status).toBe(200);
+    expect(res.body.data.chainId).toBe(10);
+  });
+});
+
+describe('linked wallets', () => {
+  beforeEach(() => createProfile(player(2), { username: 'main_wallet' }));
+
+  test('can be linked with a message signed by the linked wallet', async () => {
+    const res = await linkWallet(player(2), player(3), { chainId: 137 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ walletAddress: player(3).address.toLowerCase(), chainId: 137 });
+
+    const profile = await api().get(`/api/users/${player(2).address}`);
+    expect(profile.body.data.linkedWallets).toEqual([
+      expect.objectContaining({ walletAddress: player(3).address.toLowerCase(), checksumAddress: player(3).address })
+    ]);
+  });
+
+  test('show and sign in as the profile they are linked to', async () => {
+    await linkWallet(player(2), player(3));
+
+    const profile = await api().get(`/api/users/${player(3).address}`);
+    const signIn = await api().post('/api/auth/verify').send(await signedMessage(player(3)));
+
+    expect(profile.body.data.username).toBe('main_wallet');
+    expect(signIn.body.data).toMatchObject({
+      walletAddress: player(2).address.toLowerCase(),
+      signedInWith: player(3).address.toLowerCase(),
+      hasProfile: true
+    });
+  });
+
+  test('show the rank, history, achievements and usernames of their profile', async () => {
+    await linkWallet(player(2), player(3));
+    await submitScore(player(2), { score: 15 });
+
+    const get = (route) => api().get(`/api/users/${player(3).address}/${route}`);
+    const [rank, history, achievements, usernames] = await Promise.all(['rank', 'history', 'achievements', 'usernames'].map(get));
+
+    expect(rank.body.data).toMatchObject({ walletAddress: player(2).address.toLowerCase(), rank: 1 });
+    expect(history.body.data.history.map(score => score.score)).toEqual([15]);
+    expect(achievements.body.data.achievements.map(achievement => achievement.id)).toContain('first-quiz');
+    expect(usernames.body.data).toMatchObject({ walletAddress: player(2).address.toLowerCase(), username: 'main_wallet' });
+  });
+
+  test('cannot create a profile of their own', async () => {
+    await linkWallet(player(2), player(3));
+
+    const res = await createProfile(player(3));
+
+    expect(res.status).toBe(409);
+  });
+
+  test('need a signature from the linked wallet', async () => {
+    const res = await linkWallet(player(2), player(3), { signer: player(4) });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('cannot be wallets with their own profile or already linked', async () => {
+    await createProfile(player(4));
+    await createProfile(player(5));
+    await linkWallet(player(5), player(3));
+
+    expect((await linkWallet(player(2), player(4))).status).toBe(409);
+    expect((await linkWallet(player(2), player(3))).status).toBe(409);
+  });
+
+  test('can only be managed by the profile owner', async () => {
+    const res = await api().post(`/api/users/${player(2).address}/wallets`).set(bearer(player(4)))
+      .send(await signedMessage(player(3)));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('can be unlinked', async () => {
+    await linkWallet(player(2), player(3));
+    const unlink = () => api().delete(`/api/users/${player(2).address}/wallets/${player(3).address}`).set(bearer(player(2)));
+
+    expect((await unlink()).status).toBe(200);
+    expect((await unlink()).status).toBe(404);
+    expect((await api().get(`/api/users/${player(3).address}`)).status).toBe(404);
+  });
+});
+
+describe('ENS names', () => {
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    await submitScore(player(1), { score: 15 });
+    await submitScore(player(2), { score: 10 });
+  });
+
+  test('appear on profiles and the leaderboard', async () => {
+    const profile = await api().get(`/api/users/${player(1).address}`);
+    const leaderboard = await api().get('/api/leaderboard');
+
+    expect(profile.body.data.ensName).toBe('alice.eth');
+    expect(leaderboard.body.data.leaderboard.map(row => row.ensName)).toEqual(['alice.eth', null]);
+  });
+
+  test('appear next to the players around a rank', async () => {
+    const res = await api().get(`/api/users/${player(2).address}/rank?around=1`);
+
+    expect(res.body.data.ensName).toBeNull();
+    expect(res.body.data.above[0].ensName).toBe('alice.eth');
+  });
+
+  test('are left out when the resolver fails', async () => {
+    const failing = { lookup: () => Promise.reject(new Error('RPC unavailable')) };
+
+    const rows = await attachEnsNames(failing, [{ walletAddress: player(1).address }]);
+
+    expect(rows[0].ensName).toBeNull();
+  });
+
+  test('are cached, misses included', async () => {
+    const resolver = new StaticEnsResolver({ [player(1).address]: 'alice.eth' });
+    const lookup = jest.spyOn(resolver, 'lookup');
+    const cached = new CachedEnsResolver(resolver, new MemoryCache());
+
+    await cached.lookup(player(1).address);
+    await cached.lookup(player(2).address);
+    expect(await cached.lookup(player(1).address)).toBe('alice.eth');
+    expect(await cached.lookup(player(2).address)).toBeNull();
+
+    expect(lookup).toHaveBeenCalledTimes(2);
+    lookup.mockRestore();
+  });
+});
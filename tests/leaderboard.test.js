@@ -0,0 +1,202 @@
+const { useTestDatabase, api, createProfile, submitScore } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+const database = require('../database');
+
+useTestDatabase();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const addScore = async (wallet, { quizId, score, difficulty = 'easy', createdAt = new Date() }) => {
+  await database.createScoreWithTotals({ walletAddress: wallet.address, quizId, score, difficulty, createdAt });
+};
+
+const usernames = (rows) => rows.map(row => row.username);
+
+describe('GET /api/leaderboard', () => {
+  beforeEach(async () => {
+    // carol and dave tie on total score, carol joined first
+    const players = ['alice', 'bob', 'carol', 'dave', 'erin'];
+    for (const [index, username] of players.entries()) {
+      await createProfile(player(index + 1), { username });
+    }
+
+    await addScore(player(1), { quizId: 'q1', score: 20, difficulty: 'hard', createdAt: new Date(Date.now() - 400 * DAY) });
+    await addScore(player(2), { quizId: 'q1', score: 15 });
+    await addScore(player(3), { quizId: 'q1', score: 10, difficulty: 'hard' });
+    await addScore(player(4), { quizId: 'q1', score: 10 });
+  });
+
+  test('ranks all-time by total score, earlier joiners first on ties', async () => {
+    const res = await api().get('/api/leaderboard');
+
+    expect(res.status).toBe(200);
+    expect(usernames(res.body.data.leaderboard)).toEqual(['alice', 'bob', 'carol', 'dave']);
+    expect(res.body.data.leaderboard[0]).toMatchObject({ rank: 1, score: 20, quizCount: 1 });
+    expect(res.body.data).toMatchObject({ period: 'all-time', difficulty: null, periodStart: null, periodEnd: null });
+  });
+
+  test('leaves out players without points', async () => {
+    const res = await api().get('/api/leaderboard');
+
+    expect(usernames(res.body.data.leaderboard)).not.toContain('erin');
+    expect(res.body.data.totalPlayers).toBe(4);
+  });
+
+  test('limits the number of rows', async () => {
+    const res = await api().get('/api/leaderboard?limit=2');
+
+    expect(usernames(res.body.data.leaderboard)).toEqual(['alice', 'bob']);
+  });
+
+  test('weekly board only counts scores from this week', async () => {
+    const res = await api().get('/api/leaderboard?period=weekly');
+
+    expect(usernames(res.body.data.leaderboard)).toEqual(['bob', 'carol', 'dave']);
+    expect(res.body.data.periodStart).not.toBeNull();
+  });
+
+  test('breaks ties on period boards by who scored first', async () => {
+    await addScore(player(3), { quizId: 'q2', score: 5 });
+    await addScore(player(4), { quizId: 'q2', score: 5 });
+
+    const res = await api().get('/api/leaderboard?period=daily');
+
+    expect(usernames(res.body.data.leaderboard)).toEqual(['bob', 'carol', 'dave']);
+    expect(res.body.data.leaderboard.map(row => row.score)).toEqual([15, 15, 15]);
+  });
+
+  test('filters by difficulty', async () => {
+    const res = await api().get('/api/leaderboard?difficulty=HARD');
+
+    expect(usernames(res.body.data.leaderboard)).toEqual(['alice', 'carol']);
+    expect(res.body.data.difficulty).toBe('hard');
+  });
+
+  test('continues ranks across cursor pages', async () => {
+    const first = await api().get('/api/leaderboard?limit=3');
+    const second = await api().get(`/api/leaderboard?limit=3&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(first.body.data.pagination).toMatchObject({ limit: 3, hasMore: true });
+    expect(usernames(second.body.data.leaderboard)).toEqual(['dave']);
+    expect(second.body.data.leaderboard[0].rank).toBe(4);
+    expect(second.body.data.pagination).toEqual({ limit: 3, hasMore: false, nextCursor: null });
+  });
+
+  test('pages period boards by cursor', async () => {
+    const first = await api().get('/api/leaderboard?period=weekly&limit=2');
+    const second = await api().get(`/api/leaderboard?period=weekly&limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(usernames(first.body.data.leaderboard)).toEqual(['bob', 'carol']);
+    expect(usernames(second.body.data.leaderboard)).toEqual(['dave']);
+    expect(second.body.data.leaderboard[0].rank).toBe(3);
+  });
+
+  test('rejects a cursor from a different board', async () => {
+    const first = await api().get('/api/leaderboard?limit=2');
+
+    const res = await api().get(`/api/leaderboard?period=weekly&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_VALUE', field: 'cursor' });
+  });
+
+  test('rejects a malformed cursor', async () => {
+    const res = await api().get('/api/leaderboard?cursor=not-a-cursor');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'cursor' });
+  });
+
+  test('rejects an unknown period', async () => {
+    const res = await api().get('/api/leaderboard?period=yearly');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_VALUE', field: 'period' });
+  });
+});
+
+describe('GET /api/leaderboard caching', () => {
+  beforeEach(async () => {
+    await createProfile(player(1), { username: 'alice' });
+    await submitScore(player(1), { score: 10 });
+  });
+
+  test('serves repeat requests from the snapshot', async () => {
+    const getLeaderboardPage = jest.spyOn(database, 'getLeaderboardPage');
+
+    const first = await api().get('/api/leaderboard');
+    const second = await api().get('/api/leaderboard');
+    const calls = getLeaderboardPage.mock.calls.length;
+    getLeaderboardPage.mockRestore();
+
+    expect(calls).toBe(1);
+    expect(second.body.data).toEqual(first.body.data);
+  });
+
+  test('answers conditional requests with 304 until the board changes', async () => {
+    const first = await api().get('/api/leaderboard');
+    const { etag, 'last-modified': lastModified } = first.headers;
+
+    const byEtag = await api().get('/api/leaderboard').set('If-None-Match', etag);
+    const byDate = await api().get('/api/leaderboard').set('If-Modified-Since', lastModified);
+    await submitScore(player(1), { quizId: 'quiz-2', score: 5 });
+    const changed = await api().get('/api/leaderboard').set('If-None-Match', etag);
+
+    expect(first.headers['cache-control']).toBe('no-cache');
+    expect(byEtag.status).toBe(304);
+    expect(byDate.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(etag);
+    expect(changed.body.data.leaderboard[0].score).toBe(15);
+  });
+
+  test('profile changes invalidate the snapshot', async () => {
+    await api().get('/api/leaderboard');
+
+    await createProfile(player(1), { username: 'alice_renamed' });
+    const res = await api().get('/api/leaderboard');
+
+    expect(usernames(res.body.data.leaderboard)).toEqual(['alice_renamed']);
+  });
+});
+
+describe('GET /api/users/:walletAddress/rank', () => {
+  beforeEach(async () => {
+    for (let index = 1; index <= 5; index++) {
+      await createProfile(player(index), { username: `player${index}` });
+      await addScore(player(index), { quizId: 'q1', score: index * 2 });
+    }
+    await createProfile(player(6), { username: 'newcomer' });
+  });
+
+  test('returns the rank, percentile and neighbours', async () => {
+    const res = await api().get(`/api/users/${player(3).address}/rank?around=1`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ ranked: true, rank: 3, score: 6, totalPlayers: 5, percentile: 60 });
+    expect(usernames(res.body.data.above)).toEqual(['player4']);
+    expect(usernames(res.body.data.below)).toEqual(['player2']);
+    expect(res.body.data.above[0].rank).toBe(2);
+    expect(res.body.data.below[0].rank).toBe(4);
+  });
+
+  test('uses the same board as the leaderboard for periods', async () => {
+    const res = await api().get(`/api/users/${player(5).address}/rank?period=weekly&around=2`);
+
+    expect(res.body.data).toMatchObject({ rank: 1, percentile: 100, period: 'weekly' });
+    expect(res.body.data.above).toEqual([]);
+    expect(usernames(res.body.data.below)).toEqual(['player4', 'player3']);
+  });
+
+  test('reports players without points as unranked', async () => {
+    const res = await api().get(`/api/users/${player(6).address}/rank`);
+
+    expect(res.body.data).toMatchObject({ ranked: false, rank: null, score: 0, totalPlayers: 5 });
+  });
+
+  test('404s for an unknown wallet', async () => {
+    const res = await api().get(`/api/users/${player(9).address}/rank`);
+
+    expect(res.status).toBe(404);
+  });
+});
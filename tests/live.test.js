@@ -0,0 +1,123 @@
+const { useTestDatabase, api, createProfile, submitScore } = require('./helpers/api');
+const { openStream } = require('./helpers/sse');
+const { player } = require('./helpers/wallets');
+const { rankChanges } = require('../live');
+const app = require('../server');
+
+useTestDatabase();
+
+const liveFeed = app.locals.liveFeed;
+let server;
+let streams;
+
+beforeAll((done) => {
+  liveFeed.debounceMs = 0;
+  server = app.listen(0, done);
+});
+
+afterAll((done) => {
+  liveFeed.close();
+  server.close(done);
+});
+
+beforeEach(() => {
+  streams = [];
+});
+
+afterEach(() => streams.forEach(stream => stream.close()));
+
+const subscribe = async (query = '') => {
+  const stream = await openStream(server, `/api/live${query}`);
+  streams.push(stream);
+  return stream;
+};
+
+describe('rankChanges', () => {
+  test('reports moves, score changes, new and dropped rows', () => {
+    const previous = [
+      { walletAddress: 'a', rank: 1, score: 30 },
+      { walletAddress: 'b', rank: 2, score: 20 },
+      { walletAddress: 'c', rank: 3, score: 10 }
+    ];
+    const current = [
+      { walletAddress: 'b', rank: 1, score: 40 },
+      { walletAddress: 'a', rank: 2, score: 30 },
+      { walletAddress: 'd', rank: 3, score: 15 }
+    ];
+
+    expect(rankChanges(previous, current).map(({ walletAddress, previousRank, rank }) => [walletAddress, previousRank, rank]))
+      .toEqual([['b', 2, 1], ['a', 1, 2], ['d', null, 3], ['c', 3, null]]);
+    expect(rankChanges(current, current)).toEqual([]);
+  });
+});
+
+describe('GET /api/live', () => {
+  test('opens an event stream with the current board', async () => {
+    await createProfile(player(1));
+    await submitScore(player(1), { score: 12 });
+
+    const stream = await subscribe('?limit=5');
+    const { data } = await stream.next('leaderboard');
+
+    expect(stream.res.headers['content-type']).toBe('text/event-stream');
+    expect(data).toMatchObject({ period: 'all-time', difficulty: null, changes: [] });
+    expect(data.leaderboard.map(row => [row.rank, row.score])).toEqual([[1, 12]]);
+  });
+
+  test('pushes new scores that match the difficulty filter', async () => {
+    await createProfile(player(1));
+    const stream = await subscribe('?difficulty=Hard&events=score');
+
+    await submitScore(player(1), { quizId: 'quiz-1', difficulty: 'easy' });
+    await submitScore(player(1), { quizId: 'quiz-2', score: 18, difficulty: 'hard' });
+    const { data } = await stream.next('score');
+
+    expect(data).toMatchObject({ quizId: 'quiz-2', attempt: 1, score: 18, difficulty: 'hard', totalScore: 28 });
+    expect(stream.pending('score')).toEqual([]);
+    expect(stream.pending('leaderboard')).toEqual([]);
+  });
+
+  test('broadcasts rank changes after a submission', async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    await submitScore(player(1), { score: 10 });
+    await submitScore(player(2), { score: 5 });
+    const stream = await subscribe('?events=leaderboard&period=weekly');
+    await stream.next('leaderboard');
+
+    await submitScore(player(2), { quizId: 'quiz-2', score: 8 });
+    const { data } = await stream.next('leaderboard');
+
+    expect(data.leaderboard.map(row => row.score)).toEqual([13, 10]);
+    expect(data.changes.map(({ walletAddress, previousRank, rank }) => [walletAddress, previousRank, rank])).toEqual([
+      [player(2).address.toLowerCase(), 2, 1],
+      [player(1).address.toLowerCase(), 1, 2]
+    ]);
+  });
+
+  test('sends heartbeats', async () => {
+    liveFeed.heartbeatMs = 50;
+    const stream = await subscribe('?events=score');
+
+    const { data } = await stream.next('heartbeat');
+
+    expect(new Date(data.time).getTime()).not.toBeNaN();
+  });
+
+  test('validates the subscription', async () => {
+    const res = await api().get('/api/live?events=score,trades');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_VALUE', field: 'events' });
+  });
+
+  test('503s when the connection limit is reached', async () => {
+    const maxClients = liveFeed.maxClients;
+    liveFeed.maxClients = 0;
+
+    const res = await api().get('/api/live');
+    liveFeed.maxClients = maxClients;
+
+    expect(res.status).toBe(503);
+  });
+});
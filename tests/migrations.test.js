@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const Migrator = require('../migrations/migrator');
+
+const silent = { log: () => {} };
+
+const newMigrator = (db, options = {}) => new Migrator(db, { logger: silent, pollMs: 10, ...options });
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MemoryDb();
+  });
+
+  test('applies pending migrations once and records them', async () => {
+    const applied = await newMigrator(db).up();
+
+    expect(applied.map(entry => entry.version)).toEqual(['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011', '012']);
+    expect(await db.collection('users').indexExists('wallet_address_unique')).toBe(true);
+    expect(await newMigrator(db).up()).toEqual([]);
+
+    const [status] = await newMigrator(db).status();
+    expect(status).toMatchObject({ version: '001', name: 'initial-schema' });
+    expect(status.appliedAt).toBeInstanceOf(Date);
+  });
+
+  test('dry runs report pending migrations without applying them', async () => {
+    const pending = await newMigrator(db).up({ dryRun: true });
+
+    expect(pending.map(entry => entry.version)).toEqual(['001', '002', '003', '004', '005', '006', '007', '008', '009', '010', '011', '012']);
+    expect(await db.collection('migrations').countDocuments({})).toBe(0);
+  });
+
+  test('down reverts the latest migration', async () => {
+    await newMigrator(db).up();
+
+    const reverted = await newMigrator(db).down();
+
+    expect(reverted.map(entry => entry.version)).toEqual(['012']);
+    expect((await newMigrator(db).status())[11].appliedAt).toBeNull();
+
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    expect(await db.collection('users').indexExists('username_index')).toBe(true);
+    expect(await db.collection('users').indexExists('username_unique')).toBe(false);
+
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    expect(await db.collection('scores').indexExists('wallet_created_at')).toBe(true);
+    expect(await db.collection('scores').indexExists('wallet_created_at_id')).toBe(false);
+
+    await newMigrator(db).down();
+    await newMigrator(db).down();
+    expect(await db.collection('scores').indexExists('wallet_quiz_unique')).toBe(true);
+    expect(await db.collection('scores').indexExists('wallet_quiz_attempt_unique')).toBe(false);
+  });
+
+  test('002 numbers existing scores and refuses to revert once quizzes are retaken', async () => {
+    await newMigrator(db).up({ to: '001' });
+    await db.collection('scores').insertOne({ walletAddress: '0xabc', quizId: 'quiz-1', score: 10 });
+    await newMigrator(db).up({ to: '002' });
+
+    expect(await db.collection('scores').findOne({})).toMatchObject({ attempt: 1 });
+
+    await db.collection('scores').insertOne({ walletAddress: '0xabc', quizId: 'quiz-1', score: 12, attempt: 2 });
+    await expect(newMigrator(db).down()).rejects.toThrow('Cannot restore wallet_quiz_unique');
+  });
+
+  test('003 backfills quizCount from distinct quizzes played', async () => {
+    await newMigrator(db).up({ to: '002' });
+    await db.collection('users').insertMany([{ walletAddress: '0xabc' }, { walletAddress: '0xdef' }]);
+    await db.collection('scores').insertMany([
+      { walletAddress: '0xabc', quizId: 'quiz-1', attempt: 1 },
+      { walletAddress: '0xabc', quizId: 'quiz-1', attempt: 2 },
+      { walletAddress: '0xabc', quizId: 'quiz-2', attempt: 1 }
+    ]);
+
+    await newMigrator(db).up();
+
+    expect(await db.collection('users').findOne({ walletAddress: '0xabc' })).toMatchObject({ quizCount: 2 });
+    expect(await db.collection('users').findOne({ walletAddress: '0xdef' })).toMatchObject({ quizCount: 0 });
+  });
+
+  test('004 replaces the history index with one that includes _id', async () => {
+    await newMigrator(db).up();
+
+    expect(await db.collection('scores').indexExists('wallet_created_at_id')).toBe(true);
+    expect(await db.collection('scores').indexExists('wallet_created_at')).toBe(false);
+  });
+
+  test('007 renames players whose usernames differ only in case', async () => {
+    await newMigrator(db).up({ to: '006' });
+    await db.collection('users').insertMany([
+      { walletAddress: '0xaaaa000000000000000000000000000000000001', username: 'Satoshi', createdAt: new Date('2024-01-01') },
+      { walletAddress: '0xbbbb000000000000000000000000000000000002', username: 'satoshi', createdAt: new Date('2024-02-01') },
+      { walletAddress: '0xcccc000000000000000000000000000000000003', username: 'vitalik', createdAt: new Date('2024-03-01') }
+    ]);
+
+    await newMigrator(db).up();
+
+    const names = (await db.collection('users').find({}).sort({ createdAt: 1 }).toArray()).map(user => user.username);
+    expect(names).toEqual(['Satoshi', 'satoshi_bbbb', 'vitalik']);
+    expect(await db.collection('username_history').findOne({})).toMatchObject({
+      walletAddress: '0xbbbb000000000000000000000000000000000002',
+      username: 'satoshi',
+      newUsername: 'satoshi_bbbb',
+      changedBy: 'migration'
+    });
+    await expect(db.collection('users').insertOne({ walletAddress: '0xdddd', username: 'VITALIK' }))
+      .rejects.toMatchObject({ code: 11000 });
+  });
+
+  test('009 stores valid profile pictures in canonical form and clears the rest', async () => {
+    await newMigrator(db).up({ to: '008' });
+    await db.collection('users').insertMany([
+      { walletAddress: '0xabc', profilePictureUrl: 'https://gateway.pinata.cloud/ipfs/QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn/cat.png' },
+      { walletAddress: '0xdef', profilePictureUrl: 'https://example.com/not-ipfs.png' },
+      { walletAddress: '0x123', profilePictureUrl: null }
+    ]);
+
+    await newMigrator(db).up();
+
+    const pictures = (await db.collection('users').find({}).toArray()).map(user => user.profilePictureUrl);
+    expect(pictures).toEqual(['ipfs://bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354/cat.png', null, null]);
+  });
+
+  test('012 marks scores from quiz sessions as graded', async () => {
+    await newMigrator(db).up({ to: '011' });
+    const { insertedIds } = await db.collection('scores').insertMany([
+      { walletAddress: '0xabc', quizId: 'defi-101', attempt: 1, score: 3 },
+      { walletAddress: '0xabc', quizId: 'quiz-1', attempt: 1, score: 10 }
+    ]);
+    await db.collection('quiz_sessions').insertOne({ walletAddress: '0xabc', quizId: 'defi-101', status: 'submitted', scoreId: insertedIds[0] });
+
+    await newMigrator(db).up();
+
+    const graded = (await db.collection('scores').find({}).sort({ quizId: 1 }).toArray()).map(score => score.graded);
+    expect(graded).toEqual([true, false]);
+  });
+
+  test('concurrent runs apply each migration only once', async () => {
+    const results = await Promise.all([newMigrator(db).up(), newMigrator(db).up(), newMigrator(db).up()]);
+
+    expect(results.flat()).toHaveLength(12);
+    expect(await db.collection('migrations').countDocuments({})).toBe(12);
+  });
+
+  test('times out waiting for a live lock', async () => {
+    await db.collection('migration_lock').insertOne({
+      _id: 'migration_lock',
+      owner: 'another-process',
+      lockedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    await expect(newMigrator(db, { lockWaitMs: 50 }).up()).rejects.toThrow('MIGRATION_LOCK_TIMEOUT');
+  });
+
+  test('renews the lock while a migration outlives lockTtlMs', async () => {
+    const slow = newMigrator(db, { lockTtlMs: 60 });
+    const running = slow.withLock(() => new Promise(resolve => setTimeout(resolve, 250)));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await expect(newMigrator(db, { lockTtlMs: 60, lockWaitMs: 150 }).withLock(async () => {}))
+      .rejects.toThrow('MIGRATION_LOCK_TIMEOUT');
+    await running;
+  });
+
+  test('does not record a migration after losing the lock', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(directory, '001-taken-over.js'), `module.exports = {
+      async up(db) {
+        await db.collection('migration_lock').updateOne({ _id: 'migration_lock' }, { $set: { owner: 'another-process' } });
+      }
+    };`);
+
+    try {
+      await expect(newMigrator(db, { directory }).up()).rejects.toThrow('MIGRATION_LOCK_LOST');
+      expect(await db.collection('migrations').countDocuments({})).toBe(0);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('takes over a stale lock', async () => {
+    await db.collection('migration_lock').insertOne({
+      _id: 'migration_lock',
+      owner: 'crashed-process',
+      lockedAt: new Date(Date.now() - 120000),
+      expiresAt: new Date(Date.now() - 60000)
+    });
+
+    expect(await newMigrator(db, { lockWaitMs: 50 }).up()).toHaveLength(12);
+    expect(await db.collection('migration_lock').countDocuments({})).toBe(0);
+  });
+});
@@ -0,0 +1,245 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { ADMIN, MODERATOR, player } = require('./helpers/wallets');
+const database = require('../database');
+
+useTestDatabase();
+
+const moderator = () => ({
+  get: (path) => api().get(path).set(bearer(MODERATOR)),
+  post: (path, body) => api().post(path).set(bearer(MODERATOR)).send(body),
+  put: (path, body) => api().put(path).set(bearer(MODERATOR)).send(body),
+  delete: (path, body) => api().delete(path).set(bearer(MODERATOR)).send(body)
+});
+
+const reason = { reason: 'Answers submitted by a bot' };
+
+const leaderboardWallets = async (query = '') => {
+  const res = await api().get(`/api/leaderboard${query}`);
+  return res.body.data.leaderboard.map(row => row.walletAddress);
+};
+
+const scoreIdOf = (res) => res.body.data.scoreId;
+
+describe('moderation roles', () => {
+  test('moderation routes need a moderator or admin', async () => {
+    const asPlayer = await api().get('/api/admin/users').set(bearer(player(1)));
+    const asModerator = await moderator().get('/api/admin/users');
+    const asAdmin = await api().get('/api/admin/users').set(bearer(ADMIN));
+
+    expect(asPlayer.status).toBe(403);
+    expect(asPlayer.body.message).toBe('Moderator access required');
+    expect(asModerator.status).toBe(200);
+    expect(asAdmin.status).toBe(200);
+  });
+
+  test('quiz content and the audit log stay admin only', async () => {
+    expect((await moderator().get('/api/admin/quizzes')).status).toBe(403);
+    expect((await moderator().get('/api/admin/audit-log')).status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  beforeEach(async () => {
+    await createProfile(player(1), { username: 'CryptoKing' });
+    await createProfile(player(2), { username: 'satoshi_fan' });
+  });
+
+  test('searches usernames case-insensitively', async () => {
+    const res = await moderator().get('/api/admin/users?search=cryptok');
+
+    expect(res.body.data.users.map(user => user.username)).toEqual(['CryptoKing']);
+    expect(res.body.data.pagination.total).toBe(1);
+  });
+
+  test('searches by wallet address prefix', async () => {
+    const res = await moderator().get(`/api/admin/users?search=${player(2).address.slice(0, 10)}`);
+
+    expect(res.body.data.users.map(user => user.username)).toEqual(['satoshi_fan']);
+  });
+
+  test('treats the search as text, not a pattern', async () => {
+    const res = await moderator().get('/api/admin/users?search=.*');
+
+    expect(res.body.data.users).toEqual([]);
+  });
+
+  test('filters banned players', async () => {
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+
+    const res = await moderator().get('/api/admin/users?banned=true');
+
+    expect(res.body.data.users).toHaveLength(1);
+    expect(res.body.data.users[0].banned).toMatchObject({ by: MODERATOR.address.toLowerCase(), reason: reason.reason });
+  });
+});
+
+describe('banning wallets', () => {
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await createProfile(player(2));
+    await submitScore(player(1), { score: 18 });
+    await submitScore(player(2), { score: 12 });
+  });
+
+  test('drops the wallet from every leaderboard and ranks', async () => {
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+
+    const rank = await api().get(`/api/users/${player(2).address}/rank`);
+    const bannedRank = await api().get(`/api/users/${player(1).address}/rank`);
+
+    expect(await leaderboardWallets()).toEqual([player(2).address.toLowerCase()]);
+    expect(await leaderboardWallets('?period=weekly')).toEqual([player(2).address.toLowerCase()]);
+    expect(rank.body.data).toMatchObject({ rank: 1, totalPlayers: 1 });
+    expect(bannedRank.body.data.rank).toBeNull();
+  });
+
+  test('blocks score submissions and quiz sessions', async () => {
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+
+    const submission = await submitScore(player(1), { quizId: 'quiz-2' });
+    const session = await api().post('/api/quizzes/any-quiz/sessions').set(bearer(player(1)));
+
+    expect(submission.status).toBe(403);
+    expect(submission.body.message).toBe('This wallet has been banned');
+    expect(session.status).toBe(403);
+  });
+
+  test('lifting the ban restores the player with their scores', async () => {
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+    const res = await moderator().delete(`/api/admin/users/${player(1).address}/ban`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.banned).toBeNull();
+    expect(await leaderboardWallets()).toEqual([player(1).address.toLowerCase(), player(2).address.toLowerCase()]);
+    expect((await submitScore(player(1), { quizId: 'quiz-2' })).status).toBe(201);
+  });
+
+  test('rejects repeat bans, unknown wallets and staff', async () => {
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+
+    expect((await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason)).status).toBe(409);
+    expect((await moderator().delete(`/api/admin/users/${player(2).address}/ban`)).status).toBe(409);
+    expect((await moderator().post(`/api/admin/users/${player(9).address}/ban`, reason)).status).toBe(404);
+    expect((await moderator().post(`/api/admin/users/${ADMIN.address}/ban`, reason)).status).toBe(403);
+  });
+
+  test('requires a reason', async () => {
+    const res = await moderator().post(`/api/admin/users/${player(1).address}/ban`, {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'REQUIRED', field: 'reason' });
+  });
+});
+
+describe('removing scores', () => {
+  let first;
+  let retake;
+
+  beforeEach(async () => {
+    await createProfile(player(1));
+    first = scoreIdOf(await submitScore(player(1), { quizId: 'quiz-1', score: 12 }));
+    retake = scoreIdOf(await submitScore(player(1), { quizId: 'quiz-1', score: 18 }));
+    await submitScore(player(1), { quizId: 'quiz-2', score: 5 });
+  });
+
+  test('voiding the counted attempt falls back to the next best one', async () => {
+    const res = await moderator().post(`/api/admin/scores/${retake}/void`, reason);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.voided).toMatchObject({ by: MODERATOR.address.toLowerCase(), reason: reason.reason });
+    expect(res.body.data.user).toMatchObject({ totalScore: 17, quizCount: 2 });
+
+    const history = await api().get(`/api/users/${player(1).address}/history?quizId=quiz-1`);
+    expect(history.body.data.history.map(entry => [entry.attempt, entry.counted])).toEqual([[2, false], [1, true]]);
+  });
+
+  test('voiding every attempt takes the quiz out of the totals', async () => {
+    await moderator().post(`/api/admin/scores/${retake}/void`, reason);
+    await moderator().post(`/api/admin/scores/${first}/void`, reason);
+
+    const user = await database.getUserByWallet(player(1).address);
+    expect(user).toMatchObject({ totalScore: 5, quizCount: 1 });
+    expect((await database.reconcileTotalScores()).discrepancies).toEqual([]);
+  });
+
+  test('deleting a score adjusts the totals and removes it from history', async () => {
+    const res = await moderator().delete(`/api/admin/scores/${retake}`, reason);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ totalScore: 17 });
+    const history = await api().get(`/api/users/${player(1).address}/history?quizId=quiz-1`);
+    expect(history.body.data.history.map(entry => entry.attempt)).toEqual([1]);
+    expect((await database.reconcileTotalScores()).discrepancies).toEqual([]);
+  });
+
+  test('deleting a voided score leaves the totals alone', async () => {
+    await moderator().post(`/api/admin/scores/${retake}/void`, reason);
+    const res = await moderator().delete(`/api/admin/scores/${retake}`, reason);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ totalScore: 17, quizCount: 2 });
+  });
+
+  test('voids a score only once', async () => {
+    await moderator().post(`/api/admin/scores/${retake}/void`, reason);
+    const res = await moderator().post(`/api/admin/scores/${retake}/void`, reason);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('404s for unknown scores and rejects malformed ids', async () => {
+    expect((await moderator().delete('/api/admin/scores/0123456789abcdef01234567', reason)).status).toBe(404);
+    expect((await moderator().delete('/api/admin/scores/not-an-id', reason)).status).toBe(400);
+  });
+});
+
+describe('renaming players', () => {
+  test('changes the username', async () => {
+    await createProfile(player(1), { username: 'rude_name' });
+
+    const res = await moderator().put(`/api/admin/users/${player(1).address}/username`, { username: 'player_one', reason: 'Offensive username' });
+
+    expect(res.status).toBe(200);
+    expect((await database.getUserByWallet(player(1).address)).username).toBe('player_one');
+  });
+
+  test('404s for unknown wallets', async () => {
+    const res = await moderator().put(`/api/admin/users/${player(1).address}/username`, { username: 'player_one', reason: 'Offensive username' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/admin/audit-log', () => {
+  const auditLog = (query = '') => api().get(`/api/admin/audit-log${query}`).set(bearer(ADMIN));
+
+  beforeEach(async () => {
+    await createProfile(player(1), { username: 'rude_name' });
+    const scoreId = scoreIdOf(await submitScore(player(1)));
+    await moderator().post(`/api/admin/users/${player(1).address}/ban`, reason);
+    await moderator().put(`/api/admin/users/${player(1).address}/username`, { username: 'player_one', reason: 'Offensive username' });
+    await moderator().post(`/api/admin/scores/${scoreId}/void`, reason);
+  });
+
+  test('records who did what, newest first', async () => {
+    const res = await auditLog();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.entries.map(entry => entry.action)).toEqual(['score.void', 'user.rename', 'user.ban']);
+    expect(res.body.data.entries[1]).toMatchObject({
+      actor: MODERATOR.address.toLowerCase(),
+      targetType: 'user',
+      targetId: player(1).address.toLowerCase(),
+      reason: 'Offensive username',
+      details: { from: 'rude_name', to: 'player_one' }
+    });
+  });
+
+  test('filters by action and target', async () => {
+    const byAction = await auditLog('?action=user.ban');
+    const byTarget = await auditLog(`?targetId=${player(1).address}`);
+
+    expect(byAction.body.data.entries).toHaveLength(1);
+    expect(byTarget.body.data.entries.map(entry => entry.action)).toEqual(['user.rename', 'user.ban']);
+  });
+});
@@ -0,0 +1,295 @@
+const { useTestDatabase, api, bearer, createProfile } = require('./helpers/api');
+const { ADMIN, player } = require('./helpers/wallets');
+const database = require('../database');
+
+useTestDatabase();
+
+const admin = () => ({
+  get: (path) => api().get(path).set(bearer(ADMIN)),
+  post: (path, body) => api().post(path).set(bearer(ADMIN)).send(body),
+  put: (path, body) => api().put(path).set(bearer(ADMIN)).send(body),
+  delete: (path) => api().delete(path).set(bearer(ADMIN))
+});
+
+const QUESTIONS = [
+  { type: 'multiple_choice', prompt: 'What secures Bitcoin?', options: ['Proof of work', 'Proof of stake'], correctAnswer: 0, points: 2 },
+  { type: 'true_false', prompt: 'Ethereum has smart contracts', correctAnswer: true },
+  { type: 'multi_select', prompt: 'Which are layer 2s?', options: ['Arbitrum', 'Solana', 'Optimism'], correctAnswer: [2, 0] }
+];
+
+// Draft quiz with QUESTIONS, published unless told otherwise
+const createQuiz = async ({ quizId = 'defi-101', publish = true } = {}) => {
+  await admin().post('/api/admin/quizzes', { quizId, title: 'DeFi 101', difficulty: 'medium', tags: ['DeFi'] });
+  const questions = [];
+  for (const question of QUESTIONS) {
+    questions.push((await admin().post(`/api/admin/quizzes/${quizId}/questions`, question)).body.data);
+  }
+  if (publish) {
+    await admin().put(`/api/admin/quizzes/${quizId}`, { status: 'published' });
+  }
+  return questions;
+};
+
+describe('admin quiz management', () => {
+  test('is restricted to admin wallets', async () => {
+    const res = await api().get('/api/admin/quizzes').set(bearer(player(1)));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('creates quizzes as drafts with normalized tags', async () => {
+    const res = await admin().post('/api/admin/quizzes', {
+      quizId: 'defi-101', title: ' DeFi 101 ', difficulty: 'Medium', tags: ['DeFi', 'defi', 'Yield'], status: 'published'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ quizId: 'defi-101', title: 'DeFi 101', difficulty: 'medium', tags: ['defi', 'yield'], status: 'draft' });
+  });
+
+  test('409s on a duplicate quizId', async () => {
+    await admin().post('/api/admin/quizzes', { quizId: 'defi-101', title: 'DeFi 101', difficulty: 'easy' });
+    const res = await admin().post('/api/admin/quizzes', { quizId: 'defi-101', title: 'Again', difficulty: 'easy' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('validates quiz fields', async () => {
+    const res = await admin().post('/api/admin/quizzes', { quizId: 'A', title: 'x' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['quizId', 'title', 'difficulty']);
+  });
+
+  test('validates answers against the question type', async () => {
+    await admin().post('/api/admin/quizzes', { quizId: 'defi-101', title: 'DeFi 101', difficulty: 'easy' });
+
+    const res = await admin().post('/api/admin/quizzes/defi-101/questions', {
+      type: 'multiple_choice', prompt: 'Pick one', options: ['a', 'b'], correctAnswer: 2
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'OUT_OF_RANGE', field: 'correctAnswer' });
+  });
+
+  test('stores questions in order with answers for admins', async () => {
+    await createQuiz({ publish: false });
+
+    const res = await admin().get('/api/admin/quizzes/defi-101');
+
+    expect(res.body.data.questions.map(question => question.order)).toEqual([0, 1, 2]);
+    expect(res.body.data.questions[1].options).toEqual(['True', 'False']);
+    expect(res.body.data.questions[2].correctAnswer).toEqual([0, 2]);
+  });
+
+  test('will not publish a quiz without questions', async () => {
+    await admin().post('/api/admin/quizzes', { quizId: 'empty-quiz', title: 'Empty', difficulty: 'easy' });
+
+    const res = await admin().put('/api/admin/quizzes/empty-quiz', { status: 'published' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('moves quizzes through draft, published and retired', async () => {
+    await createQuiz({ publish: false });
+
+    const published = await admin().put('/api/admin/quizzes/defi-101', { status: 'published' });
+    const backToDraft = await admin().put('/api/admin/quizzes/defi-101', { status: 'draft' });
+    const retired = await admin().put('/api/admin/quizzes/defi-101', { status: 'retired' });
+
+    expect(published.body.data.status).toBe('published');
+    expect(published.body.data.publishedAt).not.toBeNull();
+    expect(backToDraft.status).toBe(409);
+    expect(retired.body.data.status).toBe('retired');
+  });
+
+  test('does not allow changing the quizId', async () => {
+    await createQuiz({ publish: false });
+
+    const res = await admin().put('/api/admin/quizzes/defi-101', { quizId: 'other-id' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('quizId');
+  });
+
+  test('updates a question by merging over the stored one', async () => {
+    const [question] = await createQuiz({ publish: false });
+
+    const updated = await admin().put(`/api/admin/questions/${question.id}`, { prompt: 'Reworded' });
+    const invalid = await admin().put(`/api/admin/questions/${question.id}`, { correctAnswer: 5 });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ prompt: 'Reworded', correctAnswer: 0, points: 2 });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('deletes drafts only, and never the last question of a live quiz', async () => {
+    const questions = await createQuiz();
+
+    expect((await admin().delete('/api/admin/quizzes/defi-101')).status).toBe(409);
+    expect((await admin().delete(`/api/admin/questions/${questions[0].id}`)).status).toBe(200);
+    expect((await admin().delete(`/api/admin/questions/${questions[1].id}`)).status).toBe(200);
+    expect((await admin().delete(`/api/admin/questions/${questions[2].id}`)).status).toBe(409);
+
+    await admin().post('/api/admin/quizzes', { quizId: 'draft-quiz', title: 'Draft', difficulty: 'easy' });
+    expect((await admin().delete('/api/admin/quizzes/draft-quiz')).status).toBe(200);
+    expect((await admin().get('/api/admin/quizzes/draft-quiz')).status).toBe(404);
+  });
+
+  test('rejects malformed quiz and question ids', async () => {
+    const requests = [
+      admin().get('/api/admin/quizzes/Not%20A%20Quiz'),
+      admin().put('/api/admin/quizzes/Not%20A%20Quiz', { title: 'Renamed' }),
+      admin().delete('/api/admin/quizzes/Not%20A%20Quiz'),
+      admin().post('/api/admin/quizzes/Not%20A%20Quiz/questions', QUESTIONS[0]),
+      admin().put('/api/admin/questions/not-an-id', { prompt: 'Reworded' }),
+      admin().delete('/api/admin/questions/not-an-id')
+    ];
+
+    for (const res of await Promise.all(requests)) {
+      expect(res.status).toBe(400);
+      expect(['quizId', 'questionId']).toContain(res.body.errors[0].field);
+    }
+  });
+
+  test('lists quizzes in any state, filtered by status', async () => {
+    await createQuiz();
+    await admin().post('/api/admin/quizzes', { quizId: 'draft-quiz', title: 'Draft', difficulty: 'easy' });
+
+    const all = await admin().get('/api/admin/quizzes');
+    const drafts = await admin().get('/api/admin/quizzes?status=draft');
+
+    expect(all.body.data.pagination.total).toBe(2);
+    expect(drafts.body.data.quizzes.map(quiz => quiz.quizId)).toEqual(['draft-quiz']);
+  });
+});
+
+describe('GET /api/quizzes', () => {
+  test('lists published quizzes only, filtered by tag and difficulty', async () => {
+    await createQuiz();
+    await admin().post('/api/admin/quizzes', { quizId: 'draft-quiz', title: 'Draft', difficulty: 'medium' });
+
+    const all = await api().get('/api/quizzes');
+    const byTag = await api().get('/api/quizzes?tag=DEFI&difficulty=medium');
+    const otherTag = await api().get('/api/quizzes?tag=nft');
+
+    expect(all.body.data.quizzes.map(quiz => quiz.quizId)).toEqual(['defi-101']);
+    expect(byTag.body.data.pagination.total).toBe(1);
+    expect(otherTag.body.data.pagination.total).toBe(0);
+  });
+});
+
+describe('quiz sessions', () => {
+  const startSession = (wallet, quizId = 'defi-101') => api().post(`/api/quizzes/${quizId}/sessions`).set(bearer(wallet));
+
+  const submit = (wallet, sessionId, answers) => {
+    return api().post(`/api/quiz-sessions/${sessionId}/submit`).set(bearer(wallet)).send({ answers });
+  };
+
+  beforeEach(async () => {
+    await createQuiz();
+    await createProfile(player(1));
+  });
+
+  test('serves questions without answers', async () => {
+    const res = await startSession(player(1));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.questions).toHaveLength(3);
+    for (const question of res.body.data.questions) {
+      expect(question.correctAnswer).toBeUndefined();
+    }
+  });
+
+  test('grades the submitted answers and records the score', async () => {
+    const session = (await startSession(player(1))).body.data;
+    const [choice, trueFalse, multi] = session.questions;
+
+    const res = await submit(player(1), session.sessionId, [
+      { questionId: choice.id, answer: 0 },
+      { questionId: trueFalse.id, answer: false },
+      { questionId: multi.id, answer: [0, 2] }
+    ]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ quizId: 'defi-101', score: 3, maxScore: 4, percentage: 75, difficulty: 'medium', graded: true });
+    expect(res.body.data.results.map(result => result.correct)).toEqual([true, false, true]);
+    expect(res.body.data.results.every(result => result.correctAnswer === undefined)).toBe(true);
+    expect((await database.getUserByWallet(player(1).address)).totalScore).toBe(3);
+  });
+
+  test('accepts a submission only once', async () => {
+    const session = (await startSession(player(1))).body.data;
+
+    await submit(player(1), session.sessionId, []);
+    const res = await submit(player(1), session.sessionId, []);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('reopens the session when the score cannot be recorded', async () => {
+    const session = (await startSession(player(1))).body.data;
+    const create = jest.spyOn(database, 'createScoreWithTotals').mockRejectedValueOnce(new Error('ATTEMPT_CONFLICT'));
+
+    const failed = await submit(player(1), session.sessionId, []);
+    create.mockRestore();
+    const retried = await submit(player(1), session.sessionId, []);
+
+    expect(failed.status).toBe(409);
+    expect(retried.status).toBe(201);
+  });
+
+  test('rejects expired sessions', async () => {
+    const session = (await startSession(player(1))).body.data;
+    await database.db.collection('quiz_sessions').updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await submit(player(1), session.sessionId, []);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Quiz session has expired');
+  });
+
+  test('hides other players\' sessions', async () => {
+    await createProfile(player(2));
+    const session = (await startSession(player(1))).body.data;
+
+    const res = await submit(player(2), session.sessionId, []);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('only starts sessions for published quizzes', async () => {
+    await createQuiz({ quizId: 'draft-quiz', publish: false });
+
+    expect((await startSession(player(1), 'draft-quiz')).status).toBe(404);
+  });
+
+  test('allows retaking a completed quiz', async () => {
+    const first = (await startSession(player(1))).body.data;
+    await submit(player(1), first.sessionId, []);
+    const retake = (await startSession(player(1))).body.data;
+
+    const res = await submit(player(1), retake.sessionId, [{ questionId: retake.questions[0].id, answer: 0 }]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ attempt: 2, score: 2, newTotalScore: 2 });
+  });
+
+  test('rejects malformed quiz and session ids', async () => {
+    const start = await startSession(player(1), 'Not%20A%20Quiz');
+    const submitted = await submit(player(1), 'not-an-id', []);
+
+    expect(start.status).toBe(400);
+    expect(start.body.errors[0].field).toBe('quizId');
+    expect(submitted.status).toBe(400);
+    expect(submitted.body.errors[0].field).toBe('sessionId');
+  });
+
+  test('requires answers to be an array', async () => {
+    const session = (await startSession(player(1))).body.data;
+
+    const res = await submit(player(1), session.sessionId, 'all of them');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_TYPE', field: 'answers' });
+  });
+});
@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const { createRateLimits } = require('../ratelimit');
+const { MemoryCache } = require('../cache');
+const { tokenFor } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+
+// A bare app behind small limits, so tests don't depend on the real tiers
+const limitedApp = (options = {}) => {
+  const limits = createRateLimits({ limits: { api: 3, write: 1 }, ...options });
+  const limited = express();
+  limited.use(limits.api);
+  limited.get('/read', (req, res) => res.json({ success: true }));
+  limited.post('/write', limits.write, (req, res) => res.json({ success: true }));
+  return limited;
+};
+
+const as = (wallet) => ({ Authorization: `Bearer ${tokenFor(wallet)}` });
+
+describe('rate limits', () => {
+  test('reject requests over the limit with 429 and standard headers', async () => {
+    const limited = limitedApp();
+
+    const first = await request(limited).post('/write');
+    const second = await request(limited).post('/write');
+
+    expect(first.status).toBe(200);
+    expect(first.headers.ratelimit).toBeDefined();
+    expect(second.status).toBe(429);
+    expect(second.body).toEqual({ success: false, message: 'Too many requests, please try again later' });
+  });
+
+  test('count signed-in requests per wallet instead of per IP', async () => {
+    const limited = limitedApp();
+
+    await request(limited).post('/write').set(as(player(1)));
+    const sameWallet = await request(limited).post('/write').set(as(player(1)));
+    const otherWallet = await request(limited).post('/write').set(as(player(2)));
+    const anonymous = await request(limited).post('/write');
+
+    expect(sameWallet.status).toBe(429);
+    expect(otherWallet.status).toBe(200);
+    expect(anonymous.status).toBe(200);
+  });
+
+  test('fall back to the IP for invalid tokens', async () => {
+    const limited = limitedApp();
+
+    await request(limited).post('/write').set('Authorization', 'Bearer not-a-token');
+    const res = await request(limited).post('/write');
+
+    expect(res.status).toBe(429);
+  });
+
+  test('write requests also count towards the general limit', async () => {
+    const limited = limitedApp();
+
+    await request(limited).post('/write').set(as(player(1)));
+    await request(limited).get('/read').set(as(player(1)));
+    await request(limited).get('/read').set(as(player(1)));
+    const res = await request(limited).get('/read').set(as(player(1)));
+
+    expect(res.status).toBe(429);
+  });
+
+  test('share counters between instances through the cache', async () => {
+    const cache = new MemoryCache();
+    const one = limitedApp({ cache });
+    const other = limitedApp({ cache });
+
+    await request(one).post('/write');
+    const res = await request(other).post('/write');
+
+    expect(res.status).toBe(429);
+  });
+});
+
+describe('security headers', () => {
+  test('are set on API responses', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['strict-transport-security']).toBeDefined();
+    expect(res.headers['x-powered-by']).toBeUndefined();
+  });
+
+  test('API routes report their rate limit', async () => {
+    const res = await request(app).get('/api/achievements');
+
+    expect(res.headers.ratelimit).toBeDefined();
+    expect(res.headers['ratelimit-policy']).toBeDefined();
+  });
+});
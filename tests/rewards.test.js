@@ -0,0 +1,131 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { player, REWARD_SIGNER } = require('./helpers/wallets');
+const database = require('../database');
+const rewards = require('../rewards');
+
+useTestDatabase();
+
+const claim = (wallet, quizId) => api().post('/api/rewards/claims').set(bearer(wallet)).send({ quizId });
+
+// A score as a graded quiz session records it
+const gradedScore = (wallet, quizId, score, maxScore = 20) => database.createScoreWithTotals({
+  walletAddress: wallet.address, quizId, score, maxScore, difficulty: 'easy', graded: true
+});
+
+describe('GET /api/rewards/config', () => {
+  test('exposes the signer and EIP-712 domain', async () => {
+    const res = await api().get('/api/rewards/config');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      enabled: true,
+      signer: REWARD_SIGNER.address,
+      domain: { name: 'CryptoQuestRewards', version: '1' },
+      minPercentage: 70
+    });
+  });
+});
+
+describe('POST /api/rewards/claims', () => {
+  beforeEach(async () => {
+    await createProfile(player(1));
+    await gradedScore(player(1), 'passed', 16);
+    await gradedScore(player(1), 'failed', 8);
+  });
+
+  test('issues a voucher signed by the reward signer', async () => {
+    const res = await claim(player(1), 'passed');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.voucher).toMatchObject({
+      wallet: player(1).address.toLowerCase(),
+      quizId: 'passed',
+      amount: (16n * 1000000000000000n).toString()
+    });
+    expect(rewards.verifyVoucher(res.body.data.voucher, res.body.data.signature)).toBe(true);
+  });
+
+  test('returns the same voucher when claimed again', async () => {
+    const first = await claim(player(1), 'passed');
+    const second = await claim(player(1), 'passed');
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.voucher).toEqual(first.body.data.voucher);
+  });
+
+  test('re-signs an expired voucher with the same nonce', async () => {
+    const first = await claim(player(1), 'passed');
+    await database.db.collection('reward_claims').updateOne({ quizId: 'passed' }, { $set: { expiry: 1 } });
+
+    const second = await claim(player(1), 'passed');
+
+    expect(second.body.data.voucher.nonce).toBe(first.body.data.voucher.nonce);
+    expect(second.body.data.voucher.expiry).toBeGreaterThan(Math.floor(Date.now() / 1000));
+    expect(rewards.verifyVoucher(second.body.data.voucher, second.body.data.signature)).toBe(true);
+  });
+
+  test('403s below the minimum percentage', async () => {
+    const res = await claim(player(1), 'failed');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('404s without a score for the quiz', async () => {
+    const res = await claim(player(1), 'never-played');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('never rewards self-reported scores', async () => {
+    const submitted = await submitScore(player(1), { quizId: 'self-reported', score: 20 });
+    const res = await claim(player(1), 'self-reported');
+
+    expect(submitted.body.data.eligibleForReward).toBe(false);
+    expect(res.status).toBe(404);
+  });
+
+  test('caps the amount and rounds fractional scores', async () => {
+    await gradedScore(player(1), 'long-quiz', 5000, 5000);
+    await gradedScore(player(1), 'partial', 15.5);
+
+    const capped = await claim(player(1), 'long-quiz');
+    const rounded = await claim(player(1), 'partial');
+
+    expect(capped.body.data.voucher.amount).toBe((BigInt(rewards.MAX_REWARD_POINTS) * 1000000000000000n).toString());
+    expect(rounded.status).toBe(201);
+    expect(rounded.body.data.voucher.amount).toBe((16n * 1000000000000000n).toString());
+  });
+
+  test('requires a quizId', async () => {
+    const res = await claim(player(1), undefined);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'REQUIRED', field: 'quizId' });
+  });
+});
+
+describe('GET /api/users/:walletAddress/rewards/claims', () => {
+  test('lists the wallet\'s claims newest first', async () => {
+    await createProfile(player(1));
+    for (const quizId of ['quiz-1', 'quiz-2', 'quiz-3']) {
+      await gradedScore(player(1), quizId, 20);
+      await claim(player(1), quizId);
+    }
+
+    const res = await api()
+      .get(`/api/users/${player(1).address}/rewards/claims?limit=2`)
+      .set(bearer(player(1)));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.claims).toHaveLength(2);
+    expect(res.body.data.pagination).toEqual({ total: 3, limit: 2, offset: 0, hasMore: true });
+  });
+
+  test('is private to the wallet owner', async () => {
+    const res = await api()
+      .get(`/api/users/${player(1).address}/rewards/claims`)
+      .set(bearer(player(2)));
+
+    expect(res.status).toBe(403);
+  });
+});
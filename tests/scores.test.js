@@ -0,0 +1,264 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+const database = require('../database');
+const scoring = require('../scoring');
+
+useTestDatabase();
+
+describe('POST /api/scores', () => {
+  test('records the score and updates totals, XP and streak', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    const res = await submitScore(wallet, { quizId: 'quiz-1', score: 18, difficulty: 'Hard' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      score: 18,
+      maxScore: 20,
+      percentage: 90,
+      difficulty: 'hard',
+      newTotalScore: 18,
+      xpGained: 36,
+      xp: 36,
+      level: 'beginner',
+      leveledUp: false,
+      eligibleForReward: false,
+      graded: false,
+      streak: { current: 1, longest: 1, extended: true, freezeUsed: false }
+    });
+    expect(res.body.data.newAchievements.map(achievement => achievement.id)).toContain('first-quiz');
+  });
+
+  test('records retakes as new attempts, counting the best by default', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+    await submitScore(wallet, { quizId: 'quiz-1', score: 10 });
+
+    const better = await submitScore(wallet, { quizId: 'quiz-1', score: 14 });
+    const worse = await submitScore(wallet, { quizId: 'quiz-1', score: 6 });
+
+    expect(better.status).toBe(201);
+    expect(better.body.data).toMatchObject({ attempt: 2, newTotalScore: 14, xpGained: 4 });
+    expect(worse.body.data).toMatchObject({ attempt: 3, newTotalScore: 14, xpGained: 0, leveledUp: false });
+  });
+
+  test('404s for a wallet without a profile', async () => {
+    const res = await submitScore(player(1));
+
+    expect(res.status).toBe(404);
+  });
+
+  test('403s for server-graded quizzes', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+    await database.createQuiz({ quizId: 'graded-quiz', title: 'Graded', difficulty: 'easy' });
+
+    const res = await submitScore(wallet, { quizId: 'graded-quiz' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects scores above maxScore without echoing the request', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    const res = await submitScore(wallet, { score: 30, maxScore: 25 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { code: 'OUT_OF_RANGE', field: 'score', message: 'Score must be a number between 0 and maxScore' }
+    ]);
+    expect(res.body.received).toBeUndefined();
+  });
+
+  test('requires whole-number scores up to the self-reported maximum', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    const fractional = await submitScore(wallet, { score: 7.5 });
+    const huge = await submitScore(wallet, { score: 1e12, maxScore: 1e12 });
+
+    expect(fractional.status).toBe(400);
+    expect(fractional.body.errors[0]).toMatchObject({ code: 'INVALID_TYPE', field: 'score' });
+    expect(huge.status).toBe(400);
+    expect(huge.body.errors[0]).toMatchObject({
+      code: 'OUT_OF_RANGE',
+      field: 'maxScore',
+      message: `maxScore must be at most ${scoring.SELF_REPORTED_MAX_SCORE}`
+    });
+  });
+
+  test('403s when self-reported scores are disabled', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+    const mode = jest.replaceProperty(scoring, 'SELF_REPORTED_SCORES', 'disabled');
+
+    const res = await submitScore(wallet);
+    mode.restore();
+
+    expect(res.status).toBe(403);
+    expect(await database.db.collection('scores').countDocuments({})).toBe(0);
+  });
+
+  test('reports each missing field', async () => {
+    const wallet = player(1);
+    const res = await api().post('/api/scores').set(bearer(wallet)).send({ walletAddress: wallet.address });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field).sort()).toEqual(['difficulty', 'quizId', 'score']);
+  });
+
+  test('rejects an unknown difficulty', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    const res = await submitScore(wallet, { difficulty: 'legendary' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_VALUE', field: 'difficulty' });
+  });
+
+  test('levels up once enough XP is earned', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    // 40 XP per perfect hard quiz, intermediate starts at 200
+    for (let i = 1; i <= 4; i++) {
+      await submitScore(wallet, { quizId: `quiz-${i}`, score: 20, difficulty: 'hard' });
+    }
+    const res = await submitScore(wallet, { quizId: 'quiz-5', score: 20, difficulty: 'hard' });
+
+    expect(res.body.data.xp).toBe(200);
+    expect(res.body.data.level).toBe('intermediate');
+    expect(res.body.data.leveledUp).toBe(true);
+  });
+
+  test('leaves no score behind when the total update fails', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+    const update = jest.spyOn(database, 'updateUserTotalScore').mockRejectedValueOnce(new Error('write conflict'));
+
+    const failed = await submitScore(wallet, { quizId: 'quiz-1' });
+    update.mockRestore();
+    const retried = await submitScore(wallet, { quizId: 'quiz-1' });
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(201);
+    expect(retried.body.data.newTotalScore).toBe(10);
+    expect(await database.db.collection('scores').countDocuments({})).toBe(1);
+  });
+});
+
+describe('GET /api/users/:walletAddress/history', () => {
+  const seedHistory = async (wallet, count) => {
+    await createProfile(wallet);
+    for (let i = 1; i <= count; i++) {
+      await database.createScore({
+        walletAddress: wallet.address,
+        quizId: `quiz-${i}`,
+        score: i,
+        difficulty: 'easy',
+        createdAt: new Date(Date.UTC(2026, 0, i))
+      });
+    }
+  };
+
+  test('returns scores newest first', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 3);
+
+    const res = await api().get(`/api/users/${wallet.address}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.history.map(entry => entry.quizId)).toEqual(['quiz-3', 'quiz-2', 'quiz-1']);
+    expect(res.body.data.pagination).toEqual({ total: 3, limit: 20, offset: 0, hasMore: false, nextCursor: null });
+  });
+
+  test('paginates with limit and offset', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 5);
+
+    const first = await api().get(`/api/users/${wallet.address}/history?limit=2`);
+    const last = await api().get(`/api/users/${wallet.address}/history?limit=2&offset=4`);
+
+    expect(first.body.data.history.map(entry => entry.quizId)).toEqual(['quiz-5', 'quiz-4']);
+    expect(first.body.data.pagination).toEqual({ total: 5, limit: 2, offset: 0, hasMore: true, nextCursor: expect.any(String) });
+    expect(last.body.data.history.map(entry => entry.quizId)).toEqual(['quiz-1']);
+    expect(last.body.data.pagination.hasMore).toBe(false);
+  });
+
+  test('cursor pages stay stable when new scores arrive mid-scroll', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 5);
+
+    const first = await api().get(`/api/users/${wallet.address}/history?limit=2`);
+    await database.createScore({ walletAddress: wallet.address, quizId: 'quiz-6', score: 6, difficulty: 'easy' });
+    const second = await api().get(`/api/users/${wallet.address}/history?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(second.body.data.history.map(entry => entry.quizId)).toEqual(['quiz-3', 'quiz-2']);
+    expect(second.body.data.pagination).toEqual({ limit: 2, hasMore: true, nextCursor: expect.any(String) });
+  });
+
+  test('rejects a cursor combined with an offset', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 3);
+    const first = await api().get(`/api/users/${wallet.address}/history?limit=1`);
+
+    const res = await api().get(`/api/users/${wallet.address}/history?offset=1&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'offset' });
+  });
+
+  test('rejects a tampered cursor', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 1);
+    const cursor = Buffer.from(JSON.stringify({ createdAt: 'yesterday', id: 'abc' })).toString('base64url');
+
+    const res = await api().get(`/api/users/${wallet.address}/history?cursor=${cursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'INVALID_VALUE', field: 'cursor' });
+  });
+
+  test('clamps the page size to 100', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 1);
+
+    const res = await api().get(`/api/users/${wallet.address}/history?limit=1000`);
+
+    expect(res.body.data.pagination.limit).toBe(100);
+  });
+
+  test('rejects a negative offset', async () => {
+    const wallet = player(1);
+    await seedHistory(wallet, 1);
+
+    const res = await api().get(`/api/users/${wallet.address}/history?offset=-1`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'OUT_OF_RANGE', field: 'offset' });
+  });
+
+  test('lists every attempt of one quiz with the counted one flagged', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+    await submitScore(wallet, { quizId: 'quiz-1', score: 12 });
+    await submitScore(wallet, { quizId: 'quiz-2', score: 8 });
+    await submitScore(wallet, { quizId: 'quiz-1', score: 9 });
+
+    const res = await api().get(`/api/users/${wallet.address}/history?quizId=quiz-1`);
+    const profile = await api().get(`/api/users/${wallet.address}`);
+
+    expect(res.body.data.history.map(entry => [entry.attempt, entry.score, entry.counted])).toEqual([[2, 9, false], [1, 12, true]]);
+    expect(res.body.data.pagination.total).toBe(2);
+    expect(profile.body.data.stats).toMatchObject({ quizzesCompleted: 2, quizAttempts: 3, bestScore: 12 });
+  });
+
+  test('404s for an unknown wallet', async () => {
+    const res = await api().get(`/api/users/${player(1).address}/history`);
+
+    expect(res.status).toBe(404);
+  });
+});
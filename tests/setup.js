@@ -0,0 +1,31 @@
+// Runs before every test file. Secrets and keys are fixed so tokens and
+// vouchers are reproducible, and the MongoDB driver is swapped for the
+// in-memory stand-in so no server or network is needed.
+const os = require('os');
+const path = require('path');
+const { ADMIN, MODERATOR, REWARD_SIGNER, player } = require('./helpers/wallets');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_WALLETS = ADMIN.address;
+process.env.MODERATOR_WALLETS = MODERATOR.address;
+process.env.REWARD_SIGNER_PRIVATE_KEY = REWARD_SIGNER.privateKey;
+// Avatars are pinned with the filesystem stand-in, uploads.test.js removes the directory
+process.env.IPFS_PINNING_SERVICE = 'local';
+process.env.IPFS_PINNING_DIR = path.join(os.tmpdir(), `cryptoquest-uploads-${process.pid}`);
+// ENS names from a fixed list instead of an RPC
+process.env.ENS_NAMES = `${player(1).address}=alice.eth`;
+// Suites send far more requests than players do, ratelimit.test.js sets its own limits
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.RATE_LIMIT_WRITE_MAX = '100000';
+
+jest.mock('mongodb', () => ({
+  ...jest.requireActual('mongodb'),
+  MongoClient: require('./helpers/memoryMongo').MemoryClient
+}));
+
+// Request and database logging drowns out test output, set TEST_LOGS=1 to keep it
+if (!process.env.TEST_LOGS) {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+}
@@ -0,0 +1,146 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { MODERATOR, player } = require('./helpers/wallets');
+
+useTestDatabase();
+
+const follow = (wallet, target) => api().post(`/api/users/${target.address}/follow`).set(bearer(wallet));
+const unfollow = (wallet, target) => api().delete(`/api/users/${target.address}/follow`).set(bearer(wallet));
+
+const friendsBoard = (wallet, query = '') => api().get(`/api/users/${wallet.address}/friends/leaderboard${query}`);
+
+const boardWallets = (res) => res.body.data.leaderboard.map(row => row.walletAddress);
+
+describe('follows', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 4; i++) {
+      await createProfile(player(i));
+    }
+  });
+
+  test('following a player is idempotent', async () => {
+    const first = await follow(player(1), player(2));
+    const again = await follow(player(1), player(2));
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toEqual({ follower: player(1).address.toLowerCase(), following: player(2).address.toLowerCase() });
+    expect(again.status).toBe(200);
+  });
+
+  test('players cannot follow themselves or unknown wallets', async () => {
+    expect((await follow(player(1), player(1))).status).toBe(400);
+    expect((await follow(player(1), player(9))).status).toBe(404);
+    expect((await follow(player(9), player(1))).status).toBe(404);
+  });
+
+  test('needs a signed-in, unbanned player', async () => {
+    await api().post(`/api/admin/users/${player(1).address}/ban`).set(bearer(MODERATOR)).send({ reason: 'Follow spam' });
+
+    expect((await api().post(`/api/users/${player(2).address}/follow`)).status).toBe(401);
+    expect((await follow(player(1), player(2))).status).toBe(403);
+  });
+
+  test('unfollowing removes the follow', async () => {
+    await follow(player(1), player(2));
+
+    expect((await unfollow(player(1), player(2))).status).toBe(200);
+    expect((await unfollow(player(1), player(2))).status).toBe(404);
+  });
+
+  test('profiles show follower and following counts and the latest of each', async () => {
+    await follow(player(2), player(1));
+    await follow(player(3), player(1));
+    await follow(player(1), player(4));
+
+    const res = await api().get(`/api/users/${player(1).address}`).set(bearer(player(2)));
+
+    expect(res.body.data.social).toMatchObject({
+      followers: { total: 2 },
+      following: { total: 1 },
+      followedByViewer: true
+    });
+    expect(res.body.data.social.followers.recent.map(user => user.walletAddress))
+      .toEqual([player(3).address.toLowerCase(), player(2).address.toLowerCase()]);
+    expect(res.body.data.social.following.recent[0]).toMatchObject({
+      walletAddress: player(4).address.toLowerCase(),
+      username: expect.any(String),
+      followedAt: expect.any(String)
+    });
+  });
+
+  test('followedByViewer is null for anonymous viewers and the player themselves', async () => {
+    const anonymous = await api().get(`/api/users/${player(1).address}`);
+    const self = await api().get(`/api/users/${player(1).address}`).set(bearer(player(1)));
+
+    expect(anonymous.body.data.social.followedByViewer).toBeNull();
+    expect(self.body.data.social.followedByViewer).toBeNull();
+  });
+});
+
+describe('GET /api/users/:walletAddress/followers and /following', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 4; i++) {
+      await createProfile(player(i));
+    }
+    for (let i = 2; i <= 4; i++) {
+      await follow(player(i), player(1));
+    }
+  });
+
+  test('page through followers newest first', async () => {
+    const first = await api().get(`/api/users/${player(1).address}/followers?limit=2`);
+    const second = await api().get(`/api/users/${player(1).address}/followers?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+
+    const wallets = [...first.body.data.followers, ...second.body.data.followers].map(user => user.walletAddress);
+    expect(wallets).toEqual([player(4), player(3), player(2)].map(wallet => wallet.address.toLowerCase()));
+    expect(first.body.data.pagination).toEqual({ limit: 2, hasMore: true, nextCursor: expect.any(String) });
+    expect(second.body.data.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+  });
+
+  test('list the players someone follows', async () => {
+    const res = await api().get(`/api/users/${player(2).address}/following`);
+
+    expect(res.body.data.following.map(user => user.walletAddress)).toEqual([player(1).address.toLowerCase()]);
+  });
+
+  test('return 404 for unknown players', async () => {
+    expect((await api().get(`/api/users/${player(9).address}/followers`)).status).toBe(404);
+  });
+});
+
+describe('GET /api/users/:walletAddress/friends/leaderboard', () => {
+  beforeEach(async () => {
+    for (let i = 1; i <= 4; i++) {
+      await createProfile(player(i));
+      await submitScore(player(i), { score: 4 * i, difficulty: i % 2 ? 'easy' : 'hard' });
+    }
+    await follow(player(1), player(2));
+    await follow(player(1), player(4));
+  });
+
+  test('ranks the player and the players they follow only', async () => {
+    const res = await friendsBoard(player(1));
+
+    expect(res.status).toBe(200);
+    expect(boardWallets(res)).toEqual([player(4), player(2), player(1)].map(wallet => wallet.address.toLowerCase()));
+    expect(res.body.data.leaderboard.map(row => row.rank)).toEqual([1, 2, 3]);
+  });
+
+  test('works for period and difficulty boards', async () => {
+    const res = await friendsBoard(player(1), '?period=weekly&difficulty=hard');
+
+    expect(boardWallets(res)).toEqual([player(4), player(2)].map(wallet => wallet.address.toLowerCase()));
+  });
+
+  test('pages with a cursor', async () => {
+    const first = await friendsBoard(player(1), '?limit=2');
+    const second = await friendsBoard(player(1), `?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+
+    expect(second.body.data.leaderboard).toEqual([expect.objectContaining({ rank: 3, walletAddress: player(1).address.toLowerCase() })]);
+  });
+
+  test('only shows the player when they follow nobody', async () => {
+    const res = await friendsBoard(player(3));
+
+    expect(boardWallets(res)).toEqual([player(3).address.toLowerCase()]);
+  });
+});
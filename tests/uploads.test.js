@@ -0,0 +1,149 @@
+const fs = require('fs/promises');
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { MODERATOR, player } = require('./helpers/wallets');
+const database = require('../database');
+const ipfs = require('../ipfs');
+const { sniffImageType, AVATAR_MAX_BYTES } = require('../uploads');
+
+useTestDatabase();
+afterAll(() => fs.rm(process.env.IPFS_PINNING_DIR, { recursive: true, force: true }));
+
+const V0 = 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn';
+const V1 = 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('fake image data')]);
+
+const upload = (wallet, data, contentType = 'image/png') => {
+  return api().post('/api/uploads/avatar').set(bearer(wallet)).set('Content-Type', contentType).send(data);
+};
+
+describe('IPFS URLs', () => {
+  test('convert CIDv0 to canonical CIDv1 base32', () => {
+    expect(ipfs.canonicalCid(V0)).toBe(V1);
+    expect(ipfs.canonicalCid(V1)).toBe(V1);
+    expect(ipfs.canonicalCid(V1.toUpperCase())).toBe(V1);
+  });
+
+  test('reject strings that only look like CIDs', () => {
+    expect(ipfs.parseCid('QmAvatar')).toBeNull();
+    expect(ipfs.parseCid(V0.slice(0, -1))).toBeNull();
+    expect(ipfs.parseCid(V1.slice(0, -4))).toBeNull();
+    expect(ipfs.parseCid('bafy')).toBeNull();
+    expect(ipfs.parseCid('z' + '2'.repeat(ipfs.MAX_CID_LENGTH))).toBeNull();
+  });
+
+  test('accept ipfs://, path gateway and subdomain gateway forms', () => {
+    const canonical = `ipfs://${V1}/avatar.png`;
+
+    expect(ipfs.canonicalUrl(`ipfs://${V0}/avatar.png`)).toBe(canonical);
+    expect(ipfs.canonicalUrl(`https://gateway.pinata.cloud/ipfs/${V0}/avatar.png?filename=a`)).toBe(canonical);
+    expect(ipfs.canonicalUrl(`https://${V1}.ipfs.dweb.link/avatar.png`)).toBe(canonical);
+    expect(ipfs.canonicalUrl(V0)).toBe(`ipfs://${V1}`);
+  });
+
+  test('reject other URLs that mention ipfs', () => {
+    expect(ipfs.canonicalUrl('https://example.com/ipfs-logo.png')).toBeNull();
+    expect(ipfs.canonicalUrl('https://example.com/?ipfs=1')).toBeNull();
+    expect(ipfs.canonicalUrl(`ipfs://${V1}/../secret`)).toBeNull();
+  });
+
+  test('hash raw files to their CIDv1', () => {
+    expect(ipfs.cidForBytes(Buffer.from('hello world\n'))).toBe('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4');
+  });
+});
+
+describe('profile pictures', () => {
+  test('are stored as canonical ipfs:// URLs and served through the gateway', async () => {
+    const res = await createProfile(player(1), { profilePictureUrl: `https://ipfs.io/ipfs/${V0}` });
+
+    expect(res.body.data.profilePictureUrl).toBe(`${ipfs.IPFS_GATEWAY}/ipfs/${V1}`);
+    const user = await database.getUserByWallet(player(1).address);
+    expect(user.profilePictureUrl).toBe(`ipfs://${V1}`);
+  });
+
+  test('use the gateway on the leaderboard', async () => {
+    await createProfile(player(1), { profilePictureUrl: `ipfs://${V0}` });
+    await submitScore(player(1));
+
+    const res = await api().get('/api/leaderboard');
+
+    expect(res.body.data.leaderboard[0].profilePictureUrl).toBe(`${ipfs.IPFS_GATEWAY}/ipfs/${V1}`);
+  });
+
+  test('reject overlong URLs before parsing them', async () => {
+    const res = await createProfile(player(1), { profilePictureUrl: `ipfs://z${'2'.repeat(90000)}` });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'profilePictureUrl', code: 'INVALID_LENGTH' });
+  });
+
+  test('reject URLs without a valid CID', async () => {
+    const res = await createProfile(player(1), { profilePictureUrl: 'https://example.com/ipfs.png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'profilePictureUrl' });
+  });
+});
+
+describe('POST /api/uploads/avatar', () => {
+  test('pins the image and returns its ipfs:// URL', async () => {
+    const res = await upload(player(1), PNG);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toEqual({
+      cid: ipfs.cidForBytes(PNG),
+      url: `ipfs://${ipfs.cidForBytes(PNG)}`,
+      gatewayUrl: `${ipfs.IPFS_GATEWAY}/ipfs/${ipfs.cidForBytes(PNG)}`,
+      contentType: 'image/png',
+      size: PNG.length
+    });
+
+    const profile = await createProfile(player(1), { profilePictureUrl: res.body.data.url });
+    expect(profile.status).toBe(201);
+  });
+
+  test('serves locally pinned files', async () => {
+    const { cid } = (await upload(player(1), PNG)).body.data;
+
+    const res = await api().get(`/ipfs/${cid}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(Buffer.compare(res.body, PNG)).toBe(0);
+    expect((await api().get(`/ipfs/${V1}`)).status).toBe(404);
+    expect(res.headers.ratelimit).toBeDefined();
+  });
+
+  test('rejects unsupported types and content that does not match its type', async () => {
+    const text = await upload(player(1), Buffer.from('hello'), 'text/plain');
+    const mislabeled = await upload(player(1), PNG, 'image/jpeg');
+
+    expect(text.status).toBe(415);
+    expect(mislabeled.status).toBe(415);
+    expect(mislabeled.body.message).toBe('Image content does not match its Content-Type');
+  });
+
+  test('rejects images over the size limit', async () => {
+    const res = await upload(player(1), Buffer.concat([PNG, Buffer.alloc(AVATAR_MAX_BYTES)]));
+
+    expect(res.status).toBe(413);
+  });
+
+  test('requires a signed-in, unbanned player', async () => {
+    await createProfile(player(2));
+    await api().post(`/api/admin/users/${player(2).address}/ban`).set(bearer(MODERATOR)).send({ reason: 'Spamming avatars' });
+
+    expect((await api().post('/api/uploads/avatar').set('Content-Type', 'image/png').send(PNG)).status).toBe(401);
+    expect((await upload(player(2), PNG)).status).toBe(403);
+  });
+});
+
+describe('sniffImageType', () => {
+  test('recognises images by their first bytes', () => {
+    expect(sniffImageType(PNG)).toBe('image/png');
+    expect(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(sniffImageType(Buffer.from('GIF89a...'))).toBe('image/gif');
+    expect(sniffImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(sniffImageType(Buffer.from('<svg></svg>'))).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+const { useTestDatabase, api, bearer, createProfile } = require('./helpers/api');
+const { MODERATOR, player } = require('./helpers/wallets');
+const database = require('../database');
+const { usernameProblem } = require('../usernames');
+
+useTestDatabase();
+
+const availability = (username, wallet) => {
+  const req = api().get(`/api/usernames/${encodeURIComponent(username)}/availability`);
+  return wallet ? req.set(bearer(wallet)) : req;
+};
+
+const history = (wallet) => api().get(`/api/users/${wallet.address}/usernames`);
+
+describe('username rules', () => {
+  test('reserve staff names, including lookalikes', () => {
+    expect(usernameProblem('Admin')).toBe('reserved');
+    expect(usernameProblem('m0d3rat0r')).toBe('reserved');
+    expect(usernameProblem('admin_fan')).toBeNull();
+  });
+
+  test('block offensive words in the name', () => {
+    expect(usernameProblem('xx_sh1t_xx')).toBe('blocked');
+    expect(usernameProblem('s_h_1_t')).toBe('blocked');
+    expect(usernameProblem('BigShitCoin')).toBe('blocked');
+    expect(usernameProblem('shit99')).toBe('blocked');
+    expect(usernameProblem('xfuckx')).toBe('blocked');
+    expect(usernameProblem('satoshi')).toBeNull();
+  });
+
+  test('allow names that only contain a blocked word inside another word', () => {
+    expect(usernameProblem('therapist')).toBeNull();
+    expect(usernameProblem('Scunthorpe')).toBeNull();
+    expect(usernameProblem('Ishita')).toBeNull();
+    expect(usernameProblem('bass_hit')).toBeNull();
+  });
+});
+
+describe('unique usernames', () => {
+  test('are taken regardless of case', async () => {
+    await createProfile(player(1), { username: 'Satoshi' });
+
+    const res = await createProfile(player(2), { username: 'SATOSHI' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Username is already taken');
+  });
+
+  test('cannot be taken over by renaming', async () => {
+    await createProfile(player(1), { username: 'Satoshi' });
+    await createProfile(player(2), { username: 'vitalik' });
+
+    const res = await createProfile(player(2), { username: 'satoshi' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('reject reserved and blocked names', async () => {
+    const reserved = await createProfile(player(1), { username: 'Support' });
+    const blocked = await createProfile(player(1), { username: 'b1tch_please' });
+
+    expect(reserved.status).toBe(400);
+    expect(reserved.body.errors[0]).toMatchObject({ code: 'USERNAME_RESERVED', field: 'username' });
+    expect(blocked.status).toBe(400);
+    expect(blocked.body.errors[0]).toMatchObject({ code: 'USERNAME_BLOCKED', field: 'username' });
+  });
+});
+
+describe('GET /api/usernames/:username/availability', () => {
+  beforeEach(() => createProfile(player(1), { username: 'Satoshi' }));
+
+  test('reports free names as available', async () => {
+    const res = await availability('vitalik');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ username: 'vitalik', available: true, reason: null });
+  });
+
+  test('reports names held by another wallet as taken', async () => {
+    const res = await availability('satoshi', player(2));
+
+    expect(res.body.data).toMatchObject({ available: false, reason: 'taken' });
+  });
+
+  test('treats the player\'s own name as available to them', async () => {
+    const res = await availability('SATOSHI', player(1));
+
+    expect(res.body.data.available).toBe(true);
+  });
+
+  test('explains why a name can never be taken', async () => {
+    expect((await availability('admin')).body.data).toMatchObject({ available: false, reason: 'reserved' });
+    expect((await availability('ShitCoin')).body.data).toMatchObject({ available: false, reason: 'blocked' });
+    expect((await availability('ab')).body.data).toMatchObject({ available: false, reason: 'invalid' });
+  });
+});
+
+describe('rename cooldown', () => {
+  beforeEach(() => createProfile(player(1), { username: 'Satoshi' }));
+
+  test('allows one rename per cooldown and records it', async () => {
+    const first = await createProfile(player(1), { username: 'Nakamoto' });
+    const second = await createProfile(player(1), { username: 'Hal' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(new Date(second.body.retryAt).getTime()).toBeGreaterThan(Date.now());
+
+    const res = await history(player(1));
+    expect(res.body.data).toMatchObject({ username: 'Nakamoto', nextChangeAt: expect.any(String) });
+    expect(res.body.data.history).toEqual([
+      expect.objectContaining({ username: 'Satoshi', newUsername: 'Nakamoto', byModerator: false })
+    ]);
+  });
+
+  test('does not apply to profile updates that keep the name', async () => {
+    await createProfile(player(1), { username: 'Nakamoto' });
+
+    const res = await createProfile(player(1), { username: 'Nakamoto', timezone: 'Europe/Berlin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.timezone).toBe('Europe/Berlin');
+  });
+
+  test('ends after the cooldown', async () => {
+    await createProfile(player(1), { username: 'Nakamoto' });
+    await database.db.collection('users').updateOne(
+      { walletAddress: player(1).address.toLowerCase() },
+      { $set: { usernameChangedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } }
+    );
+
+    const res = await createProfile(player(1), { username: 'Hal' });
+
+    expect(res.status).toBe(200);
+    expect((await history(player(1))).body.data.history).toHaveLength(2);
+  });
+
+  test('is skipped by moderator renames, which are recorded as such', async () => {
+    await createProfile(player(1), { username: 'Nakamoto' });
+
+    const res = await api().put(`/api/admin/users/${player(1).address}/username`).set(bearer(MODERATOR))
+      .send({ username: 'player_renamed', reason: 'Impersonating a streamer' });
+
+    expect(res.status).toBe(200);
+    const [latest] = (await history(player(1))).body.data.history;
+    expect(latest).toMatchObject({ username: 'Nakamoto', newUsername: 'player_renamed', byModerator: true });
+  });
+});
+
+describe('GET /api/users/:walletAddress/usernames', () => {
+  test('returns 404 for unknown players', async () => {
+    const res = await history(player(3));
+
+    expect(res.status).toBe(404);
+  });
+
+  test('is empty for players who never renamed', async () => {
+    await createProfile(player(1));
+
+    const res = await history(player(1));
+
+    expect(res.body.data).toMatchObject({ nextChangeAt: null, history: [] });
+  });
+});
@@ -0,0 +1,97 @@
+const { useTestDatabase, api, bearer, createProfile, submitScore } = require('./helpers/api');
+const { player } = require('./helpers/wallets');
+
+useTestDatabase();
+
+describe('POST /api/users', () => {
+  test('creates a profile', async () => {
+    const wallet = player(1);
+    const res = await createProfile(wallet, { username: 'alice', profilePictureUrl: 'ipfs://QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtioEB', timezone: 'Europe/London' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      walletAddress: wallet.address.toLowerCase(),
+      username: 'alice',
+      profilePictureUrl: 'https://ipfs.io/ipfs/bafybeiasb5vpmaounyilfuxbd3lryvosl4yefqrfahsb2esg46q6tu6y5q',
+      totalScore: 0,
+      xp: 0,
+      level: 'beginner',
+      timezone: 'Europe/London'
+    });
+  });
+
+  test('updates an existing profile', async () => {
+    const wallet = player(1);
+    await createProfile(wallet, { username: 'alice' });
+
+    const res = await createProfile(wallet, { username: '  alice2  ', timezone: 'Asia/Tokyo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.username).toBe('alice2');
+    expect(res.body.data.timezone).toBe('Asia/Tokyo');
+  });
+
+  test('returns every validation error with code and field', async () => {
+    const res = await createProfile(player(1), { username: 'al', profilePictureUrl: 'https://example.com/a.png', timezone: 'Mars/Base' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { code: 'INVALID_LENGTH', field: 'username', message: 'Username must be between 3 and 30 characters' },
+      { code: 'INVALID_VALUE', field: 'profilePictureUrl', message: 'Invalid profile picture URL. Must be a valid IPFS URL' },
+      { code: 'INVALID_VALUE', field: 'timezone', message: 'Invalid timezone. Must be an IANA timezone such as Europe/London' }
+    ]);
+    expect(res.body.message).toBe(res.body.errors[0].message);
+  });
+
+  test('requires a username', async () => {
+    const wallet = player(1);
+    const res = await api().post('/api/users').set(bearer(wallet)).send({ walletAddress: wallet.address });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 'REQUIRED', field: 'username' });
+  });
+});
+
+describe('GET /api/users/:walletAddress', () => {
+  test('returns the profile with stats, progression and streak', async () => {
+    const wallet = player(1);
+    await createProfile(wallet, { username: 'alice' });
+    await submitScore(wallet, { quizId: 'quiz-1', score: 10 });
+    await submitScore(wallet, { quizId: 'quiz-2', score: 20 });
+
+    const res = await api().get(`/api/users/${wallet.address}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      username: 'alice',
+      totalScore: 30,
+      xp: 30,
+      level: 'beginner',
+      nextLevel: { name: 'intermediate', minXp: 200, xpNeeded: 170 },
+      stats: { quizzesCompleted: 2, averageScore: 15, bestScore: 20 },
+      streak: { current: 1, longest: 1 }
+    });
+  });
+
+  test('looks wallets up case-insensitively', async () => {
+    const wallet = player(1);
+    await createProfile(wallet);
+
+    const res = await api().get(`/api/users/${wallet.address.toUpperCase().replace('0X', '0x')}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('404s for an unknown wallet', async () => {
+    const res = await api().get(`/api/users/${player(1).address}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('400s for a malformed wallet', async () => {
+    const res = await api().get('/api/users/not-a-wallet');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('walletAddress');
+  });
+});
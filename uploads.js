@@ -0,0 +1,114 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ipfs = require('./ipfs');
+require('dotenv').config();
+
+// Avatar uploads, pinned to IPFS through a pinning service. Disabled unless
+// IPFS_PINNING_SERVICE is set:
+//
+//   local   - files are written to IPFS_PINNING_DIR (./uploads) under their
+//             CID and served from GET /ipfs/:cid, a stand-in for development
+//   pinata  - pinned through Pinata with PINATA_JWT
+//
+//   AVATAR_MAX_BYTES - largest accepted image (1 MB)
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES) || 1024 * 1024;
+
+// Accepted content types and the bytes their files start with
+const IMAGE_SIGNATURES = {
+  'image/png': [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  'image/jpeg': [[0, [0xff, 0xd8, 0xff]]],
+  'image/gif': [[0, Buffer.from('GIF8')]],
+  'image/webp': [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]]
+};
+
+const AVATAR_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+// Content type of an image from its first bytes, or null. The declared
+// Content-Type is never trusted on its own.
+const sniffImageType = (data) => {
+  return AVATAR_TYPES.find(type => IMAGE_SIGNATURES[type].every(([offset, bytes]) =>
+    data.length >= offset + bytes.length && bytes.every((byte, i) => data[offset + i] === byte)
+  )) || null;
+};
+
+// Pinning services answer pin(data, { contentType, name }) with { cid }
+
+class LocalPinningService {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async pin(data) {
+    const cid = ipfs.cidForBytes(data);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, cid), data);
+    return { cid };
+  }
+
+  // Pinned bytes of a canonical CID, or null
+  async get(cid) {
+    try {
+      return await fs.readFile(path.join(this.dir, cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Uses the fetch, FormData and Blob globals of Node 18
+class PinataPinningService {
+  constructor(jwt, options = {}) {
+    this.jwt = jwt;
+    this.url = options.url || 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+  }
+
+  async pin(data, { contentType, name }) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), name);
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.jwt}` },
+      body: form
+    });
+    if (!response.ok) {
+      throw new Error(`PINNING_FAILED: Pinata answered ${response.status}`);
+    }
+
+    const cid = ipfs.canonicalCid((await response.json()).IpfsHash);
+    if (!cid) {
+      throw new Error('PINNING_FAILED: Pinata returned an invalid CID');
+    }
+    return { cid };
+  }
+}
+
+// Pinning service from the environment, null when uploads are disabled
+const createPinningService = () => {
+  switch (process.env.IPFS_PINNING_SERVICE) {
+    case 'local':
+      return new LocalPinningService(path.resolve(process.env.IPFS_PINNING_DIR || 'uploads'));
+    case 'pinata':
+      if (!process.env.PINATA_JWT) {
+        throw new Error('IPFS_PINNING_SERVICE=pinata needs PINATA_JWT');
+      }
+      return new PinataPinningService(process.env.PINATA_JWT);
+    case undefined:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown IPFS_PINNING_SERVICE: ${process.env.IPFS_PINNING_SERVICE}`);
+  }
+};
+
+module.exports = {
+  AVATAR_MAX_BYTES,
+  AVATAR_TYPES,
+  sniffImageType,
+  LocalPinningService,
+  PinataPinningService,
+  createPinningService
+};
@@ -0,0 +1,98 @@
+require('dotenv').config();
+
+// Username rules beyond length. Usernames are unique ignoring case (the
+// username_unique index uses USERNAME_COLLATION), some names are reserved for
+// staff and the app, no name may contain a blocked word, and players may
+// rename once per cooldown.
+//
+//   RESERVED_USERNAMES              - extra reserved names, comma separated
+//   BLOCKED_USERNAME_WORDS          - extra blocked words, comma separated
+//   BLOCKED_USERNAME_SUBSTRINGS     - extra words blocked anywhere in a name
+//   USERNAME_RENAME_COOLDOWN_DAYS   - days between renames (30, 0 disables)
+
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+const DEFAULT_RESERVED = [
+  'admin', 'administrator', 'moderator', 'mod', 'staff', 'support', 'help',
+  'official', 'system', 'root', 'cryptoquest', 'anonymous', 'null', 'undefined'
+];
+
+// Matched against whole words of the name, so 'therapist' and 'Scunthorpe'
+// are fine
+const DEFAULT_BLOCKED = [
+  'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'rapist', 'hitler'
+];
+
+// Matched anywhere in the name, only for words no ordinary name contains
+const DEFAULT_BLOCKED_SUBSTRINGS = ['fuck', 'nigger', 'faggot'];
+
+const wordList = (value) => (value || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const RESERVED_USERNAMES = new Set([...DEFAULT_RESERVED, ...wordList(process.env.RESERVED_USERNAMES)]);
+const BLOCKED_USERNAME_WORDS = [...DEFAULT_BLOCKED, ...wordList(process.env.BLOCKED_USERNAME_WORDS)];
+const BLOCKED_USERNAME_SUBSTRINGS = [...DEFAULT_BLOCKED_SUBSTRINGS, ...wordList(process.env.BLOCKED_USERNAME_SUBSTRINGS)];
+
+const cooldownDays = parseInt(process.env.USERNAME_RENAME_COOLDOWN_DAYS);
+const RENAME_COOLDOWN_DAYS = isNaN(cooldownDays) ? 30 : cooldownDays;
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+// Lowercase, undo digit/symbol lookalikes and drop separators, so
+// 'Adm1n' and 's_h_1_t' are caught
+const normalize = (username) => username
+  .toLowerCase()
+  .replace(/[0134578@$!]/g, char => LOOKALIKES[char])
+  .replace(/[^a-z]/g, '');
+
+// Normalized words of a name, split on separators, digits that are not
+// lookalikes and case changes: 'xx_Sh1tCoin' is ['xx', 'shit', 'coin']
+const words = (username) => username
+  .replace(/([a-z])(?=[A-Z])/g, '$1 ')
+  .split(/[^a-zA-Z0134578@$!]+/)
+  .map(normalize)
+  .filter(Boolean);
+
+// A blocked word as a whole word, as the whole name once separators are
+// dropped ('s_h_1_t'), or an opt-in substring anywhere
+const isBlocked = (username) => {
+  const normalized = normalize(username);
+  const blocked = new Set(BLOCKED_USERNAME_WORDS.map(normalize));
+
+  return blocked.has(normalized) ||
+    words(username).some(word => blocked.has(word)) ||
+    BLOCKED_USERNAME_SUBSTRINGS.some(word => normalized.includes(normalize(word)));
+};
+
+// 'reserved', 'blocked' or null when the name is allowed
+const usernameProblem = (username) => {
+  const lower = username.trim().toLowerCase();
+  const normalized = normalize(lower);
+
+  if (RESERVED_USERNAMES.has(lower) || RESERVED_USERNAMES.has(normalized)) {
+    return 'reserved';
+  }
+  if (isBlocked(username.trim())) {
+    return 'blocked';
+  }
+  return null;
+};
+
+// When a player who last renamed at usernameChangedAt may rename again, null
+// if they never have
+const nextRenameAt = (usernameChangedAt) => {
+  if (!usernameChangedAt) return null;
+  return new Date(new Date(usernameChangedAt).getTime() + RENAME_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  USERNAME_COLLATION,
+  RESERVED_USERNAMES,
+  BLOCKED_USERNAME_WORDS,
+  BLOCKED_USERNAME_SUBSTRINGS,
+  RENAME_COOLDOWN_DAYS,
+  usernameProblem,
+  nextRenameAt
+};
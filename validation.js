@@ -0,0 +1,528 @@
+const Joi = require('joi');
+const { VALID_DIFFICULTIES, QUESTION_TYPES, QUIZ_STATUSES, MAX_OPTIONS, MAX_TAGS } = require('./quiz');
+const { LEADERBOARD_PERIODS } = require('./leaderboard');
+const challenges = require('./challenges');
+const scoring = require('./scoring');
+const { LIVE_EVENTS } = require('./live');
+const { decodeCursor } = require('./pagination');
+const usernames = require('./usernames');
+const identity = require('./identity');
+const ipfs = require('./ipfs');
+const streaks = require('./streak');
+
+// Request schemas and the middleware that applies them. Every validation
+// failure is answered with the same body:
+//   { success: false, message, errors: [{ code, field, message }] }
+// where message repeats the first error for clients that only show one line.
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+const ERROR_CODES = {
+  'any.required': 'REQUIRED',
+  'string.empty': 'REQUIRED',
+  'any.only': 'INVALID_VALUE',
+  'any.invalid': 'INVALID_VALUE',
+  'string.pattern.base': 'INVALID_FORMAT',
+  'string.min': 'INVALID_LENGTH',
+  'string.max': 'INVALID_LENGTH',
+  'array.min': 'INVALID_LENGTH',
+  'array.max': 'INVALID_LENGTH',
+  'array.unique': 'DUPLICATE_VALUE',
+  'number.min': 'OUT_OF_RANGE',
+  'number.max': 'OUT_OF_RANGE',
+  'number.less': 'OUT_OF_RANGE',
+  'number.positive': 'OUT_OF_RANGE',
+  'number.integer': 'INVALID_TYPE',
+  'date.greater': 'OUT_OF_RANGE',
+  'date.max': 'OUT_OF_RANGE',
+  'address.checksum': 'INVALID_CHECKSUM',
+  'username.reserved': 'USERNAME_RESERVED',
+  'username.blocked': 'USERNAME_BLOCKED'
+};
+
+const errorCode = (type) => ERROR_CODES[type] || (type.endsWith('.base') ? 'INVALID_TYPE' : 'INVALID_VALUE');
+
+const toErrors = (joiError) => joiError.details.map(detail => ({
+  code: errorCode(detail.type),
+  field: detail.path.join('.'),
+  message: detail.message
+}));
+
+const sendValidationError = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    message: errors[0].message,
+    errors
+  });
+};
+
+// Validate data outside of a request, e.g. in the database layer.
+// Returns { value } or { errors }.
+const check = (schema, data) => {
+  const { value, error } = schema.validate(data, VALIDATION_OPTIONS);
+  return error ? { errors: toErrors(error) } : { value };
+};
+
+// Error thrown by non-route callers so routes can answer it like any other
+// validation failure
+const validationError = (errors) => {
+  const error = new Error('VALIDATION_ERROR');
+  error.errors = errors;
+  return error;
+};
+
+// Middleware validating req.params, req.query and req.body against a route
+// schema. Validated values (trimmed, defaulted, lowercased) replace the originals.
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+
+    const result = check(schema[location], req[location] || {});
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else {
+      req[location] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  next();
+};
+
+// Field rules
+
+const walletAddress = Joi.string().trim().pattern(/^0x[a-fA-F0-9]{40}$/)
+  .custom((value, helpers) => (identity.hasValidChecksum(value) ? value : helpers.error('address.checksum')))
+  .messages({
+    'string.pattern.base': 'Invalid wallet address format. Must be a valid Ethereum address (0x...)',
+    'address.checksum': 'Invalid wallet address checksum (EIP-55)'
+  });
+
+const chainId = Joi.number().integer().valid(...identity.SUPPORTED_CHAIN_IDS).messages({
+  'any.only': 'Unsupported chain. Must be one of: ' + identity.SUPPORTED_CHAIN_IDS.join(', ')
+});
+
+const username = Joi.string().trim().min(3).max(30)
+  .custom((value, helpers) => {
+    const problem = usernames.usernameProblem(value);
+    return problem ? helpers.error(`username.${problem}`) : value;
+  })
+  .messages({
+    'string.min': 'Username must be between 3 and 30 characters',
+    'string.max': 'Username must be between 3 and 30 characters',
+    'username.reserved': 'This username is reserved',
+    'username.blocked': 'This username contains a word that is not allowed'
+  });
+
+// Any ipfs://, /ipfs/ or gateway URL with a valid CID, stored in canonical form
+const profilePictureUrl = Joi.string().trim().max(ipfs.MAX_URL_LENGTH).allow('', null)
+  .custom((value, helpers) => ipfs.canonicalUrl(value) || helpers.error('any.invalid'))
+  .messages({ 'any.invalid': 'Invalid profile picture URL. Must be a valid IPFS URL' });
+
+const timezone = Joi.string()
+  .custom((value, helpers) => (streaks.isValidTimezone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': 'Invalid timezone. Must be an IANA timezone such as Europe/London' });
+
+const difficulty = Joi.string().valid(...VALID_DIFFICULTIES).insensitive().messages({
+  'any.only': 'Invalid difficulty. Must be one of: ' + VALID_DIFFICULTIES.join(', ')
+});
+
+const period = Joi.string().valid(...LEADERBOARD_PERIODS).insensitive().messages({
+  'any.only': 'Invalid period. Must be one of: ' + LEADERBOARD_PERIODS.join(', ')
+});
+
+const quizStatus = Joi.string().valid(...QUIZ_STATUSES).messages({
+  'any.only': 'Invalid status. Must be one of: ' + QUIZ_STATUSES.join(', ')
+});
+
+// Page sizes above the maximum are clamped rather than rejected
+const limit = (defaultLimit, maxLimit) => Joi.number().integer().min(1).default(defaultLimit)
+  .custom(value => Math.min(value, maxLimit));
+
+const offset = Joi.number().integer().min(0).default(0);
+
+const objectIdHex = Joi.string().hex().length(24);
+
+// An opaque nextCursor from an earlier page, decoded and checked against the
+// sort key it must contain. Routes receive the decoded object.
+const cursor = (shape) => Joi.string().max(512)
+  .custom((value, helpers) => {
+    const decoded = decodeCursor(value);
+    const result = decoded ? shape.validate(decoded) : null;
+    return result && !result.error ? result.value : helpers.error('any.invalid');
+  })
+  .messages({ 'any.invalid': 'Invalid cursor. Pass nextCursor from a previous page unchanged' });
+
+const historyCursor = cursor(Joi.object({
+  createdAt: Joi.date().required(),
+  id: objectIdHex.required()
+}));
+
+// All-time boards page by (score, createdAt, id), period boards by
+// (score, lastScoredAt, walletAddress)
+const leaderboardCursor = cursor(Joi.object({
+  rank: Joi.number().integer().min(1).required(),
+  score: Joi.number().required(),
+  createdAt: Joi.date(),
+  id: objectIdHex,
+  lastScoredAt: Joi.date(),
+  walletAddress: Joi.string()
+}).xor('id', 'walletAddress').and('createdAt', 'id').and('lastScoredAt', 'walletAddress'));
+
+// Comma separated list such as "score,leaderboard"
+const liveEvents = Joi.string().lowercase()
+  .custom((value, helpers) => {
+    const events = [...new Set(value.split(',').map(event => event.trim()).filter(Boolean))];
+    return events.length > 0 && events.every(event => LIVE_EVENTS.includes(event)) ? events : helpers.error('any.invalid');
+  })
+  .default(LIVE_EVENTS)
+  .messages({ 'any.invalid': 'Invalid events. Use a comma separated list of: ' + LIVE_EVENTS.join(', ') });
+
+const tags = Joi.array()
+  .items(Joi.string().trim().lowercase().min(1).max(30))
+  .max(MAX_TAGS)
+  .custom(value => [...new Set(value)])
+  .messages({ 'array.max': `Tags must be an array of at most ${MAX_TAGS} strings of 1-30 characters` });
+
+const walletParams = Joi.object({ walletAddress: walletAddress.required() });
+
+// A signed SIWE message, checked by auth.verifySiweMessage
+const signedMessage = Joi.object({
+  message: Joi.string().required(),
+  signature: Joi.string().required()
+});
+
+// Recorded in the audit log with every moderation action
+const moderationReason = Joi.string().trim().min(3).max(500);
+
+const MODERATION_ACTIONS = ['user.ban', 'user.unban', 'user.rename', 'score.void', 'score.delete'];
+
+// Shared with Database.createUser/updateUser
+
+const userProfileSchema = Joi.object({
+  walletAddress: walletAddress.required(),
+  username: username.required(),
+  profilePictureUrl,
+  timezone,
+  chainId
+});
+
+const userProfileUpdateSchema = Joi.object({
+  username,
+  profilePictureUrl,
+  timezone,
+  chainId
+});
+
+// Quiz content
+
+const quizFields = {
+  quizId: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]{2,63}$/).messages({
+    'string.pattern.base': 'quizId must be 3-64 lowercase letters, numbers, dashes or underscores'
+  }),
+  title: Joi.string().trim().min(3).max(100).messages({
+    'string.min': 'Title must be between 3 and 100 characters',
+    'string.max': 'Title must be between 3 and 100 characters'
+  }),
+  description: Joi.string().trim().max(1000).allow('', null),
+  difficulty,
+  tags,
+  timeLimitMinutes: Joi.number().integer().min(1).max(240).allow(null)
+};
+
+// Quizzes can only be created with an id matching quizFields.quizId
+const quizParams = Joi.object({ quizId: quizFields.quizId.required() });
+
+const questionParams = Joi.object({ questionId: objectIdHex.required() });
+
+// Answers are checked against the question type; the options of a
+// true_false question are always True/False and multi_select answers are
+// stored sorted
+const questionSchema = Joi.object({
+  type: Joi.string().valid(...QUESTION_TYPES).required().messages({
+    'any.only': 'Invalid question type. Must be one of: ' + QUESTION_TYPES.join(', ')
+  }),
+  prompt: Joi.string().trim().min(1).max(500).required(),
+  options: Joi.when('type', {
+    is: 'true_false',
+    then: Joi.any().strip(),
+    otherwise: Joi.array().items(Joi.string().trim().min(1)).min(2).max(MAX_OPTIONS).required()
+  }),
+  correctAnswer: Joi.when('type', {
+    switch: [
+      { is: 'true_false', then: Joi.boolean().strict().required() },
+      {
+        is: 'multiple_choice',
+        then: Joi.number().integer().min(0).less(Joi.ref('options.length')).required()
+      }
+    ],
+    otherwise: Joi.array()
+      .items(Joi.number().integer().min(0).less(Joi.ref('...options.length')))
+      .min(1).unique().required()
+  }).messages({ 'number.less': 'correctAnswer must be the index of one of the options' }),
+  points: Joi.number().integer().min(1).max(100).default(1),
+  tags: tags.default([]),
+  order: Joi.number().integer().min(0)
+}).custom(value => {
+  if (value.type === 'true_false') {
+    return { ...value, options: ['True', 'False'] };
+  }
+  if (value.type === 'multi_select') {
+    return { ...value, correctAnswer: [...value.correctAnswer].sort((a, b) => a - b) };
+  }
+  return value;
+});
+
+// Route schemas
+
+const schemas = {
+  authNonce: {
+    params: walletParams,
+    query: Joi.object({ chainId })
+  },
+  authVerify: {
+    body: signedMessage
+  },
+  upsertUser: {
+    body: userProfileSchema
+  },
+  getUser: {
+    params: walletParams
+  },
+  usernameAvailability: {
+    // Checked against the username rules in the route, so any text is accepted here
+    params: Joi.object({ username: Joi.string().trim().min(1).max(100).required() })
+  },
+  usernameHistory: {
+    params: walletParams
+  },
+  linkWallet: {
+    params: walletParams,
+    body: signedMessage
+  },
+  unlinkWallet: {
+    params: Joi.object({
+      walletAddress: walletAddress.required(),
+      linkedWallet: walletAddress.required()
+    })
+  },
+  submitScore: {
+    body: Joi.object({
+      walletAddress: walletAddress.required(),
+      quizId: Joi.string().trim().min(1).max(100).required(),
+      score: Joi.number().integer().min(0).max(Joi.ref('maxScore')).required(),
+      difficulty: difficulty.required(),
+      maxScore: Joi.number().integer().min(1).max(scoring.SELF_REPORTED_MAX_SCORE).default(20).messages({
+        'number.max': `maxScore must be at most ${scoring.SELF_REPORTED_MAX_SCORE}`
+      }),
+      chainId
+    }).messages({ 'number.max': 'Score must be a number between 0 and maxScore' })
+  },
+  userHistory: {
+    params: walletParams,
+    query: Joi.object({
+      limit: limit(20, 100),
+      cursor: historyCursor,
+      offset: Joi.when('cursor', { is: Joi.exist(), then: Joi.forbidden(), otherwise: offset }),
+      quizId: Joi.string().trim().min(1).max(100)
+    }).messages({ 'any.unknown': 'Use either cursor or offset, not both' })
+  },
+  leaderboard: {
+    query: Joi.object({
+      limit: limit(100, 500),
+      cursor: leaderboardCursor,
+      period: period.default('all-time'),
+      difficulty: difficulty.default(null)
+    })
+  },
+  liveFeed: {
+    query: Joi.object({
+      period: period.default('all-time'),
+      difficulty: difficulty.default(null),
+      limit: limit(10, 100),
+      events: liveEvents
+    })
+  },
+  friendsLeaderboard: {
+    params: walletParams,
+    query: Joi.object({
+      limit: limit(100, 500),
+      cursor: leaderboardCursor,
+      period: period.default('all-time'),
+      difficulty: difficulty.default(null)
+    })
+  },
+  follow: {
+    params: walletParams
+  },
+  followList: {
+    params: walletParams,
+    // Follows page by (createdAt, id) like history
+    query: Joi.object({
+      limit: limit(20, 100),
+      cursor: historyCursor
+    })
+  },
+  createChallenge: {
+    body: Joi.object({
+      opponent: walletAddress.required(),
+      quizId: Joi.string().trim().min(1).max(100).required(),
+      deadline: Joi.date().iso().greater('now')
+        .custom((value, helpers) => {
+          const latest = challenges.latestDeadline();
+          return value > latest ? helpers.error('date.max', { limit: latest }) : value;
+        })
+        .messages({
+          'date.greater': 'Deadline must be in the future',
+          'date.max': `Deadline must be within ${challenges.MAX_DAYS} days`
+        })
+    })
+  },
+  challenge: {
+    params: Joi.object({ challengeId: objectIdHex.required() })
+  },
+  userChallenges: {
+    params: walletParams,
+    query: Joi.object({
+      status: Joi.string().valid(...Object.keys(challenges.LIST_STATUSES)),
+      role: Joi.string().valid('challenger', 'opponent'),
+      limit: limit(20, 100),
+      cursor: historyCursor
+    })
+  },
+  playerRank: {
+    params: walletParams,
+    query: Joi.object({
+      around: Joi.number().integer().min(0).default(5).custom(value => Math.min(value, 50)),
+      period: period.default('all-time'),
+      difficulty: difficulty.default(null)
+    })
+  },
+  claimReward: {
+    body: Joi.object({
+      quizId: Joi.string().trim().min(1).max(100).required()
+    })
+  },
+  rewardClaims: {
+    params: walletParams,
+    query: Joi.object({ limit: limit(20, 100), offset })
+  },
+  userAchievements: {
+    params: walletParams
+  },
+  startQuizSession: {
+    params: quizParams
+  },
+  submitQuizSession: {
+    params: Joi.object({ sessionId: objectIdHex.required() }),
+    body: Joi.object({
+      answers: Joi.array().items(Joi.object({
+        questionId: Joi.alternatives(Joi.string(), Joi.number()).required(),
+        answer: Joi.any()
+      })).max(500).required(),
+      chainId
+    })
+  },
+  listQuizzes: {
+    query: Joi.object({
+      limit: limit(20, 100),
+      offset,
+      tag: Joi.string().trim().lowercase(),
+      difficulty
+    })
+  },
+  adminSearchUsers: {
+    query: Joi.object({
+      limit: limit(20, 100),
+      offset,
+      search: Joi.string().trim().min(1).max(100),
+      banned: Joi.boolean()
+    })
+  },
+  banUser: {
+    params: walletParams,
+    body: Joi.object({ reason: moderationReason.required() })
+  },
+  unbanUser: {
+    params: walletParams,
+    body: Joi.object({ reason: moderationReason })
+  },
+  renameUser: {
+    params: walletParams,
+    body: Joi.object({ username: username.required(), reason: moderationReason.required() })
+  },
+  moderateScore: {
+    params: Joi.object({ scoreId: objectIdHex.required() }),
+    body: Joi.object({ reason: moderationReason.required() })
+  },
+  auditLog: {
+    query: Joi.object({
+      limit: limit(50, 200),
+      offset,
+      actor: walletAddress,
+      action: Joi.string().valid(...MODERATION_ACTIONS),
+      targetId: Joi.string().trim().max(100)
+    })
+  },
+  adminScoreReviews: {
+    query: Joi.object({
+      limit: limit(20, 100),
+      offset,
+      walletAddress
+    })
+  },
+  adminListQuizzes: {
+    query: Joi.object({
+      limit: limit(20, 100),
+      offset,
+      status: quizStatus,
+      tag: Joi.string().trim().lowercase(),
+      difficulty
+    })
+  },
+  createQuiz: {
+    body: Joi.object({
+      ...quizFields,
+      quizId: quizFields.quizId.required(),
+      title: quizFields.title.required(),
+      difficulty: difficulty.required(),
+      tags: tags.default([])
+    })
+  },
+  adminQuiz: {
+    params: quizParams
+  },
+  updateQuiz: {
+    params: quizParams,
+    body: Joi.object({ ...quizFields, status: quizStatus })
+  },
+  createQuestion: {
+    params: quizParams,
+    body: questionSchema
+  },
+  // PUT bodies are partial, the route checks them merged over the stored question
+  adminQuestion: {
+    params: questionParams
+  }
+};
+
+module.exports = {
+  schemas,
+  username,
+  userProfileSchema,
+  userProfileUpdateSchema,
+  questionSchema,
+  validate,
+  check,
+  validationError,
+  sendValidationError
+};